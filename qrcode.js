@@ -0,0 +1,369 @@
+// =============================================================================
+// QR CODE GENERATOR
+// =============================================================================
+
+/**
+ * Minimal QR code encoder used for printed bin labels, so labels can be
+ * made offline without a third-party service. Encodes text in byte mode
+ * at error correction level M, versions 1-10 (up to 213 bytes, far more
+ * than a part deep link needs).
+ *
+ * Follows ISO/IEC 18004; the layout steps mirror the order of the spec:
+ * function patterns, data codewords with Reed-Solomon error correction,
+ * then the mask with the lowest penalty.
+ */
+
+// Per-version tables for level M, indexed by version (index 0 unused)
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_MAX_VERSION = 10;
+
+// Format bits for level M are 00
+const QR_ECC_FORMAT_BITS = 0;
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {Array<Array<boolean>>} Square matrix of modules, true for dark,
+ *   indexed [y][x], without the quiet zone
+ * @throws {Error} If the text is too long for a version 10 code
+ */
+function generateQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    // Smallest version the data fits in
+    let version = 1;
+    for (; version <= QR_MAX_VERSION; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= getQrDataCodewords(version) * 8) break;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const qr = createQrGrid(version);
+    drawQrFunctionPatterns(qr);
+    const codewords = addQrErrorCorrection(encodeQrData(bytes, version), version);
+    drawQrCodewords(qr, codewords);
+
+    // Try every mask and keep the one that scores best
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyQrMask(qr, mask);
+        drawQrFormatBits(qr, mask);
+        const penalty = getQrPenalty(qr.modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyQrMask(qr, mask); // XOR again to undo
+    }
+    applyQrMask(qr, bestMask);
+    drawQrFormatBits(qr, bestMask);
+    return qr.modules;
+}
+
+/**
+ * Render a QR code as an SVG string
+ * @param {string} text - Text to encode
+ * @param {number} [quietZone=4] - Blank modules around the code
+ * @returns {string} SVG markup that scales to its container
+ */
+function generateQrSvg(text, quietZone = 4) {
+    const modules = generateQrMatrix(text);
+    const size = modules.length + quietZone * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + quietZone},${y + quietZone}h1v1h-1z`;
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function getQrNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getQrDataCodewords(version) {
+    return Math.floor(getQrNumRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_NUM_ECC_BLOCKS[version];
+}
+
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < numAlign; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+function createQrGrid(version) {
+    const size = version * 4 + 17;
+    const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    return { version, size, modules: grid(), isFunction: grid() };
+}
+
+function setQrFunctionModule(qr, x, y, dark) {
+    qr.modules[y][x] = dark;
+    qr.isFunction[y][x] = true;
+}
+
+/**
+ * Draw finder, timing and alignment patterns, and reserve the format and
+ * version areas so data isn't written over them
+ */
+function drawQrFunctionPatterns(qr) {
+    const { size, version } = qr;
+    for (let i = 0; i < size; i++) {
+        setQrFunctionModule(qr, 6, i, i % 2 === 0);
+        setQrFunctionModule(qr, i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setQrFunctionModule(qr, x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    const positions = getQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setQrFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawQrFormatBits(qr, 0);
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setQrFunctionModule(qr, a, b, dark);
+            setQrFunctionModule(qr, b, a, dark);
+        }
+    }
+}
+
+function drawQrFormatBits(qr, mask) {
+    const { size } = qr;
+    const data = (QR_ECC_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Copy around the top-left finder
+    for (let i = 0; i <= 5; i++) setQrFunctionModule(qr, 8, i, bit(i));
+    setQrFunctionModule(qr, 8, 7, bit(6));
+    setQrFunctionModule(qr, 8, 8, bit(7));
+    setQrFunctionModule(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setQrFunctionModule(qr, 14 - i, 8, bit(i));
+
+    // Copy split between the other two finders
+    for (let i = 0; i < 8; i++) setQrFunctionModule(qr, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setQrFunctionModule(qr, 8, size - 15 + i, bit(i));
+    setQrFunctionModule(qr, 8, size - 8, true); // Always-dark module
+}
+
+/**
+ * Byte mode segment, terminator and padding
+ * @returns {Array<number>} Data codewords
+ */
+function encodeQrData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0x4, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = getQrDataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+    }
+    return codewords;
+}
+
+function multiplyQrField(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function getQrDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = multiplyQrField(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = multiplyQrField(root, 0x02);
+    }
+    return result;
+}
+
+function getQrRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= multiplyQrField(coef, factor); });
+    });
+    return result;
+}
+
+/**
+ * Split data into blocks, append each block's error correction codewords
+ * and interleave them in transmission order
+ */
+function addQrErrorCorrection(data, version) {
+    const numBlocks = QR_NUM_ECC_BLOCKS[version];
+    const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getQrNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = getQrDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = getQrRemainder(block, divisor);
+        // Short blocks get a placeholder so all blocks line up when interleaving
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Place codewords in the zigzag order: two-module columns from the right,
+ * alternately upwards and downwards, skipping the vertical timing pattern
+ */
+function drawQrCodewords(qr, codewords) {
+    const { size } = qr;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                    qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function applyQrMask(qr, mask) {
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (!qr.isFunction[y][x] && QR_MASKS[mask](x, y)) qr.modules[y][x] = !qr.modules[y][x];
+        }
+    }
+}
+
+/**
+ * Score a masked symbol by the spec's four penalty rules: long runs,
+ * 2x2 blocks, finder-like patterns and dark/light imbalance
+ */
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const finderLike = [true, false, true, true, true, false, true];
+
+    const scoreLine = line => {
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength++;
+                continue;
+            }
+            if (runLength >= 5) penalty += runLength - 2;
+            runLength = 1;
+        }
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+            const lightBefore = i >= 4 && line.slice(i - 4, i).every(dark => !dark);
+            const lightAfter = i + 11 <= size && line.slice(i + 7, i + 11).every(dark => !dark);
+            if (lightBefore || lightAfter) penalty += 40;
+        }
+    };
+    modules.forEach(scoreLine);
+    for (let x = 0; x < size; x++) scoreLine(modules.map(row => row[x]));
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) penalty += 3;
+        }
+    }
+
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
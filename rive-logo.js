@@ -8,7 +8,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
         const riveInstance = new rive.Rive({
-            src: 'gpi.riv',
+            src: '/gpi.riv',
             canvas: canvas,
             autoplay: true,
             stateMachines: 'State Machine 1',
@@ -103,6 +103,22 @@ function csvEscape(val) {
     return val;
 }
 
+/**
+ * Offer text to the user as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - e.g. 'text/csv'
+ */
+function downloadTextFile(content, filename, mimeType) {
+    const dataBlob = new Blob([content], {type: mimeType});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
 /**
  * Generic utility function to copy text to clipboard
  * Uses modern clipboard API with fallback to execCommand
@@ -216,6 +232,8 @@ const DOM = {
     searchInput: document.getElementById('searchInput'),
     sortDropdown: document.getElementById('sortDropdown'),
     projectFilter: document.getElementById('projectFilter'),
+    locationFilter: document.getElementById('locationFilter'),
+    categoryFilter: document.getElementById('categoryFilter'),
     inventoryList: document.querySelector('.inventory-list'),
     // Modal dialog references for quick access
     modals: {
@@ -269,6 +287,8 @@ function initializeApp() {
     // Search and filter controls
     const searchInput = DOM.get('searchInput');
     const projectFilter = DOM.get('projectFilter');
+    const locationFilter = DOM.get('locationFilter');
+    const categoryFilter = DOM.get('categoryFilter');
     const sortDropdown = DOM.get('sortDropdown');
 
     // =============================================================================
@@ -324,8 +344,16 @@ function initializeApp() {
     
     // Search and filter event listeners with performance optimization
     // Debounce search input to avoid excessive filtering during typing
-    if (searchInput) searchInput.addEventListener('input', debounce(searchParts, 250));
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(searchParts, 250));
+        searchInput.addEventListener('input', updateSearchHints);
+        searchInput.addEventListener('focus', updateSearchHints);
+        searchInput.addEventListener('keydown', handleSearchHintKeys);
+        searchInput.addEventListener('blur', hideSearchHints);
+    }
     if (projectFilter) projectFilter.addEventListener('change', filterByProject);
+    if (locationFilter) locationFilter.addEventListener('change', filterByLocation);
+    if (categoryFilter) categoryFilter.addEventListener('change', filterByCategory);
     if (sortDropdown) sortDropdown.addEventListener('change', changeSortOrder);
 
     // Initialize performance optimizations
@@ -352,33 +380,61 @@ function initializeApp() {
 
 /**
  * Main inventory data structure
- * Format: { partId: { name, quantity, purchaseUrl, projects: {projectId: quantity}, type } }
+ * Format: { partId: { name, quantity, purchaseUrl, projects: {projectId: quantity}, type,
+ *           reserved?: {projectId: quantity}, packSize?, minOrder?, offers?, unitCost?,
+ *           locations?, attributes?, minStock?, reorderQty? } }
+ * quantity is the on-hand count; reserved holds stock set aside per project.
+ * packSize and minOrder round shopping list quantities. offers lists where
+ * the part can be bought (see SUPPLIER OFFERS); purchaseUrl is the
+ * preferred offer's link. unitCost is what one cost, typed in or taken from
+ * the last received order. locations says where it is kept (see STORAGE
+ * LOCATIONS). attributes holds the value and ratings (see PART ATTRIBUTES).
+ * minStock and reorderQty override the category's stock levels (see STOCK
+ * LEVELS).
  */
 let inventory = {};
 
 /**
  * Projects data structure  
- * Format: { projectId: { name, bom: {partId: {name, quantity}} } }
+ * Format: { projectId: { name, bom: {partId: {name, quantity, designators?: string[]}},
+ *           builtAt?, builds?: [{date, count}] } }
  */
 let projects = {};
 
+/**
+ * Purchase orders: parts ordered from a supplier but not yet (all) arrived
+ * Format: { poId: { supplier, status: 'draft'|'ordered'|'partial'|'received',
+ *           createdAt, orderedAt?, receivedAt?, orderNumber?,
+ *           lines: [{partId, name, sku?, quantity, received, price?}] } }
+ */
+let purchaseOrders = {};
+
 // UI state tracking variables
 let currentPartId = null;        // Currently selected part for detailed view
 let editingPartId = null;        // Part currently being edited in modal
 let deletingPartId = null;       // Part pending deletion confirmation
 let deletingProjectId = null;    // Project pending deletion confirmation
+let viewingProjectId = null;     // Project shown in the details modal
+let buildingProjectId = null;    // Project pending build confirmation
+let viewingPurchaseOrderId = null; // Purchase order shown in its modal
 
 // Display and filtering state
 let currentSortOrder = 'name-asc';     // Current sort order for inventory display
 let currentProjectFilter = 'all';      // Current project filter selection
+let currentLocationFilter = 'all';     // Location key, 'none', or 'all'
+let currentCategoryFilter = 'all';     // PART_CATEGORIES key, 'none', or 'all'
 let currentSearchQuery = '';           // Current search query string
 
 // Temporary data holders for multi-step operations
 let pendingBomData = null;             // BOM data awaiting project name assignment
+let pendingBomReview = null;           // Named BOM awaiting match review
+let pendingOrderReceipt = null;         // Supplier order awaiting receipt review
 
-// Quantities below this count as "low stock" everywhere (sort order and
-// the red quantity highlight previously used different thresholds)
+// Minimum stock for parts with no minimum of their own or from their
+// category (see STOCK LEVELS)
 const LOW_STOCK_THRESHOLD = 10;
+// Quantity bought when restocking such parts
+const DEFAULT_REORDER_QUANTITY = 10;
 
 // =============================================================================
 // DATA NORMALIZATION AND PERSISTENCE
@@ -400,8 +456,9 @@ function cleanupInvalidInventoryEntries() {
             continue;
         }
         
-        // Check for invalid quantities
-        if (typeof part.quantity !== 'number' || part.quantity < 0) {
+        // Check for invalid quantities. Negative counts are allowed: a
+        // build can overdraw stock when the user chooses to
+        if (typeof part.quantity !== 'number' || !Number.isFinite(part.quantity)) {
             part.quantity = 0;
         }
         
@@ -427,46 +484,54 @@ function cleanupInvalidInventoryEntries() {
 /**
  * Normalize component names and values for consistent matching
  * This function standardizes electronic component names to help identify duplicates
- * and match components across different naming conventions
+ * and match components across different naming conventions. Component values are
+ * parsed (see parseComponentValue) so "4K7", "4.7k", "4700 ohm" and "4k7Ω" share a key,
+ * as do "0.1uF", "100n" and "100nF" (with or without a category) and "104" on a capacitor
  * 
  * @param {string} str - The component name or value to normalize
+ * @param {string|null} [category] - Part category; detected from the text when omitted
  * @returns {string} Normalized string for comparison
  */
-function normalizeValue(str) {
+function normalizeValue(str, category) {
     if (!str) return '';
-    
-    let normalized = str.toLowerCase()
+
+    const { text, values } = findComponentValues(str, category);
+    let normalized = '';
+    let position = 0;
+    for (const { index, length, parsed } of values) {
+        normalized += normalizeValueText(text.slice(position, index)) + parsed.key;
+        position = index + length;
+    }
+    normalized += normalizeValueText(text.slice(position));
+
+    return normalized;
+}
+
+/**
+ * Normalize the non-value words of a component name
+ *
+ * @param {string} str - Text between component values
+ * @returns {string} Lowercase alphanumeric text with common terms shortened
+ */
+function normalizeValueText(str) {
+    return str.toLowerCase()
         // Remove all non-alphanumeric characters except spaces (which become empty)
         .replace(/[^a-z0-9]/g, '')
         // Standardize common electronic component terms
-        .replace(/ohm/g, '')              // Remove 'ohm' suffix
-        .replace(/ohms/g, '')             // Remove 'ohms' suffix
+        .replace(/ohms?/g, '')            // Remove 'ohm' and 'ohms' suffixes
         .replace(/resistor/g, 'res')      // Shorten 'resistor' to 'res'
         .replace(/capacitor/g, 'cap')     // Shorten 'capacitor' to 'cap'
-        .replace(/potentiometer/g, 'pot') // Shorten 'potentiometer' to 'pot'
-        .replace(/kilo/g, 'k')            // Standardize 'kilo' to 'k'
-        .replace(/mega/g, 'm')            // Standardize 'mega' to 'm'
-        // Handle various resistor value formats (10k, 1M, etc.)
-        .replace(/(\d+)k(?![a-z])/g, '$1k')
-        .replace(/(\d+)m(?![a-z])/g, '$1m')
-        .replace(/(\d+)r(?![a-z])/g, '$1r')
-        // Clean up any remaining inconsistencies
-        .replace(/[ur]$/g, '')
-        // Ensure consistent format for component values
-        .replace(/(\d+)k(?!\d)/g, '$1k')
-        .replace(/(\d+)m(?!\d)/g, '$1m')
-        .replace(/(\d+)r(?!\d)/g, '$1r');
-
-    return normalized;
+        .replace(/potentiometer/g, 'pot'); // Shorten 'potentiometer' to 'pot'
 }
 
 // Dirty flags so pending debounced saves can be flushed if the page is
 // hidden or closed before the debounce timer fires
 let inventoryDirty = false;
 let projectsDirty = false;
+let purchaseOrdersDirty = false;
 
 /**
- * Save projects data to browser's local storage
+ * Save projects data to persistent browser storage
  * Persists project information including BOMs between browser sessions
  */
 function saveProjects() {
@@ -475,7 +540,7 @@ function saveProjects() {
 }
 
 /**
- * Save inventory data to browser's local storage
+ * Save inventory data to persistent browser storage
  * Persists component inventory between browser sessions
  */
 function saveInventory() {
@@ -483,29 +548,43 @@ function saveInventory() {
     debouncedSaveInventory();
 }
 
+/**
+ * Save purchase orders to persistent browser storage
+ */
+function savePurchaseOrders() {
+    purchaseOrdersDirty = true;
+    debouncedSavePurchaseOrders();
+}
+
 // =============================================================================
 // APPLICATION DATA INITIALIZATION
 // =============================================================================
 
 /**
- * Initialize the inventory data from localStorage or create sample data
+ * Initialize the inventory data from persistent storage or create sample data
  * This function handles the initial setup of the application including:
- * - Loading saved inventory data
+ * - Loading saved inventory and project data (migrating localStorage data
+ *   from older versions on first run)
  * - Creating sample data for new users
  * - Merging duplicate entries
- * - Setting up project data
  * - Rendering the initial display
  */
-function initializeInventory() {
-    // Try to load existing inventory data from browser storage
-    const savedInventory = localStorage.getItem('guitarPedalInventory');
-    if (savedInventory) {
-        try {
-            inventory = decompressData(savedInventory);
-        } catch (error) {
-            console.warn('Failed to decompress inventory data, trying fallback:', error);
-            inventory = JSON.parse(savedInventory);
-        }
+async function initializeInventory() {
+    let saved = null;
+    try {
+        saved = await loadPersistedData();
+    } catch (error) {
+        console.error('Failed to load saved data:', error);
+        showNotification('Could not load saved data', 'error');
+    }
+    await Promise.all([loadBomMatchAliases(), loadBomMappingPresets(), loadLabelOptions()]);
+
+    // Load projects first so duplicate merging can remap their BOMs
+    initializeProjects(saved ? saved.projects : null);
+    purchaseOrders = (saved && saved.purchaseOrders) || {};
+
+    if (saved) {
+        inventory = saved.inventory || {};
         // Clean up any invalid entries first
         cleanupInvalidInventoryEntries();
         // Auto-merge any duplicate entries that may have been created (silently)
@@ -521,19 +600,17 @@ function initializeInventory() {
             'switch_3pdt': { name: '3PDT Footswitch', quantity: 3 }
         };
         saveInventory();
+        markStorageInitialized();
     }
     
-    // Initialize project data and relationships
-    initializeProjects();
-    
     // Ensure all BOM references use consistent part IDs
     normalizeAllBOMReferences();
     
     // Render the inventory display
     displayInventory();
     
-    // Check if URL contains part-specific parameters (for deep linking)
-    checkUrlForPart();
+    // Carry out deep link actions and open the view the URL points at
+    startRouter();
     
     // Update the sync buttons container with current functionality
     const syncButtonsContainer = document.querySelector('.sync-buttons');
@@ -578,7 +655,7 @@ function exportInventory(format) {
         defaultName = `guitar-pedal-inventory-${timestamp}.csv`;
         
         // Define CSV column headers
-        const headers = ['Part ID', 'Name', 'Type', 'Quantity', 'Purchase URL', 'Projects'];
+        const headers = ['Part ID', 'Name', 'Type', 'Quantity', 'Purchase URL', 'Projects', 'Reserved', 'Pack Size', 'Min Order', 'Offers', 'Unit Cost', 'Value', 'Locations', 'Attributes', 'Min Stock', 'Reorder Qty'];
         
         /**
          * Escape CSV field values to handle commas, quotes, and newlines
@@ -594,7 +671,17 @@ function exportInventory(format) {
             part.quantity,
             part.purchaseUrl || '',
             // Serialize project assignments as "projectId:quantity" pairs
-            part.projects ? Object.entries(part.projects).map(([pid, qty]) => `${pid}:${qty}`).join(';') : ''
+            part.projects ? Object.entries(part.projects).map(([pid, qty]) => `${pid}:${qty}`).join(';') : '',
+            part.reserved ? Object.entries(part.reserved).map(([pid, qty]) => `${pid}:${qty}`).join(';') : '',
+            part.packSize || '',
+            part.minOrder || '',
+            part.offers ? JSON.stringify(part.offers) : '',
+            typeof part.unitCost === 'number' ? part.unitCost : '',
+            getPartUnitCost(part) !== null ? roundPrice(getPartUnitCost(part) * Math.max(0, part.quantity || 0)) : '',
+            formatLocationsText(part.locations),
+            part.attributes ? JSON.stringify(part.attributes) : '',
+            Number.isInteger(part.minStock) ? part.minStock : '',
+            Number.isInteger(part.reorderQty) ? part.reorderQty : ''
         ].map(csvEscape));
         
         // Combine headers and data rows
@@ -603,8 +690,11 @@ function exportInventory(format) {
     } else {
         // Handle JSON format export (default)
         defaultName = `guitar-pedal-inventory-${timestamp}.json`;
-        // Export both inventory and projects data with pretty formatting
-        dataStr = JSON.stringify({ inventory, projects }, null, 2);
+        // Export both inventory and projects data with pretty formatting.
+        // valuation is informational; imports ignore it
+        const valuation = getInventoryValue();
+        valuation.total = roundPrice(valuation.total);
+        dataStr = JSON.stringify({ inventory, projects, purchaseOrders, valuation }, null, 2);
         mimeType = 'application/json';
     }
     
@@ -614,13 +704,7 @@ function exportInventory(format) {
     if (format === 'csv' && !filename.endsWith('.csv')) filename += '.csv';
     if (format !== 'csv' && !filename.endsWith('.json')) filename += '.json';
 
-    const dataBlob = new Blob([dataStr], {type: mimeType});
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(dataBlob);
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadTextFile(dataStr, filename, mimeType);
     
     hideExportModal();
     showNotification(`Saved inventory to ${filename}`);
@@ -629,13 +713,18 @@ function exportInventory(format) {
 /**
  * Drop non-http(s) purchase URLs from imported inventory data.
  * Imported files are untrusted; a javascript: URL here would execute
- * when the user clicks the part's shop button.
+ * when the user clicks the part's shop button. Offers are cleaned the
+ * same way, and purchaseUrl re-derived from them.
  */
 function sanitizeImportedPurchaseUrls(inventoryData) {
     for (const partId in inventoryData) {
         const part = inventoryData[partId];
-        if (part && part.purchaseUrl) {
-            part.purchaseUrl = sanitizePurchaseUrl(String(part.purchaseUrl));
+        if (!part) continue;
+        if (Array.isArray(part.offers) && part.offers.length > 0) {
+            setPartOffers(part, part.offers);
+        } else {
+            delete part.offers;
+            if (part.purchaseUrl) part.purchaseUrl = sanitizePurchaseUrl(String(part.purchaseUrl));
         }
     }
 }
@@ -646,6 +735,7 @@ function importInventory(event) {
     
     const reader = new FileReader();
     reader.onload = function(e) {
+        const undoBefore = captureUndoState();
         try {
             const fileContent = e.target.result;
             let importedData;
@@ -674,6 +764,14 @@ function importInventory(event) {
                             if (pid) projects[pid] = qty ? parseInt(qty) || 0 : 0;
                         });
                     }
+                    const reserved = {};
+                    const reservedRaw = row['Reserved'] || row['reserved'] || '';
+                    if (reservedRaw) {
+                        reservedRaw.split(';').forEach(pair => {
+                            const [pid, qty] = pair.split(':').map(s => s.trim());
+                            if (pid && parseInt(qty) > 0) reserved[pid] = parseInt(qty);
+                        });
+                    }
                     importedData[id] = {
                         name: name,
                         type: type || undefined,
@@ -681,16 +779,51 @@ function importInventory(event) {
                         purchaseUrl: purchaseUrl,
                         projects: projects
                     };
+                    if (Object.keys(reserved).length > 0) importedData[id].reserved = reserved;
+                    const packSize = parseInt(row['Pack Size'] || row['pack size'] || '0');
+                    const minOrder = parseInt(row['Min Order'] || row['min order'] || '0');
+                    if (packSize > 1) importedData[id].packSize = packSize;
+                    if (minOrder > 0) importedData[id].minOrder = minOrder;
+                    const unitCost = parseFloat(row['Unit Cost'] || row['unit cost'] || '');
+                    if (unitCost >= 0) importedData[id].unitCost = unitCost;
+                    setPartStockLevel(importedData[id], 'minStock', (row['Min Stock'] || row['min stock'] || '').trim());
+                    setPartStockLevel(importedData[id], 'reorderQty', (row['Reorder Qty'] || row['reorder qty'] || '').trim());
+                    const locations = parseLocationsText(row['Locations'] || row['locations'] || '');
+                    if (locations.length > 0) setPartLocations(importedData[id], locations);
+                    const attributesRaw = row['Attributes'] || row['attributes'] || '';
+                    if (attributesRaw) {
+                        try {
+                            setPartAttributes(importedData[id], JSON.parse(attributesRaw));
+                        } catch (error) {
+                            console.warn(`Ignoring unreadable attributes for ${id}:`, error);
+                        }
+                    }
+                    const offersRaw = row['Offers'] || row['offers'] || '';
+                    if (offersRaw) {
+                        try {
+                            importedData[id].offers = JSON.parse(offersRaw);
+                        } catch (error) {
+                            console.warn(`Ignoring unreadable offers for ${id}:`, error);
+                        }
+                    }
                 });
             } else {
                 // Parse JSON
                 importedData = JSON.parse(fileContent);
             }
             
+            const quantitiesBefore = snapshotQuantities();
             if (importedData.inventory && importedData.projects) {
                 inventory = importedData.inventory;
                 projects = importedData.projects;
+                // Files saved before purchase orders existed keep the current ones
+                if (importedData.purchaseOrders && typeof importedData.purchaseOrders === 'object') {
+                    purchaseOrders = Object.fromEntries(Object.entries(importedData.purchaseOrders)
+                        .filter(([, order]) => order && Array.isArray(order.lines)));
+                    savePurchaseOrders();
+                }
                 sanitizeImportedPurchaseUrls(inventory);
+                recordQuantityChanges(quantitiesBefore, 'import', { note: file.name });
                 // Auto-merge duplicates after import (silently)
                 mergeDuplicateInventoryEntries(false);
                 saveProjects();
@@ -699,6 +832,7 @@ function importInventory(event) {
                 // Fallback for old format or CSV import
                 inventory = importedData;
                 sanitizeImportedPurchaseUrls(inventory);
+                recordQuantityChanges(quantitiesBefore, 'import', { note: file.name });
                 // --- Begin: Ensure projects are globally tagged and BOMs updated ---
                 for (const partId in inventory) {
                     const part = inventory[partId];
@@ -730,7 +864,8 @@ function importInventory(event) {
             saveInventory();
             displayInventory();
             currentPartId = null;
-            showNotification('Inventory imported successfully!');
+            commitUndoableAction(`Import ${file.name}`, undoBefore);
+            showNotification('Inventory imported successfully!', 'success', undoToastAction());
         } catch (err) {
             showNotification('Error importing inventory: ' + err.message, 'error');
         }
@@ -750,31 +885,431 @@ function importInventory(event) {
 function searchParts() {
     const searchInput = DOM.get('searchInput');
     if (!searchInput) return;
-    currentSearchQuery = searchInput.value.toLowerCase().trim();
+    currentSearchQuery = searchInput.value.trim();
     displayInventory();
 }
 
+/**
+ * Search filters, written field:value (or field<5, field>=25 for numbers)
+ * and negated with a leading "-". Any part attribute (see PART ATTRIBUTES)
+ * can be used as a field too, e.g. voltage>=25 or package:radial.
+ * values lists suggestions for the autocomplete hints.
+ */
+const SEARCH_FIELDS = {
+    type: { hint: 'Part type, e.g. type:"box film"', values: () => getSearchTypeValues() },
+    cat: { hint: 'Category, e.g. cat:caps', values: () => [...Object.keys(PART_CATEGORIES), 'none'] },
+    qty: { hint: 'Quantity on hand, e.g. qty<5', numeric: true },
+    avail: { hint: 'Quantity not reserved for projects, e.g. avail<2', numeric: true },
+    project: { hint: 'Used by a project, e.g. project:"big muff"', values: () => [...Object.values(projects).map(project => project.name), 'none'] },
+    loc: { hint: 'Storage location, e.g. loc:"drawer 3"', values: () => [...getAllLocations().map(formatLocation), 'none'] },
+    has: { hint: 'Has details, e.g. has:url', values: () => Object.keys(SEARCH_HAS_FILTERS) },
+    is: { hint: 'Stock state, e.g. is:low', values: () => Object.keys(SEARCH_IS_FILTERS) }
+};
+
+// Alternative spellings of SEARCH_FIELDS keys
+const SEARCH_FIELD_ALIASES = { category: 'cat', quantity: 'qty', location: 'loc', projects: 'project' };
+
+// Most hints shown at once
+const SEARCH_HINT_LIMIT = 8;
+
+// has:<key> filters
+const SEARCH_HAS_FILTERS = {
+    url: (part) => Boolean(part.purchaseUrl || getPartOffers(part).some(offer => offer.url)),
+    offer: (part) => getPartOffers(part).length > 0,
+    cost: (part) => getPartUnitCost(part) !== null,
+    type: (part) => Boolean(part.type),
+    loc: (part) => Boolean(part.locations && part.locations.length > 0),
+    project: (part) => Object.values(part.projects || {}).some(quantity => quantity > 0),
+    attributes: (part) => Boolean(part.attributes)
+};
+
+// is:<key> filters
+const SEARCH_IS_FILTERS = {
+    low: (part) => isLowStock(part),
+    out: (part) => (part.quantity || 0) <= 0,
+    reserved: (part) => getReservedQuantity(part) > 0,
+    ordered: (part, partId) => getOnOrderQuantity(partId) > 0
+};
+
+/**
+ * Lowercase a search value and drop everything but letters and digits,
+ * so "Box Film", "box-film" and "boxfilm" compare equal
+ * @param {string} text - Text to squash
+ * @returns {string}
+ */
+function squashSearchText(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Look up a search field by name or alias
+ * @param {string} name - Field as typed
+ * @returns {string|null} Key of SEARCH_FIELDS or PART_ATTRIBUTES
+ */
+function getSearchField(name) {
+    const lower = name.toLowerCase();
+    const field = SEARCH_FIELD_ALIASES[lower] || lower;
+    if (SEARCH_FIELDS[field]) return field;
+    return Object.keys(PART_ATTRIBUTES).find(key => key.toLowerCase() === lower) || null;
+}
+
+/**
+ * Split a search into words, keeping quoted phrases together
+ * ('project:"big muff" 10k' -> ['project:"big muff"', '10k']). A quote
+ * still being typed runs to the end ('project:"big mu' is one word)
+ * @param {string} query - Search text
+ * @returns {Array<{text: string, index: number}>} Words and where they start
+ */
+function splitSearchQuery(query) {
+    const words = [];
+    const pattern = /(?:[^\s"]+|"[^"]*(?:"|$))+/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        words.push({ text: match[0], index: match.index });
+    }
+    return words;
+}
+
+/**
+ * Read one search word
+ * @param {string} word - e.g. "10k", "-project:klon", "qty<5"
+ * @returns {{negate: boolean, field: string|null, op: string, value: string}|null}
+ *   The term, or null for a filter with nothing after it yet
+ */
+function parseSearchTerm(word) {
+    const [, minus, name, op, rest] = word.match(/^(-?)(?:([A-Za-z]+)(<=|>=|:|<|>|=))?(.*)$/);
+    const field = name ? getSearchField(name) : null;
+    const negate = minus === '-';
+    if (name && !field) {
+        // Not a filter after all ("ratio:1"); search for the text
+        return { negate, field: null, op: ':', value: `${name}${op}${rest}`.replace(/"/g, '') };
+    }
+    const value = rest.replace(/"/g, '').trim();
+    if (!value) return null;
+    return { negate, field, op: field ? op : ':', value };
+}
+
+/**
+ * Parse a search into terms; a part must match every one of them
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Terms from parseSearchTerm()
+ */
+function parseSearchQuery(query) {
+    return splitSearchQuery(query).map(word => parseSearchTerm(word.text)).filter(Boolean);
+}
+
+/**
+ * Read a component value typed into a search. Prefixes that only make sense
+ * for a capacitor ("100n", "2u2") are read as farads (see FARAD_VALUE_PREFIXES);
+ * bare numbers are not values, so "3" doesn't find every 3 Ω, 3 pF and 3 H part
+ * @param {string} text - Search text
+ * @returns {Object|null} Parsed value (see parseComponentValue)
+ */
+function parseSearchValue(text) {
+    if (/^\d+(?:\.\d+)?$/.test(text)) return null;
+    return parseComponentValue(text, null);
+}
+
+/**
+ * Compare two numbers with a search operator
+ * @param {number} actual - The part's number
+ * @param {string} op - ':', '=', '<', '<=', '>' or '>='
+ * @param {number} expected - The number searched for
+ * @returns {boolean}
+ */
+function compareSearchNumber(actual, op, expected) {
+    // Values like 4.7e-9 don't compare exactly after unit conversion
+    const tolerance = Math.abs(expected) * 1e-9;
+    switch (op) {
+        case '<': return actual < expected - tolerance;
+        case '<=': return actual <= expected + tolerance;
+        case '>': return actual > expected + tolerance;
+        case '>=': return actual >= expected - tolerance;
+        default: return Math.abs(actual - expected) <= tolerance;
+    }
+}
+
+/**
+ * Every value a part carries: its value attribute and the values in its name
+ * @param {Object} part - Inventory part
+ * @returns {Array<{value: number, unit: string|null}>}
+ */
+function getPartSearchValues(part) {
+    const values = findComponentValues(part.name).values.map(({ parsed }) => parsed);
+    const value = getPartValue(part);
+    return value ? [...values, value] : values;
+}
+
+/**
+ * Whether a part carries a value, e.g. "10k" matches "10kΩ" and "10K"
+ * @param {Object} part - Inventory part
+ * @param {Object} searched - Parsed value searched for
+ * @param {string} [op=':'] - Comparison operator
+ * @returns {boolean}
+ */
+function partHasSearchValue(part, searched, op = ':') {
+    return getPartSearchValues(part).some(({ value, unit }) =>
+        (!searched.unit || !unit || searched.unit === unit) &&
+        compareSearchNumber(value, op, searched.value));
+}
+
+/**
+ * Check one search term against a part, ignoring its negation
+ * @param {string} partId - Inventory part ID
+ * @param {Object} part - Inventory part
+ * @param {Object} term - Term from parseSearchTerm()
+ * @returns {boolean}
+ */
+function matchesSearchTermField(partId, part, term) {
+    const { field, op, value } = term;
+    const lower = value.toLowerCase();
+    const squashed = squashSearchText(value);
+    switch (field) {
+        case null: {
+            const searchText = [part.name, partId, part.type || '', getAttributeSearchText(part),
+                ...(part.locations || []).map(formatLocation)].join(' ').toLowerCase();
+            // A value only matches as a value, so "10k" doesn't find 110k
+            // and "1k" doesn't find 1k5
+            const searched = parseSearchValue(value);
+            return searched ? partHasSearchValue(part, searched) : searchText.includes(lower);
+        }
+        case 'type':
+            if (squashed === 'none') return !part.type;
+            return squashSearchText(part.type || '').includes(squashed);
+        case 'cat': {
+            const category = getPartTypeCategory(part.name);
+            if (squashed === 'none') return !category;
+            if (!category) return false;
+            // "caps", "pots" and "switches" all name their category; a single
+            // letter is too short to pick one
+            if (squashed.length < 2) return false;
+            const label = squashSearchText(PART_CATEGORIES[category].label);
+            const singular = squashed.replace(/e?s$/, '');
+            return [category, label].some(name => name.startsWith(squashed) ||
+                (singular.length >= 2 && name.startsWith(singular))) ||
+                squashed.startsWith(category);
+        }
+        case 'qty':
+        case 'avail': {
+            const expected = Number(value);
+            if (!Number.isFinite(expected)) return false;
+            const actual = field === 'qty' ? (part.quantity || 0) : getAvailableQuantity(part);
+            return compareSearchNumber(actual, op, expected);
+        }
+        case 'project': {
+            const used = Object.entries(part.projects || {}).filter(([projectId, quantity]) => quantity > 0 && projects[projectId]);
+            if (squashed === 'none') return used.length === 0;
+            return used.some(([projectId]) =>
+                projectId.toLowerCase() === lower || squashSearchText(projects[projectId].name).includes(squashed));
+        }
+        case 'loc':
+            if (squashed === 'none') return !part.locations || part.locations.length === 0;
+            return (part.locations || []).some(location => formatLocation(location).toLowerCase().includes(lower));
+        case 'has':
+            return Boolean(SEARCH_HAS_FILTERS[lower] && SEARCH_HAS_FILTERS[lower](part, partId));
+        case 'is':
+            return Boolean(SEARCH_IS_FILTERS[lower] && SEARCH_IS_FILTERS[lower](part, partId));
+        default:
+            return matchesAttributeSearch(part, field, op, value);
+    }
+}
+
+/**
+ * Check an attribute filter such as voltage>=25, value<1u or package:radial
+ * @param {Object} part - Inventory part
+ * @param {string} key - Key of PART_ATTRIBUTES
+ * @param {string} op - Comparison operator
+ * @param {string} value - Value searched for
+ * @returns {boolean}
+ */
+function matchesAttributeSearch(part, key, op, value) {
+    const attribute = PART_ATTRIBUTES[key];
+    if (attribute.kind === 'value') {
+        const searched = parseSearchValue(value) || parseComponentValue(value, getPartTypeCategory(part.name));
+        return Boolean(searched && partHasSearchValue(part, searched, op));
+    }
+    const attributes = part.attributes || {};
+    if (attributes[key] === undefined) return false;
+    if (attribute.kind === 'number') {
+        const parsed = parseAttributeInput(key, value, null);
+        return parsed.value !== undefined && compareSearchNumber(attributes[key], op, parsed.value);
+    }
+    return squashSearchText(attributes[key]).includes(squashSearchText(value));
+}
+
+/**
+ * Whether a part matches every term of a search
+ * @param {string} partId - Inventory part ID
+ * @param {Object} part - Inventory part
+ * @param {Array<Object>} terms - From parseSearchQuery()
+ * @returns {boolean}
+ */
+function matchesSearchQuery(partId, part, terms) {
+    return terms.every(term => matchesSearchTermField(partId, part, term) !== term.negate);
+}
+
+/**
+ * Types offered by type: hints, those in use first
+ * @returns {Array<string>}
+ */
+function getSearchTypeValues() {
+    const inUse = Object.values(inventory).map(part => part.type).filter(Boolean);
+    const all = Object.values(PART_CATEGORIES).flatMap(category => category.types);
+    return [...new Set([...inUse, ...all, 'none'])];
+}
+
+/**
+ * Values offered for a field in the hints
+ * @param {string} field - Key of SEARCH_FIELDS or PART_ATTRIBUTES
+ * @returns {Array<string>}
+ */
+function getSearchFieldValues(field) {
+    if (SEARCH_FIELDS[field]) return SEARCH_FIELDS[field].values ? SEARCH_FIELDS[field].values() : [];
+    const inUse = Object.values(inventory)
+        .map(part => formatAttribute(field, part.attributes))
+        .filter(Boolean)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return [...new Set([...inUse, ...(PART_ATTRIBUTES[field].suggestions || [])])];
+}
+
+/**
+ * Autocomplete hints for the word being typed at the end of a search
+ * @param {string} query - Search text
+ * @returns {Array<{label: string, detail: string, replacement: string, start: number}>}
+ *   Hints, where replacement replaces the query from start onwards
+ */
+function getSearchHints(query) {
+    const words = splitSearchQuery(query);
+    const last = words[words.length - 1];
+    const start = last && last.index + last.text.length === query.length ? last.index : query.length;
+    const word = query.slice(start);
+    const minus = word.startsWith('-') ? '-' : '';
+    const filter = word.slice(minus.length).match(/^([A-Za-z]+):(.*)$/);
+    const hints = [];
+
+    if (filter && getSearchField(filter[1])) {
+        // Suggest values for the field
+        const field = getSearchField(filter[1]);
+        const typed = squashSearchText(filter[2]);
+        getSearchFieldValues(field)
+            .filter(value => squashSearchText(value).includes(typed) && squashSearchText(value) !== typed)
+            .slice(0, SEARCH_HINT_LIMIT)
+            .forEach(value => {
+                const quoted = /\s/.test(value) ? `"${value}"` : value;
+                hints.push({ label: `${minus}${filter[1]}:${quoted}`, detail: '', replacement: `${minus}${filter[1]}:${quoted} `, start });
+            });
+    } else if (/^-?[A-Za-z]+$/.test(word)) {
+        // Suggest fields, including attributes
+        const typed = word.slice(minus.length).toLowerCase();
+        const fields = [
+            ...Object.entries(SEARCH_FIELDS).map(([name, field]) => [name, field.hint, field.numeric]),
+            ...Object.entries(PART_ATTRIBUTES).map(([key, attribute]) => [key, attribute.label, attribute.kind === 'number'])
+        ];
+        fields.filter(([name]) => name.toLowerCase().startsWith(typed) && name.toLowerCase() !== typed)
+            .slice(0, SEARCH_HINT_LIMIT)
+            .forEach(([name, detail, numeric]) => {
+                const operator = numeric ? '<' : ':';
+                hints.push({ label: `${minus}${name}${operator}`, detail, replacement: `${minus}${name}${operator}`, start });
+            });
+    }
+    return hints;
+}
+
+// Hints on show, and the index of the highlighted one (-1 for none)
+let searchHints = [];
+let activeSearchHint = -1;
+
+/**
+ * Show the hints for the search input's current text
+ */
+function updateSearchHints() {
+    const searchInput = DOM.get('searchInput');
+    const list = document.getElementById('searchHints');
+    if (!searchInput || !list) return;
+    const atEnd = searchInput.selectionStart === searchInput.value.length;
+    searchHints = atEnd && document.activeElement === searchInput ? getSearchHints(searchInput.value) : [];
+    activeSearchHint = -1;
+    list.innerHTML = searchHints.map((hint, index) => `
+        <li class="search-hint" data-index="${index}">
+            <span class="search-hint-label">${escapeHtml(hint.label)}</span>
+            ${hint.detail ? `<span class="search-hint-detail">${escapeHtml(hint.detail)}</span>` : ''}
+        </li>
+    `).join('');
+    list.classList.toggle('hidden', searchHints.length === 0);
+    list.querySelectorAll('.search-hint').forEach(item => {
+        // mousedown so the input doesn't lose focus first
+        item.addEventListener('mousedown', event => {
+            event.preventDefault();
+            applySearchHint(searchHints[Number(item.dataset.index)]);
+        });
+    });
+}
+
+/**
+ * Close the hints list
+ */
+function hideSearchHints() {
+    const list = document.getElementById('searchHints');
+    if (list) list.classList.add('hidden');
+    activeSearchHint = -1;
+}
+
+/**
+ * Put a hint into the search input and search again
+ * @param {Object} hint - Hint from getSearchHints()
+ */
+function applySearchHint(hint) {
+    const searchInput = DOM.get('searchInput');
+    searchInput.value = searchInput.value.slice(0, hint.start) + hint.replacement;
+    searchInput.setSelectionRange(searchInput.value.length, searchInput.value.length);
+    searchParts();
+    updateSearchHints();
+}
+
+/**
+ * Arrow keys move through the hints, Enter or Tab picks one, Escape closes them
+ * @param {KeyboardEvent} event - Keydown on the search input
+ */
+function handleSearchHintKeys(event) {
+    const list = document.getElementById('searchHints');
+    if (!list || list.classList.contains('hidden') || searchHints.length === 0) return;
+    const items = list.querySelectorAll('.search-hint');
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (event.key === 'ArrowDown') {
+            activeSearchHint = (activeSearchHint + 1) % items.length;
+        } else {
+            activeSearchHint = activeSearchHint <= 0 ? items.length - 1 : activeSearchHint - 1;
+        }
+        items.forEach((item, index) => item.classList.toggle('active', index === activeSearchHint));
+    } else if ((event.key === 'Enter' || event.key === 'Tab') && activeSearchHint >= 0) {
+        event.preventDefault();
+        applySearchHint(searchHints[activeSearchHint]);
+    } else if (event.key === 'Escape') {
+        hideSearchHints();
+    }
+}
+
 /**
  * Get inventory entries filtered and sorted according to current settings
- * Applies search query, project filter, and sort order in sequence
+ * Applies search query, project and location filters, and sort order in sequence
  * 
  * @returns {Array} Array of [partId, partData] tuples, filtered and sorted
  */
 function getSortedInventoryEntries() {
     const entries = Object.entries(inventory);
     
-    // Step 1: Filter by search query if one exists
-    const filteredEntries = currentSearchQuery 
-        ? entries.filter(([_, part]) => {
-            const searchStr = part.name.toLowerCase();
-            return searchStr.includes(currentSearchQuery);
-        })
+    // Step 1: Filter by search query if one exists (see parseSearchQuery for the syntax)
+    const searchTerms = parseSearchQuery(currentSearchQuery);
+    const filteredEntries = searchTerms.length > 0
+        ? entries.filter(([id, part]) => matchesSearchQuery(id, part, searchTerms))
         : entries;
     
-    // Step 2: Apply project filter
-    const projectFilteredEntries = currentProjectFilter !== 'all'
-        ? filteredEntries.filter(([_, part]) => part.projects && part.projects[currentProjectFilter])
-        : filteredEntries;
+    // Step 2: Apply project, location and category filters
+    const projectFilteredEntries = filteredEntries.filter(([_, part]) =>
+        (currentProjectFilter === 'all' || (part.projects && part.projects[currentProjectFilter])) &&
+        (currentLocationFilter === 'all' || matchesLocationFilter(part, currentLocationFilter)) &&
+        (currentCategoryFilter === 'all' || (getPartTypeCategory(part.name) || 'none') === currentCategoryFilter));
     
     // Step 3: Apply sorting based on current sort order
     switch (currentSortOrder) {
@@ -782,19 +1317,37 @@ function getSortedInventoryEntries() {
             return projectFilteredEntries.sort((a, b) => a[1].name.localeCompare(b[1].name));
         case 'name-desc':
             return projectFilteredEntries.sort((a, b) => b[1].name.localeCompare(a[1].name));
+        // Quantity sorts use available stock (on hand minus reservations)
         case 'quantity-asc':
-            return projectFilteredEntries.sort((a, b) => a[1].quantity - b[1].quantity);
+            return projectFilteredEntries.sort((a, b) => getAvailableQuantity(a[1]) - getAvailableQuantity(b[1]));
         case 'quantity-desc':
-            return projectFilteredEntries.sort((a, b) => b[1].quantity - a[1].quantity);
+            return projectFilteredEntries.sort((a, b) => getAvailableQuantity(b[1]) - getAvailableQuantity(a[1]));
         case 'stock-status':
             // Sort by stock status (low stock first), then by name
             return projectFilteredEntries.sort((a, b) => {
-                const aLowStock = a[1].quantity < LOW_STOCK_THRESHOLD;
-                const bLowStock = b[1].quantity < LOW_STOCK_THRESHOLD;
+                const aLowStock = isLowStock(a[1]);
+                const bLowStock = isLowStock(b[1]);
                 if (aLowStock && !bLowStock) return -1;
                 if (!aLowStock && bLowStock) return 1;
                 return a[1].name.localeCompare(b[1].name);
             });
+        case 'location':
+            // Walk the storage in order; unplaced parts last
+            return projectFilteredEntries.sort((a, b) =>
+                compareLocations(getPartHomeLocation(a[1]), getPartHomeLocation(b[1])) ||
+                a[1].name.localeCompare(b[1].name));
+        case 'category':
+            // Grouped by category, then type, with headers (see renderFullInventory)
+            return projectFilteredEntries.sort((a, b) =>
+                compareCategories(a[1], b[1]) ||
+                a[1].name.localeCompare(b[1].name));
+        case 'value':
+        case 'voltage':
+        case 'package':
+            // Parts without the attribute go last
+            return projectFilteredEntries.sort((a, b) =>
+                compareAttributes(a[1], b[1], currentSortOrder) ||
+                a[1].name.localeCompare(b[1].name));
         default:
             return projectFilteredEntries;
     }
@@ -819,7 +1372,7 @@ function displayInventory() {
     // Ensure search state is synchronized with the actual input value
     const searchInput = DOM.get('searchInput');
     if (searchInput) {
-        const actualSearchValue = searchInput.value.toLowerCase().trim();
+        const actualSearchValue = searchInput.value.trim();
         if (actualSearchValue !== currentSearchQuery) {
             currentSearchQuery = actualSearchValue;
         }
@@ -828,14 +1381,28 @@ function displayInventory() {
     inventoryItems.innerHTML = '';
     
     // Get filtered and sorted entries (filtering is already done in getSortedInventoryEntries)
+    updateLocationFilter();
+    updateCategoryFilter();
     const sortedEntries = getSortedInventoryEntries();
     renderFullInventory(sortedEntries, inventoryItems);
+    updateInventoryValueDisplay();
 }
 
 function renderFullInventory(entries, container) {
     const fragment = document.createDocumentFragment();
+    const grouped = currentSortOrder === 'category';
+    let group;
     
     entries.forEach(([id, part]) => {
+        const category = getPartTypeCategory(part.name);
+        if (grouped && category !== group) {
+            group = category;
+            const count = entries.filter(([, other]) => getPartTypeCategory(other.name) === category).length;
+            const header = document.createElement('div');
+            header.className = 'inventory-group-header';
+            header.innerHTML = `${escapeHtml(category ? PART_CATEGORIES[category].label : 'Uncategorized')} <span>${count}</span>`;
+            fragment.appendChild(header);
+        }
         const item = createInventoryItemElement(id, part);
         fragment.appendChild(item);
     });
@@ -851,6 +1418,28 @@ function createInventoryItemElement(id, part) {
     item.className = 'inventory-item';
     item.setAttribute('data-part-id', id);
 
+    const available = getAvailableQuantity(part);
+    const reserved = getReservedQuantity(part);
+    const lowClass = isLowStock(part) ? 'low' : '';
+    const quantityTitle = `Minimum ${getPartMinStock(part)}`;
+    const reservedHtml = reserved > 0
+        ? `<span class="reserved-note" title="${reserved} reserved for projects">${available} avail</span>`
+        : '';
+    const onOrder = getOnOrderQuantity(id);
+    const onOrderHtml = onOrder > 0
+        ? `<span class="on-order-note" title="${onOrder} on open purchase orders">+${onOrder} on order</span>`
+        : '';
+
+    const home = getPartHomeLocation(part);
+    const locationHtml = home
+        ? `<span class="location-note" title="${escapeHtml(getPartLocationStock(part).map(({ location, quantity }) => `${formatLocation(location)}: ${quantity}`).join('\n'))}">${escapeHtml(formatLocation(home))}${part.locations.length > 1 ? ` +${part.locations.length - 1}` : ''}</span>`
+        : '';
+
+    const attributeEntries = getAttributeEntries(part).filter(entry => entry.key !== 'value' && entry.key !== 'footprint');
+    const attributeHtml = attributeEntries.length > 0
+        ? `<span class="attribute-note" title="${escapeHtml(getAttributeEntries(part).map(entry => `${entry.label}: ${entry.text}`).join('\n'))}">${escapeHtml(attributeEntries.map(entry => entry.text).join(' · '))}</span>`
+        : '';
+
     const projectEntries = part.projects ? Object.entries(part.projects) : [];
     let projectTagsHtml = '';
     if (projectEntries.length > 0) {
@@ -899,13 +1488,15 @@ function createInventoryItemElement(id, part) {
                     <span class="part-name-text">${escapeHtml(part.name)}</span>
                     ${typePillHtml}
                 </div>
-                <div class="project-tags">${projectTagsHtml}</div>
+                <div class="project-tags">${attributeHtml}${locationHtml}${projectTagsHtml}</div>
             </div>
             <div class="item-controls">
-                <div class="item-quantity ${part.quantity < LOW_STOCK_THRESHOLD ? 'low' : ''}">
+                <div class="item-quantity ${lowClass}" title="${quantityTitle}">
                     <button class="quantity-btn" data-action="decrease">-</button>
                     <span class="quantity-number">${part.quantity}</span>
                     <button class="quantity-btn" data-action="increase">+</button>
+                    ${reservedHtml}
+                    ${onOrderHtml}
                 </div>
                 <div class="item-actions">
                     <button class="action-icon edit-icon" title="Edit part">
@@ -927,12 +1518,14 @@ function createInventoryItemElement(id, part) {
                     <span class="part-name-text">${escapeHtml(part.name)}</span>
                     ${typePillHtml}
                 </div>
-                <div class="project-tags">${projectTagsHtml}</div>
+                <div class="project-tags">${attributeHtml}${locationHtml}${projectTagsHtml}</div>
             </div>
-            <div class="item-quantity ${part.quantity < LOW_STOCK_THRESHOLD ? 'low' : ''}">
+            <div class="item-quantity ${lowClass}" title="${quantityTitle}">
                 <button class="quantity-btn" data-action="decrease">-</button>
                 <span class="quantity-number">${part.quantity}</span>
                 <button class="quantity-btn" data-action="increase">+</button>
+                ${reservedHtml}
+                ${onOrderHtml}
             </div>
             <div class="item-actions">
                 <button class="action-icon edit-icon" title="Edit part">
@@ -992,17 +1585,28 @@ function createInventoryItemElement(id, part) {
     return item;
 }
 
-function adjustStockInline(partId, action) {
+/**
+ * Add or remove one unit of a part
+ * @param {string} partId - Part to adjust
+ * @param {string} action - 'add' or 'remove'
+ * @param {string} [reason='manual'] - Ledger reason (e.g. 'nfc' for tag taps)
+ */
+function adjustStockInline(partId, action, reason = 'manual') {
     const part = inventory[partId];
     if (!part) return;
+    const undoBefore = captureUndoState();
     
     if (action === 'add') {
         part.quantity += 1;
-        showNotification(`Added 1 ${part.name}`);
+        recordStockMovement(partId, 1, reason);
+        commitUndoableAction(`Add 1 ${part.name}`, undoBefore);
+        showNotification(`Added 1 ${part.name}`, 'success', undoToastAction());
     } else if (action === 'remove') {
         if (part.quantity > 0) {
             part.quantity -= 1;
-            showNotification(`Removed 1 ${part.name}`);
+            recordStockMovement(partId, -1, reason);
+            commitUndoableAction(`Remove 1 ${part.name}`, undoBefore);
+            showNotification(`Removed 1 ${part.name}`, 'success', undoToastAction());
         } else {
             showNotification('Cannot remove more items', 'error');
             return;
@@ -1024,6 +1628,7 @@ function showAddPartModal() {
         updateTypeDropdownVisibility(nameInput, typeDropdown, typeSuggestion);
         updateTypeSuggestion(nameInput, typeDropdown, typeSuggestion);
     }
+    loadAttributeEditor('newPartAttributes', { name: nameInput ? nameInput.value : '' });
     
     showModal('addPartModal');
     hideMobileNav();
@@ -1056,7 +1661,13 @@ function showEditPartModal(partId) {
     const part = inventory[partId];
     document.getElementById('editPartName').value = part.name;
     document.getElementById('editPartQuantity').value = part.quantity;
-    document.getElementById('editPartUrl').value = part.purchaseUrl || '';
+    document.getElementById('editPartUnitCost').value = typeof part.unitCost === 'number' ? part.unitCost : '';
+    document.getElementById('editPartMinStock').value = Number.isInteger(part.minStock) ? part.minStock : '';
+    document.getElementById('editPartReorderQty').value = Number.isInteger(part.reorderQty) ? part.reorderQty : '';
+    updateStockLevelPlaceholders();
+    renderOfferEditor(getPartOffers(part));
+    renderLocationEditor(part);
+    loadAttributeEditor('editPartAttributes', part);
     document.getElementById('editPartId').value = partId;
     const typeDropdown = document.getElementById('editPartType');
     const typeSuggestion = document.getElementById('editPartTypeSuggestion');
@@ -1069,9 +1680,11 @@ function showEditPartModal(partId) {
     
     // Populate project assignments section
     populateEditPartProjectsSection(partId);
+    renderPartHistory(partId, document.getElementById('editPartHistory'));
     
     showModal('editPartModal');
     hideMobileNav();
+    pushRoute(getPartRoute(partId));
 }
 
 function populateEditPartProjectsSection(partId) {
@@ -1103,10 +1716,12 @@ function populateEditPartProjectsSection(partId) {
     for (const projectId in projects) {
         const project = projects[projectId];
         const currentQty = (part.projects && part.projects[projectId]) ? part.projects[projectId] : 0;
+        const reservedQty = getReservedQuantity(part, projectId);
         
         projectsHtml += `
             <div class="nord-project-inv-row">
                 <span class="nord-project-inv-name" title="${escapeHtml(project.name)}">${escapeHtml(project.name)}</span>
+                ${reservedQty > 0 ? `<span class="reserved-note">${reservedQty} reserved</span>` : ''}
                 <div class="modal-item-quantity">
                     <button type="button" class="quantity-btn" data-qty-delta="-1">-</button>
                     <input type="number" 
@@ -1216,6 +1831,7 @@ function populateNewPartProjectsSection() {
 
 function hideEditPartModal() {
     hideModal('editPartModal');
+    leaveRoute('editPartModal');
 
     const typeDropdown = document.getElementById('editPartType');
     const typeSuggestion = document.getElementById('editPartTypeSuggestion');
@@ -1229,52 +1845,88 @@ function hideEditPartModal() {
 
 function saveEditPart() {
     if (!editingPartId) return;
+    const undoBefore = captureUndoState();
     const newName = document.getElementById('editPartName').value.trim();
     const newQuantity = parseInt(document.getElementById('editPartQuantity').value) || 0;
-    const rawNewUrl = document.getElementById('editPartUrl').value.trim();
-    const newUrl = sanitizePurchaseUrl(rawNewUrl);
+    const rawUnitCost = document.getElementById('editPartUnitCost').value.trim();
+    const newUnitCost = parseFloat(rawUnitCost);
+    const rawMinStock = document.getElementById('editPartMinStock').value.trim();
+    const rawReorderQty = document.getElementById('editPartReorderQty').value.trim();
+    const { offers: newOffers, error: offerError } = readOfferEditor();
+    const { locations: newLocations, error: locationError } = readLocationEditor(newQuantity);
+    const { attributes: newAttributes, error: attributeError } = readAttributeEditor('editPartAttributes');
     let newId = document.getElementById('editPartId').value.trim();
     const newType = document.getElementById('editPartType').value;
     if (!newName) {
         showNotification('Please enter a part name', 'error');
         return;
     }
-    if (rawNewUrl && !newUrl) {
-        showNotification('Purchase link must be a valid http(s) URL', 'error');
+    if (rawUnitCost && !(newUnitCost >= 0)) {
+        showNotification('Unit cost must be a number of 0 or more', 'error');
+        return;
+    }
+    if ([rawMinStock, rawReorderQty].some(raw => raw && !(Number.isInteger(Number(raw)) && Number(raw) >= 0))) {
+        showNotification('Minimum stock and reorder quantity must be whole numbers of 0 or more', 'error');
+        return;
+    }
+    if (offerError) {
+        showNotification(offerError, 'error');
+        return;
+    }
+    if (locationError) {
+        showNotification(locationError, 'error');
+        return;
+    }
+    if (attributeError) {
+        showNotification(attributeError, 'error');
         return;
     }
-    // Generate ID: normalize name + _ + normalize type (if type is selected)
+    // Generate ID: normalize name + _ + normalize type (if type is selected),
+    // then the ratings so the same name can be stocked at several
     if (!newId) {
         newId = normalizeValue(newName);
         if (newType) {
             newId += '_' + normalizeValue(newType);
         }
+        newId += getAttributeIdSuffix(newAttributes);
     }
     if (newId !== editingPartId && inventory[newId]) {
         showNotification('Part ID already exists', 'error');
         return;
     }
     const previousPartId = editingPartId;
+    const previousQuantity = inventory[editingPartId].quantity || 0;
     if (newId !== editingPartId) {
         const part = inventory[editingPartId];
         inventory[newId] = {
+            ...part,
             name: newName,
             quantity: newQuantity,
-            purchaseUrl: newUrl,
             projects: part.projects || {},
             type: newType || undefined
         };
         delete inventory[editingPartId];
         editingPartId = newId;
+        recordStockMovement(newId, 0, 'rename', { fromPartId: previousPartId });
+        remapPartReferences(previousPartId, newId);
     } else {
         inventory[editingPartId].name = newName;
         inventory[editingPartId].quantity = newQuantity;
-        inventory[editingPartId].purchaseUrl = newUrl;
         if (!inventory[editingPartId].projects) {
             inventory[editingPartId].projects = {};
         }
         inventory[editingPartId].type = newType || undefined;
     }
+    setPartOffers(inventory[editingPartId], newOffers);
+    setPartLocations(inventory[editingPartId], newLocations);
+    setPartAttributes(inventory[editingPartId], newAttributes);
+    setPartStockLevel(inventory[editingPartId], 'minStock', rawMinStock);
+    setPartStockLevel(inventory[editingPartId], 'reorderQty', rawReorderQty);
+    if (rawUnitCost) {
+        inventory[editingPartId].unitCost = newUnitCost;
+    } else {
+        delete inventory[editingPartId].unitCost;
+    }
     // --- Begin: Read project assignments from modal ---
     const projectRows = document.querySelectorAll('.edit-project-qty');
     const newProjects = {};
@@ -1306,12 +1958,15 @@ function saveEditPart() {
         }
     }
     // --- End: Read project assignments from modal ---
+    recordStockMovement(newId, newQuantity - previousQuantity, 'stocktake');
     // Removed selectPart call as function doesn't exist
     saveProjects();
     saveInventory();
     displayInventory();
     hideEditPartModal();
-    showNotification(`Updated ${newName}`);
+    // Saving without changes leaves nothing to undo
+    const changed = commitUndoableAction(`Edit ${newName}`, undoBefore);
+    showNotification(`Updated ${newName}`, 'success', changed ? undoToastAction() : null);
 }
 
 function showDeletePartModal(partId) {
@@ -1333,17 +1988,21 @@ function confirmDeletePart() {
     if (!deletingPartId) return;
     
     const partName = inventory[deletingPartId].name;
+    const undoBefore = captureUndoState();
     
     if (currentPartId === deletingPartId) {
         currentPartId = null;
         // Removed hidePartInfoPanel call as function doesn't exist
     }
     
+    const deletedQuantity = inventory[deletingPartId].quantity || 0;
     delete inventory[deletingPartId];
+    recordStockMovement(deletingPartId, -deletedQuantity, 'manual', { note: 'Part deleted' });
     saveInventory();
     displayInventory();
     hideDeletePartModal();
-    showNotification(`Deleted ${partName}`);
+    commitUndoableAction(`Delete ${partName}`, undoBefore);
+    showNotification(`Deleted ${partName}`, 'success', undoToastAction());
 }
 
 function addNewPart() {
@@ -1357,6 +2016,7 @@ function addNewPart() {
     }
     let id = document.getElementById('newPartId').value.trim();
     const type = document.getElementById('newPartType').value;
+    const { attributes, error: attributeError } = readAttributeEditor('newPartAttributes');
     
     // Input validation
     if (!name) {
@@ -1371,17 +2031,24 @@ function addNewPart() {
         showNotification('Invalid quantity (0-999999)', 'error');
         return;
     }
-    // Generate ID: normalize name + _ + normalize type (if type is selected)
+    if (attributeError) {
+        showNotification(attributeError, 'error');
+        return;
+    }
+    // Generate ID: normalize name + _ + normalize type (if type is selected),
+    // then the ratings so the same name can be stocked at several
     if (!id) {
         id = normalizeValue(name);
         if (type) {
             id += '_' + normalizeValue(type);
         }
+        id += getAttributeIdSuffix(attributes);
     }
     if (inventory[id]) {
         showNotification('Part ID already exists', 'error');
         return;
     }
+    const undoBefore = captureUndoState();
     // Read project assignments from modal
     const projectRows = document.querySelectorAll('.new-project-qty');
     const newProjects = {};
@@ -1400,6 +2067,8 @@ function addNewPart() {
         projects: newProjects,
         type: type || undefined
     };
+    setPartAttributes(inventory[id], attributes);
+    recordStockMovement(id, quantity, 'stocktake', { note: 'Initial count' });
     
     // Update project BOMs
     for (const projectId in projects) {
@@ -1416,20 +2085,22 @@ function addNewPart() {
     saveInventory();
     displayInventory();
     hideAddPartModal();
-    showNotification(`Added ${name} to inventory`);
+    commitUndoableAction(`Add ${name}`, undoBefore);
+    showNotification(`Added ${name} to inventory`, 'success', undoToastAction());
 }
 
+/**
+ * Open a part's purchase link, asking which supplier to use when several
+ * offers have links
+ * @param {string} partId - Part to buy
+ */
 function handlePurchaseClick(partId) {
     const part = inventory[partId];
-    if (part && part.purchaseUrl) {
-        // Validate at click time too: URLs may come from imported files
-        // saved before sanitization existed
-        const safeUrl = sanitizePurchaseUrl(part.purchaseUrl);
-        if (!safeUrl) {
-            showNotification('Purchase link is not a valid web address', 'error');
-            return;
-        }
-        window.open(safeUrl, '_blank', 'noopener');
+    const linkedOffers = getPartOffers(part).filter(offer => offer.url);
+    if (linkedOffers.length > 1) {
+        showOfferChooserModal(partId);
+    } else if (linkedOffers.length === 1) {
+        openPurchaseUrl(linkedOffers[0].url);
     } else {
         showNotification('No purchase link available', 'error');
     }
@@ -1445,8 +2116,9 @@ function handlePurchaseClick(partId) {
  * 
  * @param {string} message - The message to display
  * @param {string} type - 'success' (default) or 'error' for styling
+ * @param {Object} [action] - Optional { label, onClick } rendered as a button in the toast
  */
-function showNotification(message, type = 'success') {
+function showNotification(message, type = 'success', action = null) {
     const notification = document.getElementById('notification');
     
     // Clear any existing timeout to prevent conflicts
@@ -1468,6 +2140,17 @@ function showNotification(message, type = 'success') {
     setTimeout(() => {
         notification.textContent = message;
         notification.className = `notification ${type === 'error' ? 'error' : ''}`;
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                notification.classList.remove('show');
+                action.onClick();
+            });
+            notification.appendChild(actionBtn);
+        }
         
         // Force another reflow before adding show class
         notification.offsetHeight;
@@ -1503,99 +2186,440 @@ function clearStuckNotifications() {
 }
 
 /**
- * Check URL parameters for part-specific actions (deep linking support)
- * Supports actions like quickly removing stock for a specific part
- * Example: ?part=resistor_10k&remove=1
+ * Print a document instead of the app: the HTML is shown in #printArea,
+ * which the print stylesheet shows on its own
+ * @param {string} html - Content to print
  */
-function checkUrlForPart() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const partId = urlParams.get('part');
-    const quickRemove = urlParams.get('remove');
-    
-    if (partId && inventory[partId]) {
-        if (quickRemove === '1') {
-            adjustStockInline(partId, 'remove');
-        }
-    }
+function printHtml(html) {
+    document.getElementById('printArea').innerHTML = html;
+    window.print();
 }
 
-
-
 // =============================================================================
-// PROJECT MANAGEMENT FUNCTIONALITY
+// DEEP LINKS
 // =============================================================================
 
 /**
- * Initialize projects data from localStorage
- * Loads saved project information and updates the project filter dropdown
+ * Links programmed into NFC tags and printed as label QR codes:
+ *   ?part=<id>              open the part's edit view
+ *   ?part=<id>&add=N        add N to stock
+ *   ?part=<id>&remove=N     remove N from stock
+ *   ?part=<id>&set=N        set stock to N (stocktake)
+ *   ?project=<id>           open the project
+ *   ?project=<id>&build=N   start building N units
+ * Add &confirm=1 to ask before a stock change is applied. The part and
+ * project can also be given as a route (see ROUTER): /part/<id>?add=N.
  */
-function initializeProjects() {
-    const savedProjects = localStorage.getItem('guitarPedalProjects');
-    if (savedProjects) {
-        try {
-            projects = decompressData(savedProjects);
-        } catch (error) {
-            console.warn('Failed to decompress projects data, trying fallback:', error);
-            projects = JSON.parse(savedProjects);
-        }
-        updateProjectFilter();
-    }
+
+// Stock actions a part link can carry, checked in this order
+const DEEP_LINK_STOCK_ACTIONS = ['add', 'remove', 'set'];
+
+// Link waiting in the confirmation sheet
+let pendingDeepLink = null;
+
+/**
+ * Link that opens the app on a part, as programmed into NFC tags and
+ * printed in label QR codes
+ * @param {string} partId - Inventory part ID
+ * @param {Object} [params] - Extra parameters, e.g. { remove: 1 }
+ * @returns {string} Absolute URL
+ */
+function getPartDeepLink(partId, params = {}) {
+    const url = new URL(getPartRoute(partId), window.location.origin);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.href;
 }
 
 /**
- * Update the project filter dropdown with current projects
- * Rebuilds the dropdown options while preserving the current selection
+ * Work out what a link asks for
+ * @param {URLSearchParams} params - Link parameters
+ * @returns {Object|null} { type: 'stock', partId, action, amount, confirm },
+ *   { type: 'edit', partId }, { type: 'project', projectId },
+ *   { type: 'build', projectId, count }, { error } for a link that can't be
+ *   carried out, or null when the link has no action
  */
-function updateProjectFilter() {
-    const filter = document.getElementById('projectFilter');
-    if (!filter) return;
-    
-    // Store current selection to restore after rebuilding
-    const currentValue = filter.value;
-    
-    // Clear existing options and add default "All Projects" option
-    filter.innerHTML = '<option value="all">All Projects</option>';
-    
-    // Add option for each project
-    for (const projectId in projects) {
-        const option = document.createElement('option');
-        option.value = projectId;
-        option.textContent = projects[projectId].name;
-        filter.appendChild(option);
+function parseDeepLink(params) {
+    const readCount = (key, min) => {
+        const raw = params.get(key);
+        if (!/^\d+$/.test(raw || '')) return null;
+        const count = parseInt(raw);
+        return count >= min ? count : null;
+    };
+    const confirm = params.get('confirm') === '1';
+
+    const projectId = params.get('project');
+    if (projectId !== null) {
+        if (!projects[projectId]) return { error: `No project with ID "${projectId}"` };
+        if (!params.has('build')) return { type: 'project', projectId };
+        const count = readCount('build', 1);
+        if (count === null) return { error: `Invalid build count "${params.get('build')}"` };
+        return { type: 'build', projectId, count };
     }
-    
-    // Restore previous selection if the project still exists
-    if (currentValue !== 'all' && projects[currentValue]) {
-        filter.value = currentValue;
-    } else {
-        filter.value = 'all';
+
+    const partId = params.get('part');
+    if (partId === null) return null;
+    if (!inventory[partId]) {
+        return { error: `No part with ID "${partId}". It may have been renamed or deleted.` };
     }
+    const action = DEEP_LINK_STOCK_ACTIONS.find(key => params.has(key));
+    if (!action) return { type: 'edit', partId };
+    const amount = readCount(action, action === 'set' ? 0 : 1);
+    if (amount === null) return { error: `Invalid ${action} amount "${params.get(action)}"` };
+    return { type: 'stock', partId, action, amount, confirm };
 }
 
 /**
- * Handle project filter changes
- * Updates the current project filter and refreshes the inventory display
+ * The new quantity a stock link would leave
+ * @param {Object} link - From parseDeepLink()
+ * @returns {number} Quantity after the change
  */
-function filterByProject() {
-    currentProjectFilter = document.getElementById('projectFilter').value;
-    displayInventory();
+function getDeepLinkQuantity(link) {
+    const current = inventory[link.partId].quantity || 0;
+    if (link.action === 'add') return current + link.amount;
+    if (link.action === 'remove') return current - link.amount;
+    return link.amount;
 }
 
-function showProjectDetails(projectId) {
-    hideMobileNav(); // Always hide nav bar when opening project details
-    const project = projects[projectId];
-    
-    if (!project) {
-        console.error('Project not found:', projectId);
-        showNotification('Project not found', 'error');
-        return;
+/**
+ * Describe a stock link for the confirmation sheet and notifications
+ * @param {Object} link - From parseDeepLink()
+ * @returns {string} e.g. "Remove 2 Resistor 10k"
+ */
+function describeDeepLink(link) {
+    const name = inventory[link.partId].name;
+    if (link.action === 'set') return `Set ${name} to ${link.amount}`;
+    return `${link.action === 'add' ? 'Add' : 'Remove'} ${link.amount} ${name}`;
+}
+
+/**
+ * Check URL parameters for tag actions (deep linking support) and carry
+ * them out. The URL is rewritten first: links to a part or project become
+ * its route for the router to open, and actions are dropped so a reload
+ * doesn't repeat a stock change.
+ * Example: ?part=resistor_10k&remove=1
+ */
+function checkUrlForPart() {
+    const params = new URLSearchParams(window.location.search);
+    const match = matchRoute(window.location.pathname);
+    if (match && match.route.param && !params.has(match.route.param)) {
+        params.set(match.route.param, match.id);
     }
-    
-    const bom = project.bom;
-    let totalParts = 0;
+    const link = parseDeepLink(params);
+    if (!link) return;
+
+    let route = '/';
+    if (link.type === 'edit') route = getPartRoute(link.partId);
+    if (link.type === 'project' || link.type === 'build') route = getProjectRoute(link.projectId);
+    window.history.replaceState(null, '', route);
+
+    if (link.error) {
+        showNotification(link.error, 'error');
+    } else if (link.type === 'build') {
+        // Open the project underneath so the build lands back on it
+        applyRoute();
+        applyDeepLink(link);
+    } else if (link.type === 'stock') {
+        if (link.confirm) showDeepLinkModal(link);
+        else applyDeepLink(link);
+    }
+}
+
+/**
+ * Carry out a link's action; links to views are opened by the router
+ * @param {Object} link - Build or stock link from parseDeepLink()
+ */
+function applyDeepLink(link) {
+    switch (link.type) {
+        case 'build':
+            showBuildProjectModal(link.projectId);
+            document.getElementById('buildCountInput').value = String(link.count);
+            renderBuildPreview();
+            break;
+        case 'stock':
+            applyDeepLinkStockChange(link);
+            break;
+    }
+}
+
+/**
+ * Apply a tag's stock change as one undoable step, logged in the part's
+ * history with the 'nfc' reason
+ * @param {Object} link - Stock link from parseDeepLink()
+ */
+function applyDeepLinkStockChange(link) {
+    const part = inventory[link.partId];
+    if (!part) {
+        showNotification('Part not found', 'error');
+        return;
+    }
+    const quantity = getDeepLinkQuantity(link);
+    if (quantity < 0) {
+        showNotification(`Cannot remove ${link.amount}: only ${part.quantity || 0} ${part.name} in stock`, 'error');
+        return;
+    }
+    const description = describeDeepLink(link);
+    const delta = quantity - (part.quantity || 0);
+    if (delta === 0) {
+        showNotification(`${part.name} is already at ${quantity}`);
+        return;
+    }
+    const undoBefore = captureUndoState();
+    part.quantity = quantity;
+    recordStockMovement(link.partId, delta, 'nfc', { note: `${link.action}=${link.amount}` });
+    saveInventory();
+    displayInventory();
+    commitUndoableAction(description, undoBefore);
+    showNotification(`${description} (now ${quantity})`, 'success', undoToastAction());
+}
+
+/**
+ * Ask before applying a tag's stock change (links with &confirm=1)
+ * @param {Object} link - Stock link from parseDeepLink()
+ */
+function showDeepLinkModal(link) {
+    pendingDeepLink = link;
+    const part = inventory[link.partId];
+    document.getElementById('deepLinkMessage').textContent = `${describeDeepLink(link)}?`;
+    document.getElementById('deepLinkDetails').textContent =
+        `In stock: ${part.quantity || 0} → ${getDeepLinkQuantity(link)}`;
+    showModal('deepLinkModal');
+    hideMobileNav();
+}
+
+function hideDeepLinkModal() {
+    hideModal('deepLinkModal');
+    pendingDeepLink = null;
+    showMobileNav();
+}
+
+function confirmDeepLink() {
+    const link = pendingDeepLink;
+    hideDeepLinkModal();
+    if (link) applyDeepLink(link);
+}
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+/**
+ * Addressable views. Each view is still a modal: its route is pushed when
+ * the modal opens and popped when it closes, so views can be bookmarked
+ * and shared, and the back button closes them. The host (and the service
+ * worker when offline) serves index.html for every path.
+ *   /part/:id       Edit Part
+ *   /project/:id    Project details
+ *   /requirements   All project requirements
+ *   /shopping       Shopping list
+ * Routes with an ID name the deep link parameter they stand for (see
+ * DEEP LINKS), so /part/:id?remove=1 works like ?part=:id&remove=1.
+ */
+const ROUTES = [
+    {
+        prefix: '/part/',
+        param: 'part',
+        modal: 'editPartModal',
+        label: 'Part',
+        exists: id => inventory[id],
+        current: () => editingPartId,
+        open: id => showEditPartModal(id),
+        close: () => hideEditPartModal()
+    },
+    {
+        prefix: '/project/',
+        param: 'project',
+        modal: 'projectDetailsModal',
+        label: 'Project',
+        exists: id => projects[id],
+        current: () => viewingProjectId,
+        open: id => showProjectDetails(id),
+        close: () => hideProjectDetailsModal()
+    },
+    {
+        path: '/requirements',
+        modal: 'allProjectRequirementsModal',
+        open: () => showAllProjectRequirements(),
+        close: () => hideAllProjectRequirementsModal()
+    },
+    {
+        path: '/shopping',
+        modal: 'shoppingListModal',
+        open: () => showShoppingListModal(),
+        close: () => hideShoppingListModal()
+    }
+];
+
+// True while views are opened or closed to match the URL, so they don't
+// push or pop history themselves
+let applyingRoute = false;
+
+function getPartRoute(partId) {
+    return `/part/${encodeURIComponent(partId)}`;
+}
+
+function getProjectRoute(projectId) {
+    return `/project/${encodeURIComponent(projectId)}`;
+}
+
+/**
+ * Find the view a path points at
+ * @param {string} pathname - URL path
+ * @returns {{route: Object, id: string|null}|null} Route and its ID, or
+ *   null for the main inventory view and unknown paths
+ */
+function matchRoute(pathname) {
+    for (const route of ROUTES) {
+        if (route.path === pathname) return { route, id: null };
+        if (!route.prefix || !pathname.startsWith(route.prefix)) continue;
+        const rest = pathname.slice(route.prefix.length);
+        if (!rest || rest.includes('/')) return null;
+        try {
+            return { route, id: decodeURIComponent(rest) };
+        } catch (error) {
+            return null;
+        }
+    }
+    return null;
+}
+
+function isModalShown(modalId) {
+    return document.getElementById(modalId).classList.contains('show');
+}
+
+/**
+ * Record that a view was opened
+ * @param {string} path - The view's route
+ */
+function pushRoute(path) {
+    if (applyingRoute || window.location.pathname === path) return;
+    window.history.pushState({ pedalVaultRoute: true }, '', path);
+}
+
+/**
+ * Record that a view was closed. Going back keeps history tidy when the
+ * app pushed the route; a view opened from a link or bookmark has nothing
+ * to go back to, so its URL is replaced with the root instead.
+ * @param {string} modalId - The closed view's modal
+ */
+function leaveRoute(modalId) {
+    if (applyingRoute) return;
+    const match = matchRoute(window.location.pathname);
+    if (!match || match.route.modal !== modalId) return;
+    if (window.history.state && window.history.state.pedalVaultRoute) {
+        window.history.back();
+    } else {
+        window.history.replaceState(null, '', '/');
+    }
+}
+
+/**
+ * Open and close views to match the URL
+ * Runs once at startup and on every back/forward navigation.
+ */
+function applyRoute() {
+    const match = matchRoute(window.location.pathname);
+    applyingRoute = true;
+    try {
+        ROUTES.forEach(route => {
+            if (isModalShown(route.modal) && (!match || match.route !== route)) route.close();
+        });
+        if (!match) {
+            if (window.location.pathname !== '/') window.history.replaceState(null, '', '/');
+            return;
+        }
+        const { route, id } = match;
+        if (route.exists && !route.exists(id)) {
+            showNotification(`${route.label} "${id}" not found`, 'error');
+            window.history.replaceState(null, '', '/');
+            return;
+        }
+        if (isModalShown(route.modal) && (!route.current || route.current() === id)) return;
+        route.open(id);
+    } finally {
+        applyingRoute = false;
+    }
+}
+
+/**
+ * Carry out any deep link action in the URL, then show the view it names
+ */
+function startRouter() {
+    window.addEventListener('popstate', applyRoute);
+    checkUrlForPart();
+    applyRoute();
+}
+
+// =============================================================================
+// PROJECT MANAGEMENT FUNCTIONALITY
+// =============================================================================
+
+/**
+ * Initialize projects data loaded from persistent storage
+ * Sets the project state and updates the project filter dropdown
+ * @param {Object|null} savedProjects - Saved projects, or null if none
+ */
+function initializeProjects(savedProjects) {
+    if (savedProjects) {
+        projects = savedProjects;
+        updateProjectFilter();
+    }
+}
+
+/**
+ * Update the project filter dropdown with current projects
+ * Rebuilds the dropdown options while preserving the current selection
+ */
+function updateProjectFilter() {
+    const filter = document.getElementById('projectFilter');
+    if (!filter) return;
+    
+    // Store current selection to restore after rebuilding
+    const currentValue = filter.value;
+    
+    // Clear existing options and add default "All Projects" option
+    filter.innerHTML = '<option value="all">All Projects</option>';
+    
+    // Add option for each project
+    for (const projectId in projects) {
+        const option = document.createElement('option');
+        option.value = projectId;
+        option.textContent = projects[projectId].name;
+        filter.appendChild(option);
+    }
+    
+    // Restore previous selection if the project still exists
+    if (currentValue !== 'all' && projects[currentValue]) {
+        filter.value = currentValue;
+    } else {
+        filter.value = 'all';
+    }
+}
+
+/**
+ * Handle project filter changes
+ * Updates the current project filter and refreshes the inventory display
+ */
+function filterByProject() {
+    currentProjectFilter = document.getElementById('projectFilter').value;
+    displayInventory();
+}
+
+function showProjectDetails(projectId) {
+    hideMobileNav(); // Always hide nav bar when opening project details
+    const project = projects[projectId];
+    
+    if (!project) {
+        console.error('Project not found:', projectId);
+        showNotification('Project not found', 'error');
+        return;
+    }
+    
+    const bom = project.bom;
+    let totalParts = 0;
     let missingParts = 0;
     let lowStockParts = 0;
     
+    viewingProjectId = projectId;
     document.getElementById('projectDetailsTitle').textContent = project.name;
     
     const partsContainer = document.getElementById('projectParts');
@@ -1617,6 +2641,7 @@ function showProjectDetails(projectId) {
             </li>
         `);
     } else {
+        const matchIndex = buildBomMatchIndex();
         for (const id in bom) {
             // Skip if BOM entry is invalid
             if (!bom[id] || typeof bom[id] !== 'object') {
@@ -1624,43 +2649,29 @@ function showProjectDetails(projectId) {
             }
         
         totalParts++;
-        let part = inventory[id];
-        let matchedId = id;
-        let fuzzyNote = '';
-        if (!part) {
-            // Try normalized match
-            const normId = normalizeValue(id);
-            let found = false;
-            for (const invId in inventory) {
-                if (normalizeValue(invId) === normId) {
-                    part = inventory[invId];
-                    matchedId = invId;
-                    fuzzyNote = `<span style='color:#EBCB8B;font-size:11px;'>(Auto-matched to: ${escapeHtml(part.name)})</span>`;
-                    found = true;
-                    break;
-                }
-            }
-            // Try Levenshtein if not found
-            if (!found) {
-                let bestId = null, bestDist = 99;
-                for (const invId in inventory) {
-                    const dist = levenshtein(normId, normalizeValue(invId));
-                    if (dist < bestDist) {
-                        bestDist = dist;
-                        bestId = invId;
-                    }
-                }
-                if (bestDist <= 2 && bestId) {
-                    part = inventory[bestId];
-                    matchedId = bestId;
-                    fuzzyNote = `<span style='color:#EBCB8B;font-size:11px;'>(Auto-matched to: ${escapeHtml(part.name)})</span>`;
-                }
-            }
-        }
+        const match = findBestBomMatch(id, bom[id], matchIndex);
+        const matchedId = match ? match.partId : null;
+        const part = matchedId ? inventory[matchedId] : undefined;
+        const matchNote = describeBomMatch(match);
+        const displayName = escapeHtml(bom[id].name || id.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()));
+        const designators = formatDesignators(bom[id].designators);
+        const nameHtml = designators
+            ? `<span class="bom-part-name"><strong>${displayName}</strong><span class="bom-designators">${escapeHtml(designators)}</span></span>`
+            : `<strong>${displayName}</strong>`;
+        const matchHtml = matchNote ? `
+                    <span class="bom-match-note">
+                        ${escapeHtml(matchNote)}
+                        <button class="bom-match-confirm" data-bom-id="${escapeHtml(id)}" data-part-id="${escapeHtml(matchedId)}">Confirm</button>
+                        <button class="bom-match-reject" data-bom-id="${escapeHtml(id)}" data-part-id="${escapeHtml(matchedId)}">Not this part</button>
+                    </span>` : '';
         
-        // Handle cases where part exists but has no quantity property
-        const partQuantity = part ? (part.quantity || 0) : 0;
+        // Stock this project can use: available plus its own reservation
+        const partQuantity = part ? getQuantityAvailableToProject(part, projectId) : 0;
         const bomQuantity = bom[id].quantity || 0;
+        const reservedForProject = part ? getReservedQuantity(part, projectId) : 0;
+        const reservedNote = reservedForProject > 0 ? `, ${reservedForProject} reserved` : '';
+        const onOrder = matchedId ? getOnOrderQuantity(matchedId) : 0;
+        const onOrderNote = onOrder > 0 ? `, ${onOrder} on order` : '';
         
         if (!part || partQuantity === 0) {
             // Missing entirely
@@ -1671,9 +2682,9 @@ function showProjectDetails(projectId) {
                         <span class="status-icon status-error">
                             <svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" fill="currentColor" opacity="0.15"/><line x1="15" y1="9" x2="9" y2="15" stroke="currentColor" stroke-width="2"/><line x1="9" y1="9" x2="15" y2="15" stroke="currentColor" stroke-width="2"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name || id.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))}</strong>
+                        ${nameHtml}
                     </span>
-                    <span class="bom-part-status">: Missing entirely (need ${bomQuantity})</span>
+                    <span class="bom-part-status">: Missing entirely (need ${bomQuantity}${onOrderNote})${matchHtml}</span>
                 </li>
             `);
         } else if (partQuantity < bomQuantity) {
@@ -1685,9 +2696,9 @@ function showProjectDetails(projectId) {
                         <span class="status-icon status-warning">
                             <svg viewBox="0 0 24 24"><polygon points="12,2 22,21 2,21" fill="currentColor" opacity="0.15"/><rect x="11" y="10" width="2" height="5" fill="currentColor"/><rect x="11" y="17" width="2" height="2" fill="currentColor"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name || id.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))}</strong>
+                        ${nameHtml}
                     </span>
-                    <span class="bom-part-status">: Have ${partQuantity}, need ${bomQuantity}</span>
+                    <span class="bom-part-status">: Have ${partQuantity}, need ${bomQuantity}${reservedNote}${onOrderNote}${matchHtml}</span>
                 </li>
             `);
         } else {
@@ -1698,9 +2709,9 @@ function showProjectDetails(projectId) {
                         <span class="status-icon status-success">
                             <svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" fill="currentColor" opacity="0.15"/><polyline points="8 12.5 11 16 16 9" fill="none" stroke="currentColor" stroke-width="2"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name || id.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))}</strong>
+                        ${nameHtml}
                     </span>
-                    <span class="bom-part-status">: In stock (have ${partQuantity}, need ${bomQuantity})</span>
+                    <span class="bom-part-status">: In stock (have ${partQuantity}, need ${bomQuantity}${reservedNote})${matchHtml}</span>
                 </li>
             `);
         }
@@ -1710,7 +2721,19 @@ function showProjectDetails(projectId) {
     // Add summary to the projectStatus element
     const statusContainer = document.getElementById('projectStatus');
     const sufficientParts = totalParts - missingParts - lowStockParts;
+    const buildSummary = getProjectBuildSummary(project);
+    const cost = totalParts > 0 ? getProjectCost(projectId) : null;
+    const costHtml = cost ? `
+        <div class="project-cost">
+            <span>BOM cost <strong>${formatPrice(cost.total)}</strong></span>
+            <span>Covered by stock <strong>${formatPrice(cost.covered)}</strong></span>
+            <span>Still to buy <strong>${formatPrice(cost.toBuy)}</strong></span>
+            ${cost.unpricedLines > 0 ? `<span class="project-cost-note">${cost.unpricedLines} line(s) have no price</span>` : ''}
+        </div>
+    ` : '';
     statusContainer.innerHTML = `
+        ${buildSummary ? `<p class="project-build-status">${escapeHtml(buildSummary)}</p>` : ''}
+        ${costHtml}
         <div class="project-header">
             <div class="stat-item missing">
                 <span class="stat-number">${missingParts}</span>
@@ -1732,19 +2755,29 @@ function showProjectDetails(projectId) {
     partsList.className = 'project-parts-list';
     partsList.innerHTML = results.join('');
     partsContainer.appendChild(partsList);
+    partsList.querySelectorAll('.bom-match-confirm').forEach(button => {
+        button.addEventListener('click', () => confirmProjectBomMatch(projectId, button.dataset.bomId, button.dataset.partId));
+    });
+    partsList.querySelectorAll('.bom-match-reject').forEach(button => {
+        button.addEventListener('click', () => rejectProjectBomMatch(projectId, button.dataset.bomId, button.dataset.partId));
+    });
     
     // Show the modal
     showModal('projectDetailsModal');
     hideMobileNav();
+    pushRoute(getProjectRoute(projectId));
 }
 
 function hideProjectDetailsModal() {
     hideModal('projectDetailsModal');
+    leaveRoute('projectDetailsModal');
+    viewingProjectId = null;
     showMobileNav();
 }
 
 function removeProjectTag(partId, projectId) {
     if (!inventory[partId].projects) return;
+    const undoBefore = captureUndoState();
     
     // Remove the tag from the inventory part
     delete inventory[partId].projects[projectId];
@@ -1761,12 +2794,13 @@ function removeProjectTag(partId, projectId) {
     saveProjects();
     displayInventory();
     showProjectDetails(projectId);
-    showNotification(`Removed ${inventory[partId].name} from ${projects[projectId].name}`);
+    commitUndoableAction(`Remove ${inventory[partId].name} from ${projects[projectId].name}`, undoBefore);
+    showNotification(`Removed ${inventory[partId].name} from ${projects[projectId].name}`, 'success', undoToastAction());
 }
 
-function showProjectNameModal() {
+function showProjectNameModal(defaultName = '') {
     showModal('projectNameModal');
-    document.getElementById('projectNameInput').value = '';
+    document.getElementById('projectNameInput').value = defaultName;
     document.getElementById('projectNameInput').focus();
 }
 
@@ -1789,9 +2823,10 @@ function confirmProjectName() {
         return;
     }
     if (pendingBomData) {
-        createProjectFromBom(projectName, projectId, pendingBomData);
-        pendingBomData = null;
+        // Nothing is created until the matches have been reviewed
+        showBomReviewModal(projectName, projectId, pendingBomData);
     } else {
+        const undoBefore = captureUndoState();
         // Create an empty project
         projects[projectId] = {
             name: projectName,
@@ -1800,7 +2835,8 @@ function confirmProjectName() {
         saveProjects();
         updateProjectFilter();
         displayInventory();
-        showNotification(`Created project: ${projectName}`);
+        commitUndoableAction(`Create project ${projectName}`, undoBefore);
+        showNotification(`Created project: ${projectName}`, 'success', undoToastAction());
         // If Edit Part modal is open, refresh it to show the new project
         if (document.getElementById('editPartModal').classList.contains('show') && editingPartId) {
             showEditPartModal(editingPartId);
@@ -1817,62 +2853,69 @@ function confirmProjectName() {
     hideProjectNameModal();
 }
 
-function createProjectFromBom(projectName, projectId, bom) {
+/**
+ * Create a project from an imported BOM and tag the matching inventory parts
+ * Lines are matched automatically unless review decisions are given
+ *
+ * @param {string} projectName - Display name for the new project
+ * @param {string} projectId - ID for the new project
+ * @param {Object} bom - Imported BOM, keyed by part ID ({name, quantity})
+ * @param {Object} [decisions] - Per BOM line from the review step:
+ *   {action: 'match', partId} | {action: 'create'} | {action: 'skip'}
+ */
+function createProjectFromBom(projectName, projectId, bom, decisions = null) {
     let totalParts = 0;
     let missingParts = 0;
     let lowStockParts = 0;
-    projects[projectId] = {
-        name: projectName,
-        bom: bom
-    };
+    const projectBom = {};
+    const lineParts = {};
+    const matchNotes = {};
+    const matchIndex = decisions ? null : buildBomMatchIndex();
     
     // Tag parts in the main inventory with this project
     for (const id in bom) {
-        // Find the part in inventory using multiple matching strategies
-        let partId = id;
-        if (!inventory[id]) {
-            // Strategy 1: Try exact name match
-            let found = false;
-            for (const existingId in inventory) {
-                if (inventory[existingId].name.toLowerCase() === bom[id].name.toLowerCase()) {
-                    partId = existingId;
-                    found = true;
-                    break;
-                }
-            }
-            
-            // Strategy 2: Try normalized matching if exact match failed
-            if (!found) {
-                const normalizedBomName = normalizeValue(bom[id].name);
-                const normalizedBomId = normalizeValue(id);
-                for (const existingId in inventory) {
-                    const normalizedInvName = normalizeValue(inventory[existingId].name);
-                    const normalizedInvId = normalizeValue(existingId);
-                    if (normalizedInvName === normalizedBomName || normalizedInvId === normalizedBomId) {
-                        partId = existingId;
-                        found = true;
-                        break;
-                    }
-                }
-            }
+        let decision = decisions && decisions[id];
+        if (!decision) {
+            const match = findBestBomMatch(id, bom[id], matchIndex);
+            decision = match ? { action: 'match', partId: match.partId } : { action: 'create' };
+            matchNotes[id] = describeBomMatch(match);
         }
+        if (decision.action === 'skip') continue;
         
-        if (inventory[partId]) {
-            if (!inventory[partId].projects) {
-                inventory[partId].projects = {};
+        let partId = decision.partId;
+        if (decision.action !== 'match' || !inventory[partId]) {
+            // Create the part if it doesn't exist, under a fresh ID if the
+            // BOM's ID belongs to a part the user said is different
+            partId = id;
+            for (let n = 2; inventory[partId]; n++) {
+                partId = `${id}_${n}`;
             }
-            inventory[partId].projects[projectId] = bom[id].quantity;
-        } else {
-            // Create the part if it doesn't exist
-            inventory[id] = {
+            inventory[partId] = {
                 name: bom[id].name,
                 quantity: 0,
-                projects: {
-                    [projectId]: bom[id].quantity
-                }
+                projects: {}
             };
+            // Carry over details from a mapped BOM file
+            if (bom[id].purchaseUrl) addPartOffer(inventory[partId], { url: bom[id].purchaseUrl });
+            if (getTypeOptionsForCategory(getPartTypeCategory(bom[id].name)).includes(bom[id].type)) {
+                inventory[partId].type = bom[id].type;
+            }
+        }
+        const bomKey = decision.action === 'match' ? id : partId;
+        const quantity = parseInt(bom[id].quantity) || 0;
+        
+        if (!inventory[partId].projects) {
+            inventory[partId].projects = {};
         }
+        inventory[partId].projects[projectId] = (inventory[partId].projects[projectId] || 0) + quantity;
+        addBomLine(projectBom, bomKey, { ...bom[id], quantity });
+        lineParts[bomKey] = partId;
+        if (bomKey !== id) matchNotes[bomKey] = matchNotes[id];
     }
+    projects[projectId] = {
+        name: projectName,
+        bom: projectBom
+    };
     
     saveProjects();
     saveInventory();
@@ -1880,44 +2923,14 @@ function createProjectFromBom(projectName, projectId, bom) {
     displayInventory();
 
     // Store BOM data for comparison
-    window.currentBom = bom;
+    window.currentBom = projectBom;
 
     const results = [];
-    for (const id in bom) {
+    for (const id in projectBom) {
         totalParts++;
-        let part = inventory[id];
-        let matchedId = id;
-        let fuzzyNote = '';
-        if (!part) {
-            // Try normalized match
-            const normId = normalizeValue(id);
-            let found = false;
-            for (const invId in inventory) {
-                if (normalizeValue(invId) === normId) {
-                    part = inventory[invId];
-                    matchedId = invId;
-                    fuzzyNote = `<span style='color:#EBCB8B;font-size:11px;'>(Auto-matched to: ${escapeHtml(part.name)})</span>`;
-                    found = true;
-                    break;
-                }
-            }
-            // Try Levenshtein if not found
-            if (!found) {
-                let bestId = null, bestDist = 99;
-                for (const invId in inventory) {
-                    const dist = levenshtein(normId, normalizeValue(invId));
-                    if (dist < bestDist) {
-                        bestDist = dist;
-                        bestId = invId;
-                    }
-                }
-                if (bestDist <= 2 && bestId) {
-                    part = inventory[bestId];
-                    matchedId = bestId;
-                    fuzzyNote = `<span style='color:#EBCB8B;font-size:11px;'>(Auto-matched to: ${escapeHtml(part.name)})</span>`;
-                }
-            }
-        }
+        const part = inventory[lineParts[id]];
+        const matchNote = matchNotes[id];
+        const matchHtml = matchNote ? `<span class="bom-match-note">${escapeHtml(matchNote)}</span>` : '';
         if (!part || part.quantity === 0) {
             // Missing entirely
             missingParts++;
@@ -1927,12 +2940,12 @@ function createProjectFromBom(projectName, projectId, bom) {
                         <span class="status-icon status-error">
                             <svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" fill="currentColor" opacity="0.15"/><line x1="15" y1="9" x2="9" y2="15" stroke="currentColor" stroke-width="2"/><line x1="9" y1="9" x2="15" y2="15" stroke="currentColor" stroke-width="2"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name)}</strong>
+                        <strong>${escapeHtml(projectBom[id].name)}</strong>
                     </span>
-                    <span class="bom-part-status">: Missing entirely (need ${bom[id].quantity})</span>
+                    <span class="bom-part-status">: Missing entirely (need ${projectBom[id].quantity})${matchHtml}</span>
                 </li>
             `);
-        } else if (part.quantity < bom[id].quantity) {
+        } else if (part.quantity < projectBom[id].quantity) {
             // Low stock
             lowStockParts++;
             const have = part.quantity;
@@ -1942,9 +2955,9 @@ function createProjectFromBom(projectName, projectId, bom) {
                         <span class="status-icon status-warning">
                             <svg viewBox="0 0 24 24"><polygon points="12,2 22,21 2,21" fill="currentColor" opacity="0.15"/><rect x="11" y="10" width="2" height="5" fill="currentColor"/><rect x="11" y="17" width="2" height="2" fill="currentColor"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name)}</strong>
+                        <strong>${escapeHtml(projectBom[id].name)}</strong>
                     </span>
-                    <span class="bom-part-status">: Have ${have}, need ${bom[id].quantity}</span>
+                    <span class="bom-part-status">: Have ${have}, need ${projectBom[id].quantity}${matchHtml}</span>
                 </li>
             `);
         } else {
@@ -1955,9 +2968,9 @@ function createProjectFromBom(projectName, projectId, bom) {
                         <span class="status-icon status-success">
                             <svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" fill="currentColor" opacity="0.15"/><polyline points="8 12.5 11 16 16 9" fill="none" stroke="currentColor" stroke-width="2"/></svg>
                         </span>
-                        <strong>${escapeHtml(bom[id].name)}</strong>
+                        <strong>${escapeHtml(projectBom[id].name)}</strong>
                     </span>
-                    <span class="bom-part-status">: In stock (have ${part.quantity}, need ${bom[id].quantity})</span>
+                    <span class="bom-part-status">: In stock (have ${part.quantity}, need ${projectBom[id].quantity})${matchHtml}</span>
                 </li>
             `);
         }
@@ -1985,27 +2998,35 @@ function compareBOM(event) {
             let bom = {};
             const fileContent = e.target.result;
             
-            // Check if file is CSV
-            if (file.name.toLowerCase().endsWith('.csv')) {
-                // Use the shared CSV parsing function
-                bom = parseBOMFromCSV(fileContent);
+            // Delimited files go through the column mapping step first
+            if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+                showBomMappingModal(fileContent, file.name.replace(/\.[^.]+$/, ''));
+                return;
+            } else if (/\.(xml|net|diy)$/i.test(file.name)) {
+                const layout = /\.diy$/i.test(file.name) ? parseDiylcBom(fileContent) : parseKicadBom(fileContent);
+                pendingBomData = layout.bom;
+                showProjectNameModal(layout.title);
+                return;
             } else {
                 // Parse JSON
                 const parsedBom = JSON.parse(fileContent);
                 if (Array.isArray(parsedBom.parts)) {
                     // Handle exported format with metadata and parts array
                     parsedBom.parts.forEach(part => {
-                        if (part.name && part.quantity !== undefined) {
+                        if (part.name && (part.quantity !== undefined || part.designators)) {
                             // Use normalized name as ID
                             const id = normalizeValue(part.name);
-                            bom[id] = { name: part.name, quantity: part.quantity };
+                            addBomLine(bom, id, createBomLine(part.name, part.quantity, part.designators));
                         }
                     });
                 } else {
                     // Handle flat object format
                     for (const id in parsedBom) {
-                        if (parsedBom[id] && parsedBom[id].quantity !== undefined) {
-                            bom[id] = parsedBom[id];
+                        const entry = parsedBom[id];
+                        if (entry && (entry.quantity !== undefined || entry.designators)) {
+                            const line = createBomLine(entry.name, entry.quantity, entry.designators);
+                            bom[id] = { ...entry, quantity: line.quantity };
+                            if (line.designators) bom[id].designators = line.designators;
                         }
                     }
                 }
@@ -2026,70 +3047,9 @@ function compareBOM(event) {
     event.target.value = '';
 }
 
-/**
- * Parse BOM data from CSV content (either file content or pasted text)
- * @param {string} csvContent - The CSV content to parse
- * @returns {Object} Parsed BOM data
- */
-function parseBOMFromCSV(csvContent) {
-    const parsed = Papa.parse(csvContent, { header: true, skipEmptyLines: true });
-    if (parsed.errors.length) {
-        console.error('CSV parse errors:', parsed.errors);
-        throw new Error('CSV parse error: ' + parsed.errors[0].message);
-    }
-    
-    let bom = {};
-    parsed.data.forEach((row, index) => {
-        // Normalize headers
-        let id = row['Part ID'] || row['part id'] || row['ID'] || row['id'] || '';
-        const name = row['Name'] || row['name'] || row['Part Name'] || row['part name'] || row['Component'] || row['component'] || '';
-        if (!name) {
-            return; // skip if no name
-        }
-        const quantity = parseInt(row['Quantity'] || row['quantity'] || '0') || 0;
-        
-        // If no explicit ID provided, try to find matching part in inventory first
-        if (!id) {
-            // Try to find exact match by name first
-            let foundId = null;
-            for (const [invId, invPart] of Object.entries(inventory)) {
-                if (invPart.name.toLowerCase() === name.toLowerCase()) {
-                    foundId = invId;
-                    break;
-                }
-            }
-            
-            // If no exact match, try normalized matching
-            if (!foundId) {
-                const normalizedName = normalizeValue(name);
-                for (const [invId, invPart] of Object.entries(inventory)) {
-                    if (normalizeValue(invPart.name) === normalizedName) {
-                        foundId = invId;
-                        break;
-                    }
-                }
-            }
-            
-            // Use found ID or create a normalized one as fallback
-            id = foundId || normalizeValue(name);
-        }
-        
-        bom[id] = {
-            name: name,
-            quantity: quantity
-        };
-    });
-    
-    if (Object.keys(bom).length === 0) {
-        throw new Error('No valid part data found. Expected columns: Name/Part/Component and Quantity');
-    }
-    
-    return bom;
-}
-
 /**
  * Process pasted BOM data from the textarea input
- * Reuses the same CSV parsing logic as compareBOM function
+ * Goes through the same column mapping step as an uploaded CSV file
  */
 function processPastedBOM() {
     const bomTextInput = document.getElementById('bomTextInput');
@@ -2104,23 +3064,14 @@ function processPastedBOM() {
         return;
     }
     
-    try {
-        // Use the shared CSV parsing function
-        const bom = parseBOMFromCSV(pastedText);
-        
-        // Store the BOM data and show the project name modal - same as compareBOM
-        pendingBomData = bom;
-        showProjectNameModal();
-        
-        // Clear the input
-        bomTextInput.value = '';
-        
-        // Hide the BOM assistant modal
-        hideBOMAssistantModal();
-        
-    } catch (err) {
-        showNotification("Error processing pasted BOM: " + err.message, "error");
-    }
+    // Hide the BOM assistant modal
+    hideBOMAssistantModal();
+    
+    // Map the columns, same as an uploaded CSV file
+    showBomMappingModal(pastedText, 'Pasted BOM');
+    
+    // Clear the input
+    bomTextInput.value = '';
 }
 
 function addMissingParts() {
@@ -2180,11 +3131,12 @@ function showProjectManagementModal() {
             }
         }
         
+        const buildSummary = getProjectBuildSummary(project);
         projectElement.innerHTML = `
             <div>
                 <strong>${escapeHtml(project.name)}</strong>
                 <div class="project-info">
-                    ${taggedParts} parts tagged
+                    ${taggedParts} parts tagged${buildSummary ? ` · ${escapeHtml(buildSummary)}` : ''}
                 </div>
             </div>
             <div>
@@ -2230,9 +3182,11 @@ function confirmDeleteProject() {
     if (!deletingProjectId) return;
     
     const projectName = projects[deletingProjectId].name;
+    const undoBefore = captureUndoState();
     
-    // Remove project tags from all parts
+    // Remove project tags and reservations from all parts
     for (const id in inventory) {
+        setReservedQuantity(inventory[id], deletingProjectId, 0);
         if (inventory[id].projects && inventory[id].projects[deletingProjectId]) {
             delete inventory[id].projects[deletingProjectId];
             // Remove projects object if empty
@@ -2261,67 +3215,48 @@ function confirmDeleteProject() {
     deletingProjectId = null;
     
     // Show notification
-    showNotification(`Deleted project: ${projectName}`);
+    commitUndoableAction(`Delete project ${projectName}`, undoBefore);
+    showNotification(`Deleted project: ${projectName}`, 'success', undoToastAction());
 }
 
 function showAllProjectRequirements() {
     // First repair any malformed BOM data
     repairBOMData();
     const partTotals = {};
+    const matchIndex = buildBomMatchIndex();
     for (const projectId in projects) {
         const bom = projects[projectId].bom;
         for (const partId in bom) {
-            const normId = normalizeValue(partId);
             const bomPart = bom[partId];
+            const matchedId = findInventoryIdForBomEntry(partId, bomPart, matchIndex);
+            // Lines matched to the same inventory part are totalled together
+            const totalKey = matchedId ? `part:${matchedId}` : normalizeValue(partId);
             const name = bomPart.name || partId.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
             const quantity = typeof bomPart.quantity === 'number' ? bomPart.quantity : (typeof bomPart.quantity === 'string' ? parseInt(bomPart.quantity) || 0 : 0);
-            if (!partTotals[normId]) {
-                partTotals[normId] = {
-                    name: name,
+            if (!partTotals[totalKey]) {
+                partTotals[totalKey] = {
+                    name: matchedId ? inventory[matchedId].name : name,
                     total: 0,
                     projects: [],
-                    inventoryQty: 0,
+                    // Available stock; reservations are added back below for the projects that need the part
+                    inventoryQty: matchedId ? Math.max(0, getAvailableQuantity(inventory[matchedId])) : 0,
+                    onOrder: matchedId ? getOnOrderQuantity(matchedId) : 0,
                     status: 'missing'
                 };
-            } else {
-                for (const id in inventory) {
-                    if (normalizeValue(id) === normId) {
-                        partTotals[normId].name = inventory[id].name;
-                        break;
-                    }
-                }
             }
-            partTotals[normId].total += quantity;
-            partTotals[normId].projects.push({
+            if (matchedId && !partTotals[totalKey].projects.some(entry => entry.projectId === projectId)) {
+                partTotals[totalKey].inventoryQty += getReservedQuantity(inventory[matchedId], projectId);
+            }
+            partTotals[totalKey].total += quantity;
+            partTotals[totalKey].projects.push({
+                projectId,
                 project: projects[projectId].name,
                 quantity: quantity
             });
         }
     }
-    for (const normId in partTotals) {
-        const part = partTotals[normId];
-        let foundInInventory = false;
-        for (const id in inventory) {
-            const invNormId = normalizeValue(id);
-            if (invNormId === normId) {
-                part.inventoryQty = inventory[id].quantity || 0;
-                foundInInventory = true;
-                break;
-            }
-        }
-        if (!foundInInventory) {
-            for (const id in inventory) {
-                const invPart = inventory[id];
-                if (normalizeValue(invPart.name) === normalizeValue(part.name)) {
-                    part.inventoryQty = invPart.quantity || 0;
-                    foundInInventory = true;
-                    break;
-                }
-            }
-        }
-        if (!foundInInventory) {
-            part.inventoryQty = 0;
-        }
+    for (const totalKey in partTotals) {
+        const part = partTotals[totalKey];
         if (part.inventoryQty === 0) {
             part.status = 'missing';
         } else if (part.inventoryQty < part.total) {
@@ -2393,6 +3328,7 @@ function showAllProjectRequirements() {
                     <span class="part-qty-info">
                         Have: <b>${part.inventoryQty}</b> / Need: <b>${part.total}</b>
                         ${part.status !== 'sufficient' ? ` / Short: <b>${Math.max(0, part.total - part.inventoryQty)}</b>` : ''}
+                        ${part.status !== 'sufficient' && part.onOrder > 0 ? ` / On order: <b>${part.onOrder}</b>` : ''}
                     </span>
                     <span class="part-usage" title="${escapeHtml(fullUsageText)}">[${escapeHtml(truncatedUsage)}]</span>
                 </li>
@@ -2414,27 +3350,3998 @@ function showAllProjectRequirements() {
     document.getElementById('allProjectRequirements').innerHTML = html;
     showModal('allProjectRequirementsModal');
     hideMobileNav();
+    pushRoute('/requirements');
 }
 
 function hideAllProjectRequirementsModal() {
     hideModal('allProjectRequirementsModal');
+    leaveRoute('allProjectRequirementsModal');
     showMobileNav();
 }
 
-function showExportBOMModal() {
-    const select = document.getElementById('exportBOMProject');
-    select.innerHTML = '<option value="">Select a project...</option>';
-    
-    for (const projectId in projects) {
-        const option = document.createElement('option');
-        option.value = projectId;
-        option.textContent = projects[projectId].name;
-        select.appendChild(option);
-    }
-    
-    showModal('exportBOMModal');
-    hideMobileNav();
-}
+// =============================================================================
+// BOM LINES AND REFERENCE DESIGNATORS
+// =============================================================================
+
+// Ranges longer than this are kept as typed rather than expanded
+const MAX_DESIGNATOR_RANGE = 500;
+
+/**
+ * Parse reference designators, expanding ranges
+ * "R1, R4 R7" -> ["R1", "R4", "R7"]; "C1-C3" or "C1-3" -> ["C1", "C2", "C3"]
+ *
+ * @param {string|Array<string>} input - Designator text or list
+ * @returns {Array<string>} Designators in the order given, without repeats
+ */
+function parseDesignators(input) {
+    const text = Array.isArray(input) ? input.join(',') : String(input || '');
+    const designators = [];
+    for (const token of text.split(/[\s,;]+/).filter(Boolean)) {
+        const range = token.match(/^([A-Za-z]+)(\d+)[-–]([A-Za-z]*)(\d+)$/);
+        if (range && (!range[3] || range[3] === range[1])) {
+            const start = parseInt(range[2]);
+            const end = parseInt(range[4]);
+            if (end >= start && end - start < MAX_DESIGNATOR_RANGE) {
+                for (let n = start; n <= end; n++) designators.push(`${range[1]}${n}`);
+                continue;
+            }
+        }
+        designators.push(token);
+    }
+    return [...new Set(designators)];
+}
+
+/**
+ * Format designators for display and export, e.g. "R1, R4, R7"
+ * @param {Array<string>} [designators] - Designator list
+ * @returns {string} Comma separated designators ('' if none)
+ */
+function formatDesignators(designators) {
+    return (designators || []).join(', ');
+}
+
+/**
+ * Build a BOM line, deriving the quantity from the designators when no
+ * quantity is given
+ * @param {string} name - Part name
+ * @param {*} quantity - Quantity as read from the file (may be empty)
+ * @param {string|Array<string>} [designators] - Reference designators
+ * @returns {{name: string, quantity: number, designators?: Array<string>}}
+ */
+function createBomLine(name, quantity, designators) {
+    const list = parseDesignators(designators);
+    const line = { name, quantity: parseInt(quantity) || list.length };
+    if (list.length) line.designators = list;
+    return line;
+}
+
+/**
+ * Add a line to a BOM, combining it with an existing line for the same part
+ * @param {Object} bom - BOM keyed by part ID
+ * @param {string} id - Part ID
+ * @param {Object} line - BOM line ({name, quantity, designators?, ...})
+ */
+function addBomLine(bom, id, line) {
+    const existing = bom[id];
+    if (!existing) {
+        bom[id] = { ...line };
+        return;
+    }
+    existing.quantity = (parseInt(existing.quantity) || 0) + (parseInt(line.quantity) || 0);
+    if (line.designators) {
+        existing.designators = [...new Set([...(existing.designators || []), ...line.designators])];
+    }
+}
+
+// =============================================================================
+// BOM COLUMN MAPPING
+// =============================================================================
+
+// Fields a BOM column can be assigned to, with the header spellings that
+// are assigned automatically (compared lowercase, punctuation stripped)
+const BOM_MAPPING_FIELDS = [
+    { key: 'name', label: 'Name', headers: ['name', 'part name', 'component', 'part', 'item', 'description', 'desc'] },
+    { key: 'value', label: 'Value', headers: ['value', 'val', 'comment'] },
+    { key: 'quantity', label: 'Quantity', headers: ['quantity', 'qty', 'count', 'amount', 'pcs'] },
+    { key: 'designators', label: 'Designators', headers: ['designator', 'designators', 'reference', 'references', 'ref', 'refs', 'ref des', 'refdes', 'parts'] },
+    { key: 'type', label: 'Type', headers: ['type', 'category', 'dielectric'] },
+    { key: 'notes', label: 'Notes', headers: ['notes', 'note', 'remarks', 'comments'] },
+    { key: 'url', label: 'Purchase URL', headers: ['url', 'link', 'purchase url', 'buy link', 'product link'] },
+    { key: 'id', label: 'Part ID', headers: ['part id', 'id'] }
+];
+
+const BOM_MAPPING_DELIMITERS = [
+    { value: '', label: 'Auto-detect' },
+    { value: ',', label: 'Comma' },
+    { value: '\t', label: 'Tab' },
+    { value: ';', label: 'Semicolon' },
+    { value: '|', label: 'Pipe' }
+];
+
+// Rows searched for the header row
+const BOM_HEADER_SEARCH_ROWS = 10;
+const BOM_MAPPING_PREVIEW_ROWS = 5;
+
+const BOM_MAPPING_PRESETS_SETTING = 'bomMappingPresets';
+
+// Saved mappings keyed by lowercase source name:
+// { source, delimiter, headerRow, headers: string[], columns: {field: header} }
+let bomMappingPresets = {};
+
+// Delimited BOM text being mapped: { text, source, rows, delimiter }
+let pendingBomMapping = null;
+
+async function loadBomMappingPresets() {
+    try {
+        const saved = await loadSetting(BOM_MAPPING_PRESETS_SETTING);
+        bomMappingPresets = saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.warn('Failed to load BOM mapping presets:', error);
+        bomMappingPresets = {};
+    }
+}
+
+function normalizeBomHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Split delimited text into rows of cells
+ * @param {string} text - CSV/TSV content
+ * @param {string} [delimiter] - Delimiter to use; detected when empty
+ * @returns {{rows: Array<Array<string>>, delimiter: string}}
+ */
+function parseDelimitedRows(text, delimiter = '') {
+    const parsed = Papa.parse(text.trim(), { delimiter, skipEmptyLines: 'greedy' });
+    if (parsed.errors.length) {
+        console.warn('CSV parse warnings:', parsed.errors);
+    }
+    return { rows: parsed.data, delimiter: parsed.meta.delimiter };
+}
+
+/**
+ * How well a header names a field: the index of the matching spelling, or
+ * that plus the number of spellings when it only starts with one
+ * ("Quantity per PCB"). Lower is better
+ * @param {string} header - Header cell
+ * @param {Object} field - Entry of BOM_MAPPING_FIELDS
+ * @returns {number} Rank, or -1 if the header doesn't name the field
+ */
+function findBomFieldForHeader(header, field) {
+    const normalized = normalizeBomHeader(header);
+    const exact = field.headers.indexOf(normalized);
+    if (exact !== -1) return exact;
+    const prefix = field.headers.findIndex(spelling => normalized.startsWith(`${spelling} `));
+    return prefix !== -1 ? prefix + field.headers.length : -1;
+}
+
+/**
+ * Pick the row that looks most like a header: the one with the most cells
+ * matching known column names, within the first few rows
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Array<Object>} [fields] - Fields to look for, shaped like BOM_MAPPING_FIELDS
+ * @returns {number} Zero-based header row index
+ */
+function detectBomHeaderRow(rows, fields = BOM_MAPPING_FIELDS) {
+    let bestRow = 0;
+    let bestScore = 0;
+    rows.slice(0, BOM_HEADER_SEARCH_ROWS).forEach((row, index) => {
+        const score = row.filter(cell =>
+            fields.some(field => findBomFieldForHeader(cell, field) !== -1)).length;
+        if (score > bestScore) {
+            bestScore = score;
+            bestRow = index;
+        }
+    });
+    return bestRow;
+}
+
+/**
+ * Assign columns to fields from their header text. Each column is used at
+ * most once, and a field prefers its earlier spellings (a "Name" column
+ * wins over "Description")
+ * @param {Array<string>} headers - Header row cells
+ * @param {Array<Object>} [fields] - Fields to assign, shaped like BOM_MAPPING_FIELDS
+ * @returns {Object} Column index per field key (-1 when unmapped)
+ */
+function guessBomColumnMapping(headers, fields = BOM_MAPPING_FIELDS) {
+    const mapping = {};
+    const used = new Set();
+    for (const field of fields) {
+        let best = -1;
+        let bestRank = Infinity;
+        headers.forEach((header, index) => {
+            const rank = findBomFieldForHeader(header, field);
+            if (rank !== -1 && rank < bestRank && !used.has(index)) {
+                best = index;
+                bestRank = rank;
+            }
+        });
+        mapping[field.key] = best;
+        if (best !== -1) used.add(best);
+    }
+    return mapping;
+}
+
+/**
+ * Build a BOM from mapped rows. Name and value are combined ("Resistor" +
+ * "10k"), and lines with the same ID (or the same normalized name when no
+ * ID column is mapped) are added together
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {number} headerRow - Zero-based header row index
+ * @param {Object} mapping - Column index per field key
+ * @returns {Object} BOM keyed by part ID
+ */
+function buildBomFromRows(rows, headerRow, mapping) {
+    const bom = {};
+    rows.slice(headerRow + 1).forEach(row => {
+        const cell = key => mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '';
+        const description = cell('name');
+        const value = cell('value');
+        let name = description;
+        if (value && !description.toLowerCase().includes(value.toLowerCase())) {
+            name = description ? `${description} ${value}` : value;
+        }
+        if (!name) {
+            return; // skip if no name
+        }
+
+        const entry = createBomLine(name, cell('quantity'), cell('designators'));
+        if (cell('type')) entry.type = cell('type');
+        if (cell('notes')) entry.notes = cell('notes');
+        const purchaseUrl = sanitizePurchaseUrl(cell('url'));
+        if (purchaseUrl) entry.purchaseUrl = purchaseUrl;
+
+        // Lines are keyed by what they say; matching them to inventory
+        // parts is left to the review step, where it can be corrected
+        addBomLine(bom, cell('id') || normalizeValue(name), entry);
+    });
+
+    if (Object.keys(bom).length === 0) {
+        throw new Error('No valid part data found. Map a Name or Value column and try again');
+    }
+    return bom;
+}
+
+/**
+ * Open the column mapping step for delimited BOM text
+ * @param {string} text - CSV/TSV content
+ * @param {string} source - Where the BOM came from (file name or "Pasted BOM")
+ */
+function showBomMappingModal(text, source) {
+    const { rows, delimiter } = parseDelimitedRows(text);
+    if (rows.length === 0) {
+        showNotification('The BOM is empty', 'error');
+        return;
+    }
+    pendingBomMapping = { text, source, rows, delimiter };
+
+    const headerRow = detectBomHeaderRow(rows);
+    const signature = rows[headerRow].map(normalizeBomHeader).join('|');
+    const preset = bomMappingPresets[source.toLowerCase()] ||
+        Object.values(bomMappingPresets).find(saved => saved.headers.map(normalizeBomHeader).join('|') === signature);
+
+    document.getElementById('bomMappingDelimiter').innerHTML = BOM_MAPPING_DELIMITERS
+        .map(({ value, label }) => `<option value="${escapeHtml(value)}">${label}</option>`).join('');
+    document.getElementById('bomMappingPreset').innerHTML = '<option value="">-- None --</option>' +
+        Object.entries(bomMappingPresets)
+            .sort(([, a], [, b]) => a.source.localeCompare(b.source))
+            .map(([key, saved]) => `<option value="${escapeHtml(key)}">${escapeHtml(saved.source)}</option>`).join('');
+    document.getElementById('bomMappingSource').value = preset ? preset.source : source;
+    document.getElementById('bomMappingSavePreset').checked = false;
+
+    if (preset) {
+        applyBomMappingPreset(Object.keys(bomMappingPresets).find(key => bomMappingPresets[key] === preset));
+    } else {
+        document.getElementById('bomMappingDelimiter').value = '';
+        document.getElementById('bomMappingHeaderRow').value = headerRow + 1;
+        renderBomMappingFields(guessBomColumnMapping(rows[headerRow]));
+    }
+    showModal('bomMappingModal');
+    hideMobileNav();
+}
+
+function hideBomMappingModal() {
+    hideModal('bomMappingModal');
+    pendingBomMapping = null;
+    showMobileNav();
+}
+
+function getBomMappingHeaderRow() {
+    const rows = pendingBomMapping.rows;
+    const value = parseInt(document.getElementById('bomMappingHeaderRow').value) || 1;
+    return Math.min(Math.max(value, 1), rows.length) - 1;
+}
+
+function getBomMappingFromForm() {
+    const mapping = {};
+    document.querySelectorAll('#bomMappingFields select').forEach(select => {
+        mapping[select.dataset.field] = parseInt(select.value);
+    });
+    return mapping;
+}
+
+/**
+ * Render one column picker per field
+ * @param {Object} mapping - Column index per field key
+ */
+function renderBomMappingFields(mapping) {
+    const headers = pendingBomMapping.rows[getBomMappingHeaderRow()] || [];
+    const columnOptions = headers
+        .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+        .join('');
+    document.getElementById('bomMappingFields').innerHTML = BOM_MAPPING_FIELDS.map(field => `
+        <label class="bom-mapping-field">
+            <span>${field.label}</span>
+            <select class="part-type-dropdown" data-field="${field.key}" onchange="renderBomMappingPreview()">
+                <option value="-1">-- Not in file --</option>
+                ${columnOptions}
+            </select>
+        </label>
+    `).join('');
+    document.querySelectorAll('#bomMappingFields select').forEach(select => {
+        const index = mapping[select.dataset.field];
+        select.value = index >= 0 && index < headers.length ? String(index) : '-1';
+    });
+    renderBomMappingPreview();
+}
+
+/**
+ * Show the first rows after the header, labelled with their mapped fields
+ */
+function renderBomMappingPreview() {
+    const rows = pendingBomMapping.rows;
+    const headerRow = getBomMappingHeaderRow();
+    const mapping = getBomMappingFromForm();
+    const headers = rows[headerRow] || [];
+    const fieldForColumn = {};
+    BOM_MAPPING_FIELDS.forEach(field => {
+        if (mapping[field.key] >= 0) fieldForColumn[mapping[field.key]] = field.label;
+    });
+
+    const head = headers.map((header, index) => `
+        <th class="${fieldForColumn[index] ? 'mapped' : ''}">
+            ${escapeHtml(header || `Column ${index + 1}`)}
+            ${fieldForColumn[index] ? `<span class="bom-mapping-target">${escapeHtml(fieldForColumn[index])}</span>` : ''}
+        </th>
+    `).join('');
+    const body = rows.slice(headerRow + 1, headerRow + 1 + BOM_MAPPING_PREVIEW_ROWS).map(row => `
+        <tr>${headers.map((_, index) =>
+            `<td class="${fieldForColumn[index] ? 'mapped' : ''}">${escapeHtml(String(row[index] ?? ''))}</td>`).join('')}</tr>
+    `).join('');
+    const remaining = Math.max(0, rows.length - headerRow - 1 - BOM_MAPPING_PREVIEW_ROWS);
+
+    document.getElementById('bomMappingPreview').innerHTML = `
+        <table class="bom-mapping-table">
+            <thead><tr>${head}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+        ${remaining > 0 ? `<p class="bom-mapping-more">…and ${remaining} more row(s)</p>` : ''}
+    `;
+    const hasName = mapping.name >= 0 || mapping.value >= 0;
+    document.getElementById('confirmBomMappingBtn').disabled = !hasName;
+}
+
+function onBomMappingDelimiterChange() {
+    const delimiter = document.getElementById('bomMappingDelimiter').value;
+    const { rows, delimiter: detected } = parseDelimitedRows(pendingBomMapping.text, delimiter);
+    pendingBomMapping.rows = rows;
+    pendingBomMapping.delimiter = detected;
+    const headerRow = detectBomHeaderRow(rows);
+    document.getElementById('bomMappingHeaderRow').value = headerRow + 1;
+    renderBomMappingFields(guessBomColumnMapping(rows[headerRow] || []));
+}
+
+function onBomMappingHeaderRowChange() {
+    renderBomMappingFields(guessBomColumnMapping(pendingBomMapping.rows[getBomMappingHeaderRow()] || []));
+}
+
+/**
+ * Apply a saved preset: its delimiter and header row, then its columns by
+ * header name (falling back to position if a header was renamed)
+ * @param {string} key - Preset key
+ */
+function applyBomMappingPreset(key) {
+    const preset = bomMappingPresets[key];
+    if (!preset) return;
+    document.getElementById('bomMappingPreset').value = key;
+    document.getElementById('bomMappingSource').value = preset.source;
+    document.getElementById('bomMappingDelimiter').value = preset.delimiter || '';
+    const { rows, delimiter } = parseDelimitedRows(pendingBomMapping.text, preset.delimiter || '');
+    pendingBomMapping.rows = rows;
+    pendingBomMapping.delimiter = delimiter;
+    document.getElementById('bomMappingHeaderRow').value = preset.headerRow + 1;
+
+    const headers = (rows[getBomMappingHeaderRow()] || []).map(normalizeBomHeader);
+    const mapping = {};
+    for (const field of BOM_MAPPING_FIELDS) {
+        const column = preset.columns[field.key];
+        if (!column) {
+            mapping[field.key] = -1;
+            continue;
+        }
+        const byName = headers.indexOf(normalizeBomHeader(column.header));
+        mapping[field.key] = byName !== -1 ? byName : column.index;
+    }
+    renderBomMappingFields(mapping);
+}
+
+function saveBomMappingPreset(source) {
+    const headerRow = getBomMappingHeaderRow();
+    const headers = pendingBomMapping.rows[headerRow];
+    const mapping = getBomMappingFromForm();
+    const columns = {};
+    for (const [field, index] of Object.entries(mapping)) {
+        if (index >= 0) columns[field] = { index, header: headers[index] };
+    }
+    bomMappingPresets[source.toLowerCase()] = {
+        source,
+        delimiter: document.getElementById('bomMappingDelimiter').value,
+        headerRow,
+        headers,
+        columns
+    };
+    saveSetting(BOM_MAPPING_PRESETS_SETTING, bomMappingPresets);
+}
+
+function confirmBomMapping() {
+    if (!pendingBomMapping) return;
+    let bom;
+    try {
+        bom = buildBomFromRows(pendingBomMapping.rows, getBomMappingHeaderRow(), getBomMappingFromForm());
+    } catch (err) {
+        showNotification(err.message, 'error');
+        return;
+    }
+    const source = document.getElementById('bomMappingSource').value.trim();
+    if (document.getElementById('bomMappingSavePreset').checked && source) {
+        saveBomMappingPreset(source);
+    }
+    hideBomMappingModal();
+
+    // Store the BOM data and show the project name modal
+    pendingBomData = bom;
+    showProjectNameModal();
+}
+
+// =============================================================================
+// KICAD IMPORT
+// =============================================================================
+
+// Reference designator prefixes and the part names they produce. Longer
+// prefixes are listed first so "RV1" is a pot, not a resistor
+const KICAD_REF_CATEGORIES = [
+    { prefix: 'LED', label: 'LED' },
+    { prefix: 'RV', label: 'Potentiometer' },
+    { prefix: 'VR', label: 'Potentiometer' },
+    { prefix: 'SW', label: 'Switch' },
+    { prefix: 'IC', label: 'IC' },
+    { prefix: 'R', label: 'Resistor' },
+    { prefix: 'C', label: 'Capacitor' },
+    { prefix: 'D', label: 'Diode' },
+    { prefix: 'Q', label: 'Transistor' },
+    { prefix: 'U', label: 'IC' },
+    { prefix: 'J', label: 'Jack' },
+    { prefix: 'S', label: 'Switch' },
+    { prefix: 'L', label: 'Inductor' }
+];
+
+// Footprint name hints for part types, checked in order
+const KICAD_FOOTPRINT_TYPES = {
+    capacitor: [
+        { pattern: /tantal/i, type: 'Tantalum' },
+        { pattern: /(^|:)CP_|elec/i, type: 'Electrolytic' },
+        { pattern: /C_Rect|film|box/i, type: 'Box Film' },
+        { pattern: /C_Disc|C_\d{4}_|MLCC|ceramic/i, type: 'MLCC' }
+    ],
+    resistor: [
+        { pattern: /metal/i, type: 'Metal Film' },
+        { pattern: /carbon/i, type: 'Carbon Film' }
+    ]
+};
+
+/**
+ * Parse a KiCad S-expression (.net) into nested arrays of strings
+ * @param {string} text - S-expression source
+ * @returns {Array} Top-level list
+ */
+function parseSExpression(text) {
+    const tokens = text.match(/\(|\)|"(?:[^"\\]|\\.)*"|[^\s()"]+/g) || [];
+    const stack = [[]];
+    for (const token of tokens) {
+        if (token === '(') {
+            const list = [];
+            stack[stack.length - 1].push(list);
+            stack.push(list);
+        } else if (token === ')') {
+            if (stack.length === 1) throw new Error('Unbalanced parentheses');
+            stack.pop();
+        } else if (token.startsWith('"')) {
+            stack[stack.length - 1].push(token.slice(1, -1).replace(/\\(.)/g, '$1'));
+        } else {
+            stack[stack.length - 1].push(token);
+        }
+    }
+    return stack[0][0] || [];
+}
+
+/**
+ * Read the components of a KiCad netlist in either format
+ * @param {string} text - XML (intermediate netlist / BOM) or S-expression (.net)
+ * @returns {{title: string, components: Array<{ref, value, footprint, libPart, description}>}}
+ */
+function readKicadComponents(text) {
+    if (text.trimStart().startsWith('<')) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) throw new Error('Not a valid KiCad XML file');
+        const childText = (el, selector) => (el.querySelector(selector) || {}).textContent || '';
+        return {
+            title: childText(doc, 'design title_block title') || childText(doc, 'design source').replace(/^.*[\\/]|\.[^.]+$/g, ''),
+            components: [...doc.querySelectorAll('components > comp')].map(comp => {
+                const libsource = comp.querySelector('libsource');
+                return {
+                    ref: comp.getAttribute('ref') || childText(comp, 'ref'),
+                    value: childText(comp, 'value'),
+                    footprint: childText(comp, 'footprint'),
+                    libPart: libsource ? libsource.getAttribute('part') || '' : '',
+                    description: libsource ? libsource.getAttribute('description') || '' : ''
+                };
+            })
+        };
+    }
+
+    const root = parseSExpression(text);
+    if (root[0] !== 'export') throw new Error('Not a KiCad netlist');
+    const find = (list, name) => list.find(item => Array.isArray(item) && item[0] === name);
+    const atom = (list, name) => {
+        const item = list && find(list, name);
+        return item ? String(item[1] || '') : '';
+    };
+    const design = find(root, 'design') || [];
+    const components = find(root, 'components') || [];
+    // Each (sheet ...) carries its own title block; the root sheet comes first
+    const titleBlocks = [design, ...design.filter(item => Array.isArray(item) && item[0] === 'sheet')]
+        .map(node => find(node, 'title_block'));
+    return {
+        title: titleBlocks.map(block => atom(block, 'title')).find(Boolean) || atom(design, 'source').replace(/^.*[\\/]|\.[^.]+$/g, ''),
+        components: components.slice(1).filter(comp => Array.isArray(comp) && comp[0] === 'comp').map(comp => {
+            const libsource = find(comp, 'libsource');
+            return {
+                ref: atom(comp, 'ref'),
+                value: atom(comp, 'value'),
+                footprint: atom(comp, 'footprint'),
+                libPart: atom(libsource, 'part'),
+                description: atom(libsource, 'description')
+            };
+        })
+    };
+}
+
+/**
+ * Name prefix for a component from its designator ("RV1" -> "Potentiometer")
+ * @param {Object} component - Component from readKicadComponents()
+ * @returns {string} Label, or '' if the prefix is unknown
+ */
+function getKicadComponentLabel(component) {
+    if (/^LED/i.test(component.libPart)) return 'LED';
+    const prefix = (component.ref.match(/^[A-Za-z]+/) || [''])[0].toUpperCase();
+    const category = KICAD_REF_CATEGORIES.find(entry => entry.prefix === prefix);
+    return category ? category.label : '';
+}
+
+/**
+ * Part type from footprint hints, falling back to the value for capacitors
+ * @param {string} name - Part name, e.g. "Capacitor 100n"
+ * @param {string} footprint - KiCad footprint, e.g. "Capacitor_THT:C_Rect_L7.2mm_W2.5mm_P5.00mm"
+ * @returns {string|undefined} Type from CAPACITOR_TYPES / RESISTOR_TYPES
+ */
+function getKicadPartType(name, footprint) {
+    const category = getPartTypeCategory(name);
+    const hint = (KICAD_FOOTPRINT_TYPES[category] || []).find(({ pattern }) => pattern.test(footprint));
+    if (hint) return hint.type;
+    return suggestPartType(name, category) || undefined;
+}
+
+/**
+ * Build a BOM from a KiCad netlist. Components are grouped by value and
+ * footprint, keep their designators, and get a type from their footprint
+ * @param {string} text - File content
+ * @returns {{title: string, bom: Object}} Design title and BOM keyed by part ID
+ */
+function parseKicadBom(text) {
+    const { title, components } = readKicadComponents(text);
+    const groups = new Map();
+    for (const component of components) {
+        // Power flags and other virtual symbols have '#' references
+        if (!component.ref || component.ref.startsWith('#') || !component.value) continue;
+        const key = `${component.value}|${component.footprint}`;
+        if (!groups.has(key)) groups.set(key, { ...component, refs: [] });
+        groups.get(key).refs.push(component.ref);
+    }
+
+    const bom = {};
+    for (const group of groups.values()) {
+        const label = getKicadComponentLabel(group);
+        const name = label && !group.value.toLowerCase().includes(label.toLowerCase())
+            ? `${label} ${group.value}`
+            : group.value;
+        const type = getKicadPartType(name, group.footprint);
+        const line = createBomLine(name, group.refs.length, group.refs);
+        if (type) line.type = type;
+        if (group.footprint) line.footprint = group.footprint;
+        // Same ID scheme as parts added by hand: name, then type
+        const id = type ? `${normalizeValue(name)}_${normalizeValue(type)}` : normalizeValue(name);
+        addBomLine(bom, id, line);
+    }
+
+    if (Object.keys(bom).length === 0) {
+        throw new Error('No components found in the KiCad file');
+    }
+    return { title, bom };
+}
+
+// =============================================================================
+// DIYLC IMPORT
+// =============================================================================
+
+// DIYLC component classes (matched against the lowercase XML tag, e.g.
+// "diylc.passive.Resistor") and the part names they produce. Anything not
+// listed, such as boards, wires and labels, is left out of the BOM
+const DIYLC_COMPONENT_CATEGORIES = [
+    { pattern: /potentiometer|trimmer/, label: 'Potentiometer' },
+    { pattern: /resistor/, label: 'Resistor' },
+    { pattern: /capacitor|electrolytic/, label: 'Capacitor' },
+    { pattern: /\.led|led$/, label: 'LED' },
+    { pattern: /transistor/, label: 'Transistor' },
+    { pattern: /diode/, label: 'Diode' },
+    { pattern: /semiconductors?\..*ic\b|_ic$|__ic/, label: 'IC' },
+    { pattern: /jack/, label: 'Jack' },
+    { pattern: /switch/, label: 'Switch' }
+];
+
+// Capacitor class name hints for part types, checked in order
+const DIYLC_CAPACITOR_TYPES = [
+    { pattern: /tantalum/, type: 'Tantalum' },
+    { pattern: /electrolytic/, type: 'Electrolytic' },
+    { pattern: /film/, type: 'Box Film' },
+    { pattern: /ceramic|disk|disc|mlcc/, type: 'MLCC' }
+];
+
+// DIYLC unit enums and the SI prefix they stand for
+const DIYLC_UNITS = { R: 'Ω', K: 'kΩ', M: 'MΩ', pF: 'pF', nF: 'nF', uF: 'µF', mF: 'mF', F: 'F' };
+
+const DIYLC_TAPERS = { LOG: 'A', LIN: 'B', REV_LOG: 'C' };
+
+/**
+ * Follow an XStream reference="../../value" attribute to the element it points at
+ * @param {Element} element - Element with a reference attribute
+ * @returns {Element|null} Referenced element
+ */
+function resolveXStreamReference(element) {
+    let current = element;
+    for (const step of element.getAttribute('reference').split('/')) {
+        if (!current) return null;
+        if (step === '..') {
+            current = current.parentElement;
+            continue;
+        }
+        const [, tag, position] = step.match(/^([^[]+)(?:\[(\d+)\])?$/) || [];
+        const matches = [...current.children].filter(child => child.tagName === tag);
+        current = matches[(parseInt(position) || 1) - 1] || null;
+    }
+    return current;
+}
+
+/**
+ * Read a component's value as text, e.g. "10kΩ", "100nF" or "2N5088"
+ * @param {Element} component - DIYLC component element
+ * @returns {string} Value text ('' if none)
+ */
+function readDiylcValue(component) {
+    let element = [...component.children].find(child => ['value', 'resistance', 'capacitance'].includes(child.tagName));
+    if (element && element.hasAttribute('reference')) element = resolveXStreamReference(element);
+    if (!element) return '';
+    const format = (number, unit) => `${parseFloat(number)}${DIYLC_UNITS[unit.trim()] || unit.trim()}`;
+    // Saved either as <value value="100" unit="K"/> or with child elements
+    if (element.hasAttribute('value') && element.hasAttribute('unit')) {
+        return format(element.getAttribute('value'), element.getAttribute('unit'));
+    }
+    const number = element.querySelector(':scope > value');
+    const unit = element.querySelector(':scope > unit');
+    if (number && unit) {
+        return format(number.textContent, unit.textContent);
+    }
+    return element.children.length === 0 ? element.textContent.trim() : '';
+}
+
+/**
+ * Build a BOM from a DIYLC layout. Components with the same name and value
+ * are grouped, and their DIYLC names (R1, C2...) kept as designators
+ * @param {string} text - .diy file content
+ * @returns {{title: string, bom: Object}} Layout title and BOM keyed by part ID
+ */
+function parseDiylcBom(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const componentsElement = doc.querySelector('project > components');
+    if (doc.querySelector('parsererror') || !componentsElement) {
+        throw new Error('Not a valid DIYLC file');
+    }
+
+    const bom = {};
+    for (const component of componentsElement.children) {
+        const className = component.tagName.toLowerCase();
+        const category = DIYLC_COMPONENT_CATEGORIES.find(({ pattern }) => pattern.test(className));
+        if (!category) continue;
+
+        const valueText = readDiylcValue(component);
+        const parsed = parseComponentValue(valueText, getPartTypeCategory(category.label));
+        let name = [category.label, parsed ? parsed.canonical : valueText].filter(Boolean).join(' ');
+        const taper = component.querySelector(':scope > taper');
+        if (taper && DIYLC_TAPERS[taper.textContent.trim()]) {
+            name += ` (${DIYLC_TAPERS[taper.textContent.trim()]})`;
+        }
+
+        let type;
+        if (category.label === 'Capacitor') {
+            const hint = DIYLC_CAPACITOR_TYPES.find(({ pattern }) => pattern.test(className));
+            type = hint ? hint.type : suggestPartType(name, 'capacitor') || undefined;
+        }
+
+        const designator = (component.querySelector(':scope > name') || {}).textContent || '';
+        const line = createBomLine(name, 1, designator);
+        if (type) line.type = type;
+        // Same ID scheme as parts added by hand: name, then type
+        const id = type ? `${normalizeValue(name)}_${normalizeValue(type)}` : normalizeValue(name);
+        addBomLine(bom, id, line);
+    }
+
+    if (Object.keys(bom).length === 0) {
+        throw new Error('No components found in the DIYLC file');
+    }
+    const title = (doc.querySelector('project > title') || {}).textContent || '';
+    return { title: title.trim(), bom };
+}
+
+// =============================================================================
+// BOM MATCHING
+// =============================================================================
+
+// Candidates at or above this confidence are matched without asking
+const BOM_AUTO_MATCH_CONFIDENCE = 0.6;
+// Candidates below this are too weak to suggest at all
+const BOM_MIN_CANDIDATE_CONFIDENCE = 0.2;
+// Keys shorter than this are not compared by edit distance: "1k" is two
+// edits from half the inventory
+const BOM_MIN_EDIT_DISTANCE_LENGTH = 5;
+// Edit distance alone never scores enough to match automatically:
+// 2N5087 is one edit from 2N5088
+const BOM_MAX_EDIT_DISTANCE_CONFIDENCE = 0.5;
+
+const BOM_ALIASES_SETTING = 'bomAliases';
+
+const BOM_MATCH_REASON_LABELS = {
+    alias: 'Confirmed match',
+    id: 'Same part ID',
+    name: 'Same name',
+    normalized: 'Same value',
+    sku: 'Same supplier SKU',
+    value: 'Same component value',
+    similar: 'Similar name'
+};
+
+// Matches the user confirmed or rejected, keyed by normalized BOM text:
+// { partId?: string, rejected?: string[] }
+let bomMatchAliases = {};
+
+/**
+ * Load learned BOM aliases from persistent storage
+ * @returns {Promise<void>}
+ */
+async function loadBomMatchAliases() {
+    try {
+        const saved = await loadSetting(BOM_ALIASES_SETTING);
+        bomMatchAliases = saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.warn('Failed to load BOM aliases:', error);
+        bomMatchAliases = {};
+    }
+}
+
+function saveBomMatchAliases() {
+    saveSetting(BOM_ALIASES_SETTING, bomMatchAliases);
+}
+
+/**
+ * Alias keys for a BOM line: its normalized name and normalized ID
+ * @param {string} bomId - BOM entry key
+ * @param {Object} [entry] - BOM entry ({name, quantity})
+ * @returns {Array<string>} Distinct non-empty keys
+ */
+function getBomAliasKeys(bomId, entry) {
+    const keys = [normalizeValue(entry && entry.name), normalizeValue(bomId)];
+    return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Point learned aliases at a part's new ID after a rename or merge
+ * @param {string} fromId - Old part ID
+ * @param {string} toId - New part ID
+ */
+function remapBomMatchAliases(fromId, toId) {
+    let changed = false;
+    for (const alias of Object.values(bomMatchAliases)) {
+        if (alias.partId === fromId) {
+            alias.partId = toId;
+            changed = true;
+        }
+        if (alias.rejected && alias.rejected.includes(fromId)) {
+            alias.rejected = [...new Set(alias.rejected.map(id => id === fromId ? toId : id))];
+            changed = true;
+        }
+    }
+    if (changed) saveBomMatchAliases();
+}
+
+/**
+ * Split a name into normalized words for similarity scoring
+ * @param {string} name - Part name
+ * @returns {Array<string>} Normalized words
+ */
+function getBomMatchTokens(name) {
+    const text = splitGluedValueText(name || '');
+    const category = getPartTypeCategory(text);
+    return text.split(/[\s,;/()-]+/)
+        .map(word => normalizeValue(word, category))
+        .filter(Boolean);
+}
+
+/**
+ * Component value keys in a name, e.g. "4k7" for "Resistor 4.7kΩ"
+ * @param {string} name - Part name or ID
+ * @param {string|null} [category] - Category override; detected from the name when omitted
+ * @returns {string} Sorted keys joined with commas ('' if none)
+ */
+function getBomMatchValueKeys(name, category) {
+    return findComponentValues(name || '', category).values
+        .map(({ parsed }) => parsed.key)
+        .sort()
+        .join(',');
+}
+
+/**
+ * Words in a purchase URL that could be a supplier SKU, e.g. "c25804"
+ * in an LCSC product link
+ * @param {string} url - Purchase URL
+ * @returns {Array<string>} Lowercase words (hyphens kept)
+ */
+function getPurchaseUrlTokens(url) {
+    let text = String(url || '');
+    try {
+        text = decodeURIComponent(text);
+    } catch (error) {
+        // Malformed escapes: match against the raw URL
+    }
+    return text.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean);
+}
+
+/**
+ * Precompute the normalized forms of every inventory part so a whole BOM
+ * can be matched without re-normalizing the inventory for each line
+ * @returns {Array<Object>} One entry per inventory part
+ */
+function buildBomMatchIndex() {
+    return Object.entries(inventory).map(([partId, part]) => ({
+        partId,
+        name: part.name || partId,
+        nameLower: (part.name || '').trim().toLowerCase(),
+        normId: normalizeValue(partId),
+        normName: normalizeValue(part.name),
+        tokens: getBomMatchTokens(part.name || partId),
+        valueKeys: getBomMatchValueKeys(part.name || partId),
+        category: getPartTypeCategory(part.name || partId),
+        digitRuns: getBomMatchDigitRuns(part.name || partId),
+        skuTokens: new Set(getPartOffers(part).flatMap(offer => [
+            ...getPurchaseUrlTokens(offer.url),
+            ...(offer.sku ? [offer.sku.toLowerCase()] : [])
+        ]))
+    }));
+}
+
+/**
+ * Share of words two names have in common, counting a word that starts
+ * with the other (TL072CP / TL072) as shared
+ * @param {Array<string>} a - Normalized words
+ * @param {Array<string>} b - Normalized words
+ * @returns {number} 0 to 1
+ */
+function getTokenSimilarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const shared = a.filter(word => b.some(other => word === other ||
+        (Math.min(word.length, other.length) >= 3 && (word.startsWith(other) || other.startsWith(word))))).length;
+    return shared / Math.max(a.length, b.length);
+}
+
+/**
+ * Edit distance between two normalized keys as a confidence, relative to
+ * their length; short keys and keys more than two edits apart score 0
+ * @param {string} a - Normalized key
+ * @param {string} b - Normalized key
+ * @returns {number} 0 to BOM_MAX_EDIT_DISTANCE_CONFIDENCE
+ */
+function getEditDistanceConfidence(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (!a || !b || Math.min(a.length, b.length) < BOM_MIN_EDIT_DISTANCE_LENGTH) return 0;
+    const distance = levenshtein(a, b);
+    return distance <= 2 ? Math.min(BOM_MAX_EDIT_DISTANCE_CONFIDENCE, 0.8 * (1 - distance / length)) : 0;
+}
+
+/**
+ * The runs of digits in a name, which tell part numbers apart
+ * ("2N3904 Transistor" -> "2,3904")
+ * @param {string} name - Part name or ID
+ * @returns {string} Digit runs joined with commas ('' if none)
+ */
+function getBomMatchDigitRuns(name) {
+    return (String(name || '').match(/\d+/g) || []).join(',');
+}
+
+/**
+ * Rank the inventory parts a BOM line could refer to
+ * Learned aliases, exact IDs and parts whose purchase URL carries the
+ * line's supplier SKU score 1, an identical name 0.95, an identical
+ * normalized name or ID 0.9 and the same component values in the same
+ * category 0.85. Near misses are scored by edit distance (only ever a
+ * suggestion) and shared words, and halved (so never matched automatically)
+ * when their component values or categories differ. Near misses whose digits
+ * differ (1N4001 / 1N4004) are different parts and are not suggested, nor
+ * are parts the user rejected for this line.
+ *
+ * @param {string} bomId - BOM entry key
+ * @param {Object} [entry] - BOM entry ({name, quantity, sku?})
+ * @param {Array<Object>} [index] - Result of buildBomMatchIndex()
+ * @param {number} [limit=5] - Maximum candidates to return
+ * @returns {Array<{partId: string, confidence: number, reason: string}>} Best first
+ */
+function getBomMatchCandidates(bomId, entry, index = buildBomMatchIndex(), limit = 5) {
+    const name = (entry && entry.name) || '';
+    const keys = getBomAliasKeys(bomId, entry);
+    const rejected = new Set();
+    const best = new Map();
+    const consider = (partId, confidence, reason) => {
+        const current = best.get(partId);
+        if (!current || confidence > current.confidence) {
+            best.set(partId, { partId, confidence, reason });
+        }
+    };
+
+    keys.forEach(key => {
+        const alias = bomMatchAliases[key];
+        if (!alias) return;
+        (alias.rejected || []).forEach(id => rejected.add(id));
+        if (alias.partId && inventory[alias.partId]) consider(alias.partId, 1, 'alias');
+    });
+
+    if (inventory[bomId]) consider(bomId, 1, 'id');
+
+    const nameLower = name.trim().toLowerCase();
+    const normId = normalizeValue(bomId);
+    const normName = normalizeValue(name);
+    const tokens = getBomMatchTokens(name || bomId);
+    const category = getPartTypeCategory(name || bomId);
+    const digitRuns = getBomMatchDigitRuns(name || bomId);
+    // A bare "100n" only reads as a value once a capacitor is in mind, so
+    // lines without a category are read in each candidate's category
+    const valueKeysByCategory = new Map();
+    const getValueKeys = (partCategory) => {
+        const key = category || partCategory;
+        if (!valueKeysByCategory.has(key)) valueKeysByCategory.set(key, getBomMatchValueKeys(name || bomId, key));
+        return valueKeysByCategory.get(key);
+    };
+    const sku = entry && entry.sku ? String(entry.sku).trim().toLowerCase() : '';
+
+    for (const part of index) {
+        if (sku && part.skuTokens.has(sku)) {
+            consider(part.partId, 1, 'sku');
+            continue;
+        }
+        if (nameLower && part.nameLower === nameLower) {
+            consider(part.partId, 0.95, 'name');
+            continue;
+        }
+        if ((normId && (part.normId === normId || part.normName === normId)) ||
+            (normName && (part.normName === normName || part.normId === normName))) {
+            consider(part.partId, 0.9, 'normalized');
+            continue;
+        }
+
+        // A part from another category, or with a value only one side has,
+        // is at best a suggestion
+        const sameCategory = !category || !part.category || category === part.category;
+        const valueKeys = getValueKeys(part.category);
+        if (valueKeys && valueKeys === part.valueKeys && sameCategory) {
+            consider(part.partId, 0.85, 'value');
+            continue;
+        }
+        if (digitRuns && part.digitRuns && digitRuns !== part.digitRuns) continue;
+        let confidence = Math.max(
+            getEditDistanceConfidence(normId, part.normId),
+            normName ? getEditDistanceConfidence(normName, part.normName) : 0,
+            0.6 * getTokenSimilarity(tokens, part.tokens));
+        if (valueKeys !== part.valueKeys || !sameCategory) confidence /= 2;
+        if (confidence >= BOM_MIN_CANDIDATE_CONFIDENCE) {
+            consider(part.partId, Math.round(confidence * 100) / 100, 'similar');
+        }
+    }
+
+    rejected.forEach(id => best.delete(id));
+    return [...best.values()]
+        .sort((a, b) => b.confidence - a.confidence ||
+            (inventory[a.partId].name || '').localeCompare(inventory[b.partId].name || ''))
+        .slice(0, limit);
+}
+
+/**
+ * Best candidate for a BOM line if it is confident enough to apply automatically
+ * @param {string} bomId - BOM entry key
+ * @param {Object} [entry] - BOM entry ({name, quantity})
+ * @param {Array<Object>} [index] - Result of buildBomMatchIndex()
+ * @returns {{partId: string, confidence: number, reason: string}|null}
+ */
+function findBestBomMatch(bomId, entry, index) {
+    const [best] = getBomMatchCandidates(bomId, entry, index, 1);
+    return best && best.confidence >= BOM_AUTO_MATCH_CONFIDENCE ? best : null;
+}
+
+/**
+ * Find the inventory part a project BOM entry refers to
+ * @param {string} bomId - Part ID used as the BOM key
+ * @param {Object} [entry] - BOM entry ({name, quantity})
+ * @param {Array<Object>} [index] - Result of buildBomMatchIndex()
+ * @returns {string|null} Matching inventory part ID, or null if none
+ */
+function findInventoryIdForBomEntry(bomId, entry, index) {
+    const match = findBestBomMatch(bomId, entry, index);
+    return match ? match.partId : null;
+}
+
+/**
+ * Remember that a BOM line refers to a part, so future imports match it directly
+ * @param {string} bomId - BOM entry key
+ * @param {Object} entry - BOM entry ({name, quantity})
+ * @param {string} partId - Inventory part the user chose
+ */
+function confirmBomMatch(bomId, entry, partId) {
+    getBomAliasKeys(bomId, entry).forEach(key => {
+        const alias = bomMatchAliases[key] || {};
+        alias.partId = partId;
+        if (alias.rejected) alias.rejected = alias.rejected.filter(id => id !== partId);
+        bomMatchAliases[key] = alias;
+    });
+    saveBomMatchAliases();
+}
+
+/**
+ * Remember that a BOM line does not refer to a part
+ * @param {string} bomId - BOM entry key
+ * @param {Object} entry - BOM entry ({name, quantity})
+ * @param {string} partId - Inventory part the user rejected
+ */
+function rejectBomMatch(bomId, entry, partId) {
+    getBomAliasKeys(bomId, entry).forEach(key => {
+        const alias = bomMatchAliases[key] || {};
+        if (alias.partId === partId) delete alias.partId;
+        alias.rejected = [...new Set([...(alias.rejected || []), partId])];
+        bomMatchAliases[key] = alias;
+    });
+    saveBomMatchAliases();
+}
+
+/**
+ * Describe a non-exact match for display next to a BOM line
+ * @param {{partId: string, confidence: number, reason: string}|null} match - Match result
+ * @returns {string} Note text, or '' when the match needs no explanation
+ */
+function describeBomMatch(match) {
+    if (!match || match.reason === 'id' || match.reason === 'alias') return '';
+    const label = BOM_MATCH_REASON_LABELS[match.reason] || match.reason;
+    return `Matched to ${inventory[match.partId].name} (${label}, ${Math.round(match.confidence * 100)}%)`;
+}
+
+/**
+ * Confirm an automatic match from the project details view
+ * @param {string} projectId - Project being viewed
+ * @param {string} bomId - BOM entry key
+ * @param {string} partId - Matched inventory part
+ */
+function confirmProjectBomMatch(projectId, bomId, partId) {
+    const project = projects[projectId];
+    if (!project || !project.bom[bomId] || !inventory[partId]) return;
+    confirmBomMatch(bomId, project.bom[bomId], partId);
+    showProjectDetails(projectId);
+    showNotification(`${project.bom[bomId].name || bomId} will always match ${inventory[partId].name}`);
+}
+
+/**
+ * Reject an automatic match from the project details view. The part loses
+ * this project's tag and reservation, and the line is matched again without it
+ * @param {string} projectId - Project being viewed
+ * @param {string} bomId - BOM entry key
+ * @param {string} partId - Wrongly matched inventory part
+ */
+function rejectProjectBomMatch(projectId, bomId, partId) {
+    const project = projects[projectId];
+    const part = inventory[partId];
+    if (!project || !project.bom[bomId] || !part) return;
+    const undoBefore = captureUndoState();
+    rejectBomMatch(bomId, project.bom[bomId], partId);
+
+    if (part.projects && part.projects[projectId] !== undefined) {
+        delete part.projects[projectId];
+    }
+    setReservedQuantity(part, projectId, 0);
+    const newPartId = findInventoryIdForBomEntry(bomId, project.bom[bomId]);
+    if (newPartId) {
+        const newPart = inventory[newPartId];
+        newPart.projects = newPart.projects || {};
+        newPart.projects[projectId] = project.bom[bomId].quantity;
+    }
+
+    saveInventory();
+    displayInventory();
+    showProjectDetails(projectId);
+    commitUndoableAction(`Unmatch ${part.name} from ${project.name}`, undoBefore);
+    showNotification(`${project.bom[bomId].name || bomId} no longer matches ${part.name}`, 'success', undoToastAction());
+}
+
+// =============================================================================
+// BOM IMPORT REVIEW
+// =============================================================================
+
+const BOM_REVIEW_CREATE = '__create';
+const BOM_REVIEW_SKIP = '__skip';
+
+/**
+ * Show every line of an imported BOM with its proposed inventory match so
+ * the user can change the match, create a new part or skip the line
+ * before the project is created
+ *
+ * @param {string} projectName - Name chosen for the new project
+ * @param {string} projectId - ID for the new project
+ * @param {Object} bom - Imported BOM, keyed by part ID ({name, quantity})
+ */
+function showBomReviewModal(projectName, projectId, bom) {
+    const matchIndex = buildBomMatchIndex();
+    const proposals = {};
+    const partOptions = getSortedPartOptions();
+
+    const rows = Object.entries(bom).map(([bomId, entry]) => {
+        const candidates = getBomMatchCandidates(bomId, entry, matchIndex);
+        const proposal = candidates[0] && candidates[0].confidence >= BOM_AUTO_MATCH_CONFIDENCE ? candidates[0] : null;
+        proposals[bomId] = proposal;
+
+        return `
+            <li class="bom-review-row">
+                <div class="bom-review-line">
+                    <span class="bom-review-name">${escapeHtml(entry.name || bomId)}</span>
+                    <span class="bom-review-qty">×${escapeHtml(String(entry.quantity))}</span>
+                </div>
+                ${entry.designators ? `<div class="bom-designators">${escapeHtml(formatDesignators(entry.designators))}</div>` : ''}
+                <select class="part-type-dropdown bom-review-select" data-bom-id="${escapeHtml(bomId)}" onchange="updateBomReviewSummary()">
+                    ${renderPartMatchOptions(candidates, proposal ? proposal.partId : BOM_REVIEW_CREATE, partOptions)}
+                </select>
+            </li>
+        `;
+    });
+
+    pendingBomReview = { projectName, projectId, bom, proposals };
+    document.getElementById('bomReviewTitle').textContent = `Review BOM: ${projectName}`;
+    document.getElementById('bomReviewList').innerHTML = rows.join('');
+    updateBomReviewSummary();
+    showModal('bomReviewModal');
+    hideMobileNav();
+}
+
+/**
+ * Inventory parts as [id, part] pairs sorted by name, for match dropdowns
+ * @returns {Array<Array>} Sorted entries
+ */
+function getSortedPartOptions() {
+    return Object.entries(inventory)
+        .sort(([, a], [, b]) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Options for a match dropdown: suggested parts with their confidence,
+ * create, skip, then every other part
+ * @param {Array<Object>} candidates - Result of getBomMatchCandidates()
+ * @param {string} selected - Value to preselect
+ * @param {Array<Array>} partOptions - Result of getSortedPartOptions()
+ * @returns {string} Option HTML
+ */
+function renderPartMatchOptions(candidates, selected, partOptions) {
+    const suggested = new Set(candidates.map(candidate => candidate.partId));
+    const option = (value, label) =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    return `
+        ${candidates.length ? `<optgroup label="Suggested">${candidates.map(candidate =>
+            option(candidate.partId, `${inventory[candidate.partId].name} (${Math.round(candidate.confidence * 100)}%)`)).join('')}</optgroup>` : ''}
+        ${option(BOM_REVIEW_CREATE, 'Create new part')}
+        ${option(BOM_REVIEW_SKIP, 'Skip this line')}
+        <optgroup label="All parts">${partOptions
+            .filter(([id]) => !suggested.has(id))
+            .map(([id, part]) => option(id, part.name || id)).join('')}</optgroup>
+    `;
+}
+
+/**
+ * Turn a match dropdown value into a decision
+ * @param {string} value - Selected option value
+ * @returns {{action: string, partId?: string}} match, create or skip
+ */
+function getPartMatchDecision(value) {
+    if (value === BOM_REVIEW_SKIP) return { action: 'skip' };
+    if (value === BOM_REVIEW_CREATE) return { action: 'create' };
+    return { action: 'match', partId: value };
+}
+
+function hideBomReviewModal() {
+    hideModal('bomReviewModal');
+    pendingBomReview = null;
+    showMobileNav();
+}
+
+/**
+ * Read the user's choice for every BOM line
+ * @returns {Object} Decisions keyed by BOM ID, as accepted by createProjectFromBom()
+ */
+function getBomReviewDecisions() {
+    const decisions = {};
+    document.querySelectorAll('#bomReviewList .bom-review-select').forEach(select => {
+        decisions[select.dataset.bomId] = getPartMatchDecision(select.value);
+    });
+    return decisions;
+}
+
+function updateBomReviewSummary() {
+    const counts = { match: 0, create: 0, skip: 0 };
+    Object.values(getBomReviewDecisions()).forEach(decision => counts[decision.action]++);
+    document.getElementById('bomReviewSummary').textContent =
+        `${counts.match} matched · ${counts.create} new · ${counts.skip} skipped`;
+    document.getElementById('confirmBomReviewBtn').disabled = counts.match + counts.create === 0;
+}
+
+/**
+ * Learn from the review: accepted matches (other than by ID or an existing
+ * alias) and manual picks become aliases, and proposals the user replaced
+ * are rejected
+ * @param {Object} bom - Imported BOM
+ * @param {Object} proposals - Proposed match per BOM ID (or null)
+ * @param {Object} decisions - Decisions from getBomReviewDecisions()
+ */
+function learnFromBomReview(bom, proposals, decisions) {
+    for (const [bomId, decision] of Object.entries(decisions)) {
+        const proposal = proposals[bomId];
+        if (decision.action === 'skip') continue;
+        if (proposal && decision.partId !== proposal.partId) {
+            rejectBomMatch(bomId, bom[bomId], proposal.partId);
+        }
+        if (decision.action === 'match' &&
+            (!proposal || decision.partId !== proposal.partId || !['id', 'alias'].includes(proposal.reason))) {
+            confirmBomMatch(bomId, bom[bomId], decision.partId);
+        }
+    }
+}
+
+function confirmBomReview() {
+    if (!pendingBomReview) return;
+    const { projectName, projectId, bom, proposals } = pendingBomReview;
+    if (projects[projectId]) {
+        showNotification('Project name already exists', 'error');
+        return;
+    }
+    const decisions = getBomReviewDecisions();
+    learnFromBomReview(bom, proposals, decisions);
+
+    const undoBefore = captureUndoState();
+    hideBomReviewModal();
+    createProjectFromBom(projectName, projectId, bom, decisions);
+    if (commitUndoableAction(`Import BOM as ${projectName}`, undoBefore)) {
+        showNotification(`Created project: ${projectName}`, 'success', undoToastAction());
+    }
+}
+
+// =============================================================================
+// SUPPLIER OFFERS
+// =============================================================================
+
+// Suppliers we know how to talk to. Each entry says:
+// - skuHeaders: the SKU column of its order exports. Order exports are told
+//   apart by this column; Tayda's plain "SKU" is the least specific, so
+//   Tayda is tried last
+// - productUrl / hostPattern / skuFromUrl: how to link a SKU to its product
+//   page, recognise its links, and read the SKU back out of a link
+//   (from parsePurchaseUrl())
+// - cart: the layout of its bulk-add cart upload. requiresSku drops lines
+//   it has no SKU for, as the supplier rejects anything else in its part
+//   number column
+const SUPPLIERS = [
+    {
+        key: 'mouser',
+        label: 'Mouser',
+        skuHeaders: ['mouser', 'mouser no', 'mouser part', 'mouser part number'],
+        productUrl: sku => `https://www.mouser.com/ProductDetail/${encodeURIComponent(sku)}`,
+        hostPattern: /(^|\.)mouser\./,
+        skuFromUrl: ({ segments }) => {
+            const index = segments.findIndex(segment => segment.toLowerCase() === 'productdetail');
+            return index !== -1 && index < segments.length - 1 ? segments[segments.length - 1] : '';
+        },
+        cart: {
+            label: 'Mouser BOM CSV',
+            filename: 'mouser-bom.csv',
+            headers: ['Mouser Part Number', 'Quantity', 'Customer Part Number'],
+            row: line => [line.sku, line.order, line.name],
+            requiresSku: true
+        }
+    },
+    {
+        key: 'digikey',
+        label: 'DigiKey',
+        skuHeaders: ['digikey part', 'digikey part number', 'digi key part', 'digi key part number'],
+        productUrl: sku => `https://www.digikey.com/en/products/result?keywords=${encodeURIComponent(sku)}`,
+        hostPattern: /(^|\.)digikey\./,
+        skuFromUrl: ({ segments, params }) => {
+            if (params.get('keywords')) return params.get('keywords');
+            // /en/products/detail/<manufacturer>/<part number>/<id>
+            const index = segments.indexOf('detail');
+            return index !== -1 && segments[index + 2] ? segments[index + 2] : '';
+        },
+        cart: {
+            label: 'DigiKey BOM CSV',
+            filename: 'digikey-bom.csv',
+            headers: ['Digi-Key Part Number', 'Quantity', 'Customer Reference'],
+            row: line => [line.sku, line.order, line.name],
+            requiresSku: true
+        }
+    },
+    {
+        key: 'lcsc',
+        label: 'LCSC',
+        skuHeaders: ['lcsc', 'lcsc part', 'lcsc part number', 'lcsc pn'],
+        productUrl: sku => `https://www.lcsc.com/product-detail/${encodeURIComponent(sku)}.html`,
+        hostPattern: /(^|\.)lcsc\.com$/,
+        skuFromUrl: ({ segments }) => {
+            const match = (segments[segments.length - 1] || '').match(/(?:^|[^a-z0-9])(C\d+)\.html$/i);
+            return match ? match[1] : '';
+        },
+        cart: {
+            label: 'LCSC BOM CSV',
+            filename: 'lcsc-bom.csv',
+            headers: ['LCSC Part Number', 'Quantity', 'Comment'],
+            row: line => [line.sku, line.order, line.name],
+            requiresSku: true
+        }
+    },
+    {
+        key: 'tayda',
+        label: 'Tayda',
+        skuHeaders: ['sku', 'product sku', 'item sku'],
+        productUrl: sku => `https://www.taydaelectronics.com/catalogsearch/result/?q=${encodeURIComponent(sku)}`,
+        hostPattern: /(^|\.)taydaelectronics\.com$/,
+        skuFromUrl: ({ params }) => params.get('q') || '',
+        cart: {
+            // Pasted into the Quick Order form: one "SKU,quantity" per line
+            label: 'Tayda quick order',
+            filename: 'tayda-quick-order.csv',
+            headers: null,
+            row: line => [line.sku, line.order],
+            requiresSku: true
+        }
+    }
+];
+
+/**
+ * Supplier offers, stored per part as
+ * offers: [{ supplier?, sku?, url?, price?, priceBreaks?: [{quantity, price}],
+ *            packSize?, minOrder?, checkedAt?: 'YYYY-MM-DD', preferred? }]
+ * Exactly one offer is preferred, and the part's purchaseUrl mirrors its
+ * link so code that only needs "a link" can keep using purchaseUrl. Parts
+ * saved before offers existed have just the purchaseUrl.
+ */
+
+/**
+ * Split a purchase URL into the parts suppliers are recognised by
+ * @param {string} url - Purchase URL
+ * @returns {{host: string, segments: Array<string>, params: URLSearchParams}|null}
+ *   Host without "www.", decoded path segments and query; null if unparseable
+ */
+function parsePurchaseUrl(url) {
+    if (!url) return null;
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+    return { host: parsed.hostname.toLowerCase().replace(/^www\./, ''), segments, params: parsed.searchParams };
+}
+
+/**
+ * Clean up price breaks: whole quantities of at least 1 with a price,
+ * sorted by quantity, one price per quantity
+ * @param {Array} breaks - Raw price breaks
+ * @returns {Array<{quantity: number, price: number}>} Valid breaks
+ */
+function normalizePriceBreaks(breaks) {
+    if (!Array.isArray(breaks)) return [];
+    const byQuantity = new Map();
+    breaks.forEach(entry => {
+        const quantity = parseInt(entry && entry.quantity);
+        const price = parseFloat(entry && entry.price);
+        if (quantity >= 1 && price >= 0) byQuantity.set(quantity, price);
+    });
+    return [...byQuantity.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([quantity, price]) => ({ quantity, price }));
+}
+
+/**
+ * Parse price breaks typed as "10:0.08, 100:0.05"
+ * @param {string} text - Typed breaks
+ * @returns {Array<{quantity: number, price: number}>|null} Breaks, or null if malformed
+ */
+function parsePriceBreaks(text) {
+    const pairs = String(text || '').split(/[,;\n]+/).map(pair => pair.trim()).filter(Boolean);
+    const breaks = [];
+    for (const pair of pairs) {
+        const match = pair.match(/^(\d+)\s*[:=@]\s*(\d*\.?\d+)$/);
+        if (!match) return null;
+        breaks.push({ quantity: parseInt(match[1]), price: parseFloat(match[2]) });
+    }
+    return normalizePriceBreaks(breaks);
+}
+
+function formatPriceBreaks(breaks) {
+    return (breaks || []).map(({ quantity, price }) => `${quantity}:${price}`).join(', ');
+}
+
+/**
+ * Clean up one offer from the editor or an imported file
+ * @param {Object} raw - Offer-like object
+ * @returns {Object|null} Offer, or null if it names no supplier, SKU or link
+ */
+function normalizeOffer(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const offer = {};
+    const supplier = String(raw.supplier || '').trim();
+    const sku = String(raw.sku || '').trim();
+    const url = sanitizePurchaseUrl(typeof raw.url === 'string' ? raw.url : '');
+    if (!supplier && !sku && !url) return null;
+    if (supplier) offer.supplier = supplier;
+    if (sku) offer.sku = sku;
+    if (url) offer.url = url;
+
+    const price = parseFloat(raw.price);
+    if (price >= 0) offer.price = price;
+    const priceBreaks = normalizePriceBreaks(raw.priceBreaks);
+    if (priceBreaks.length) offer.priceBreaks = priceBreaks;
+    const packSize = parseInt(raw.packSize);
+    if (packSize > 1) offer.packSize = packSize;
+    const minOrder = parseInt(raw.minOrder);
+    if (minOrder > 0) offer.minOrder = minOrder;
+    if (/^\d{4}-\d{2}-\d{2}/.test(raw.checkedAt || '')) offer.checkedAt = raw.checkedAt.slice(0, 10);
+    if (raw.preferred) offer.preferred = true;
+    return offer;
+}
+
+/**
+ * Replace a part's offers, keeping exactly one preferred and purchaseUrl
+ * in step with it
+ * @param {Object} part - Inventory part
+ * @param {Array<Object>} offers - New offers (cleaned with normalizeOffer())
+ */
+function setPartOffers(part, offers) {
+    const cleaned = (offers || []).map(normalizeOffer).filter(Boolean);
+    if (cleaned.length === 0) {
+        delete part.offers;
+        part.purchaseUrl = '';
+        return;
+    }
+    const preferred = cleaned.find(offer => offer.preferred) || cleaned[0];
+    cleaned.forEach(offer => {
+        if (offer === preferred) offer.preferred = true;
+        else delete offer.preferred;
+    });
+    part.offers = cleaned;
+    const linked = preferred.url ? preferred : cleaned.find(offer => offer.url);
+    part.purchaseUrl = linked ? linked.url : '';
+}
+
+/**
+ * A part's offers, treating a lone purchaseUrl as a single preferred offer
+ * @param {Object} part - Inventory part
+ * @returns {Array<Object>} Offers (preferred one included)
+ */
+function getPartOffers(part) {
+    if (!part) return [];
+    if (Array.isArray(part.offers) && part.offers.length > 0) return part.offers;
+    return part.purchaseUrl ? [{ url: part.purchaseUrl, preferred: true }] : [];
+}
+
+function getPreferredOffer(part) {
+    const offers = getPartOffers(part);
+    return offers.find(offer => offer.preferred) || offers[0] || null;
+}
+
+/**
+ * Add an offer to a part, or update the matching one (same supplier and
+ * SKU, or same link) with whatever the new offer knows
+ * @param {Object} part - Inventory part
+ * @param {Object} offer - Offer to add
+ */
+function addPartOffer(part, offer) {
+    const incoming = normalizeOffer(offer);
+    if (!incoming) return;
+    const offers = getPartOffers(part).map(existing => ({ ...existing }));
+    const label = getOfferLabel(incoming).toLowerCase();
+    const existing = offers.find(candidate =>
+        (incoming.url && candidate.url === incoming.url) ||
+        (incoming.sku && candidate.sku && candidate.sku.toLowerCase() === incoming.sku.toLowerCase() &&
+            getOfferLabel(candidate).toLowerCase() === label));
+    if (existing) {
+        const preferred = existing.preferred;
+        Object.assign(existing, incoming);
+        if (preferred) existing.preferred = true;
+    } else {
+        delete incoming.preferred;
+        offers.push(incoming);
+    }
+    setPartOffers(part, offers);
+}
+
+/**
+ * The SUPPLIERS entry an offer belongs to, by its supplier name or link
+ * @param {Object} offer - Supplier offer
+ * @returns {Object|null} Known supplier, or null
+ */
+function getOfferSupplier(offer) {
+    if (!offer) return null;
+    const name = normalizeBomHeader(offer.supplier).replace(/\s+/g, '');
+    if (name) {
+        // "DigiKey", "Digi-Key" and "Tayda Electronics" all name a known supplier
+        const named = SUPPLIERS.find(supplier => name.startsWith(supplier.key));
+        if (named) return named;
+    }
+    const url = parsePurchaseUrl(offer.url);
+    return url ? SUPPLIERS.find(supplier => supplier.hostPattern.test(url.host)) || null : null;
+}
+
+/**
+ * Name to show for an offer: its supplier name, a known supplier, or the
+ * link's domain
+ * @param {Object} offer - Supplier offer
+ * @returns {string} Label ('' if nothing identifies it)
+ */
+function getOfferLabel(offer) {
+    if (!offer) return '';
+    if (offer.supplier) return offer.supplier;
+    const supplier = getOfferSupplier(offer);
+    if (supplier) return supplier.label;
+    const url = parsePurchaseUrl(offer.url);
+    return url ? url.host : '';
+}
+
+/**
+ * An offer's SKU, read from a known supplier's link when not filled in
+ * @param {Object} offer - Supplier offer
+ * @returns {string} SKU, or ''
+ */
+function getOfferSku(offer) {
+    if (!offer) return '';
+    if (offer.sku) return offer.sku;
+    const supplier = getOfferSupplier(offer);
+    const url = parsePurchaseUrl(offer.url);
+    return supplier && url ? supplier.skuFromUrl(url) : '';
+}
+
+/**
+ * Unit price when buying a quantity: the best price break reached, or the
+ * offer's unit price
+ * @param {Object} offer - Supplier offer
+ * @param {number} [quantity=1] - Quantity being bought
+ * @returns {number|null} Unit price, or null if the offer has no price
+ */
+function getOfferUnitPrice(offer, quantity = 1) {
+    if (!offer) return null;
+    let price = typeof offer.price === 'number' ? offer.price : null;
+    (offer.priceBreaks || []).forEach(priceBreak => {
+        if (priceBreak.quantity <= quantity) price = priceBreak.price;
+    });
+    return price;
+}
+
+// Sums of prices pick up float noise (0.3 * 3 = 0.8999999999999999); exports
+// round to the 4 decimals formatPrice() shows
+function roundPrice(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function formatPrice(value) {
+    return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+}
+
+/**
+ * Work out where a part is bought from its preferred offer
+ * @param {Object} part - Inventory part
+ * @returns {{key: string, label: string, supplier: Object|null, sku: string}}
+ *   key/label group the part (a known supplier, another supplier name or
+ *   domain, or '' for none); supplier is the SUPPLIERS entry, if known
+ */
+function getPartSupplier(part) {
+    const offer = getPreferredOffer(part);
+    const label = getOfferLabel(offer);
+    if (!label) return { key: '', label: 'No supplier', supplier: null, sku: '' };
+    const supplier = getOfferSupplier(offer);
+    if (supplier) return { key: supplier.key, label: supplier.label, supplier, sku: getOfferSku(offer) };
+    return { key: label.toLowerCase(), label, supplier: null, sku: getOfferSku(offer) };
+}
+
+/**
+ * Render the offer rows of the Edit Part modal
+ * @param {Array<Object>} offers - Offers to edit
+ */
+function renderOfferEditor(offers) {
+    const container = document.getElementById('editPartOffers');
+    container.innerHTML = '';
+    offers.forEach(offer => addOfferEditorRow(offer));
+}
+
+/**
+ * Append an offer row to the Edit Part modal
+ * @param {Object} [offer] - Offer to fill in; a blank row when omitted
+ */
+function addOfferEditorRow(offer = {}) {
+    const container = document.getElementById('editPartOffers');
+    const isFirst = container.children.length === 0;
+    const row = document.createElement('div');
+    row.className = 'offer-row';
+    const field = (label, className, type, value, extra = '') => `
+        <label class="bom-mapping-field">
+            <span>${label}</span>
+            <input type="${type}" class="${className}" value="${escapeHtml(value == null ? '' : String(value))}" ${extra}>
+        </label>
+    `;
+    row.innerHTML = `
+        <div class="offer-row-header">
+            <label class="offer-preferred">
+                <input type="radio" name="preferredOffer" class="offer-preferred-input"${offer.preferred || isFirst ? ' checked' : ''}>
+                Preferred
+            </label>
+            <button type="button" class="offer-remove" title="Remove offer">&times;</button>
+        </div>
+        <div class="bom-mapping-fields">
+            ${field('Supplier', 'offer-supplier', 'text', offer.supplier || getOfferLabel(offer), 'list="supplierNames"')}
+            ${field('SKU', 'offer-sku', 'text', offer.sku || getOfferSku(offer))}
+            ${field('Product URL', 'offer-url', 'url', offer.url)}
+            ${field('Unit price', 'offer-price', 'number', offer.price, 'min="0" step="any"')}
+            ${field('Price breaks', 'offer-breaks', 'text', formatPriceBreaks(offer.priceBreaks), 'placeholder="10:0.08, 100:0.05"')}
+            ${field('Pack size', 'offer-pack', 'number', offer.packSize, 'min="1"')}
+            ${field('Min order', 'offer-min', 'number', offer.minOrder, 'min="0"')}
+            ${field('Last checked', 'offer-checked', 'date', offer.checkedAt)}
+        </div>
+    `;
+    row.querySelector('.offer-remove').addEventListener('click', () => {
+        const wasPreferred = row.querySelector('.offer-preferred-input').checked;
+        row.remove();
+        const first = container.querySelector('.offer-preferred-input');
+        if (wasPreferred && first) first.checked = true;
+    });
+    container.appendChild(row);
+}
+
+/**
+ * Read the offers typed into the Edit Part modal
+ * @returns {{offers?: Array<Object>, error?: string}} Offers, or the first problem found
+ */
+function readOfferEditor() {
+    const offers = [];
+    for (const row of document.querySelectorAll('#editPartOffers .offer-row')) {
+        const value = className => row.querySelector(`.${className}`).value.trim();
+        const rawUrl = value('offer-url');
+        if (rawUrl && !sanitizePurchaseUrl(rawUrl)) {
+            return { error: 'Purchase link must be a valid http(s) URL' };
+        }
+        const priceBreaks = parsePriceBreaks(value('offer-breaks'));
+        if (!priceBreaks) {
+            return { error: 'Price breaks must look like 10:0.08, 100:0.05' };
+        }
+        const offer = normalizeOffer({
+            supplier: value('offer-supplier'),
+            sku: value('offer-sku'),
+            url: rawUrl,
+            price: value('offer-price'),
+            priceBreaks,
+            packSize: value('offer-pack'),
+            minOrder: value('offer-min'),
+            checkedAt: value('offer-checked'),
+            preferred: row.querySelector('.offer-preferred-input').checked
+        });
+        if (offer) offers.push(offer);
+    }
+    return { offers };
+}
+
+/**
+ * Open a purchase link in a new tab
+ * @param {string} url - Link to open
+ */
+function openPurchaseUrl(url) {
+    // Validate at click time too: URLs may come from imported files
+    // saved before sanitization existed
+    const safeUrl = sanitizePurchaseUrl(url);
+    if (!safeUrl) {
+        showNotification('Purchase link is not a valid web address', 'error');
+        return;
+    }
+    window.open(safeUrl, '_blank', 'noopener');
+}
+
+/**
+ * Let the user pick which of a part's offers to open
+ * @param {string} partId - Part being bought
+ */
+function showOfferChooserModal(partId) {
+    const part = inventory[partId];
+    if (!part) return;
+    document.getElementById('offerChooserTitle').textContent = `Buy ${part.name}`;
+    const list = document.getElementById('offerChooserList');
+    list.innerHTML = getPartOffers(part).map((offer, index) => {
+        const unitPrice = getOfferUnitPrice(offer);
+        const details = [];
+        const sku = getOfferSku(offer);
+        if (sku) details.push(sku);
+        if (unitPrice !== null) details.push(`${formatPrice(unitPrice)} each`);
+        if (offer.priceBreaks) details.push(offer.priceBreaks.map(({ quantity, price }) => `${quantity}+: ${formatPrice(price)}`).join(', '));
+        if (offer.packSize) details.push(`pack of ${offer.packSize}`);
+        if (offer.minOrder) details.push(`min ${offer.minOrder}`);
+        if (offer.checkedAt) details.push(`checked ${new Date(`${offer.checkedAt}T00:00`).toLocaleDateString()}`);
+        return `
+            <li>
+                <button type="button" class="offer-choice" data-offer-index="${index}"${offer.url ? '' : ' disabled'}>
+                    <span class="offer-choice-label">${escapeHtml(getOfferLabel(offer) || 'Offer')}${offer.preferred ? ' <span class="offer-preferred-badge">Preferred</span>' : ''}</span>
+                    <span class="offer-choice-details">${escapeHtml(details.join(' · ') || (offer.url ? '' : 'No link'))}</span>
+                </button>
+            </li>
+        `;
+    }).join('');
+    list.querySelectorAll('.offer-choice').forEach(button => {
+        button.addEventListener('click', () => {
+            const offer = getPartOffers(part)[parseInt(button.dataset.offerIndex)];
+            hideOfferChooserModal();
+            if (offer) openPurchaseUrl(offer.url);
+        });
+    });
+    showModal('offerChooserModal');
+    hideMobileNav();
+}
+
+function hideOfferChooserModal() {
+    hideModal('offerChooserModal');
+    showMobileNav();
+}
+
+// =============================================================================
+// SUPPLIER ORDER RECEIVING
+// =============================================================================
+
+// Columns every supplier export is read for, in the same form as
+// BOM_MAPPING_FIELDS. Shipped quantities win over ordered ones
+const SUPPLIER_ORDER_FIELDS = [
+    { key: 'name', headers: ['description', 'product description', 'product name', 'item name', 'name', 'product', 'item'] },
+    { key: 'quantity', headers: ['shipped qty', 'qty shipped', 'quantity shipped', 'quantity', 'qty', 'order qty', 'qty ordered', 'ordered qty', 'quantity ordered'] },
+    { key: 'mpn', headers: ['mfr', 'mfr part number', 'manufacturer part number', 'manufacture part number', 'mpn', 'mfr no'] },
+    { key: 'orderNumber', headers: ['order number', 'order no', 'order', 'sales order', 'sales order number', 'web order', 'web order number', 'order id'] },
+    { key: 'price', headers: ['unit price', 'price'] }
+];
+
+// "Order #: 123456", "Sales Order Number 260123456" in the rows above the header
+const ORDER_NUMBER_PATTERN = /\border\s*(?:number|no\.?|#|id)?\s*[:#]?\s*([A-Z0-9-]*\d[A-Z0-9-]*)/i;
+
+/**
+ * Find the order number in the rows above an export's header, falling
+ * back to a long run of digits in the file name
+ * @param {Array<Array<string>>} rows - Rows before the header
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} Order number, or '' if none was found
+ */
+function findSupplierOrderNumber(rows, fileName) {
+    for (const row of rows) {
+        const match = row.join(' ').match(ORDER_NUMBER_PATTERN);
+        if (match && match[1].length >= 4) return match[1];
+    }
+    const fromName = (fileName || '').match(/\d{5,}/);
+    return fromName ? fromName[0] : '';
+}
+
+/**
+ * Parse a supplier order or cart export
+ * The file name breaks ties ("mouser-order.csv" is tried as Mouser first).
+ * Lines for the same SKU and order are added together; rows without a
+ * SKU or a positive quantity (totals, shipping) are dropped.
+ *
+ * @param {string} text - CSV/TSV content
+ * @param {string} [fileName] - Uploaded file name
+ * @returns {{format: Object, lines: Array<Object>}} The matching entry of
+ *   SUPPLIERS and [{sku, name, mpn, quantity, orderNumber, price?}]
+ * @throws {Error} If no supplier layout fits the file
+ */
+function parseSupplierOrder(text, fileName = '') {
+    const { rows } = parseDelimitedRows(text);
+    const lowerName = fileName.toLowerCase();
+    const formats = [...SUPPLIERS].sort((a, b) =>
+        Number(lowerName.includes(b.key)) - Number(lowerName.includes(a.key)));
+
+    for (const format of formats) {
+        const fields = [{ key: 'sku', headers: format.skuHeaders }, ...SUPPLIER_ORDER_FIELDS];
+        const headerRow = detectBomHeaderRow(rows, fields);
+        const headers = rows[headerRow] || [];
+        const columns = guessBomColumnMapping(headers, fields);
+        if (columns.sku === -1 || columns.quantity === -1) continue;
+        // "Order Qty" or "Order Date" only start like an order number column
+        const orderField = fields.find(field => field.key === 'orderNumber');
+        if (columns.orderNumber !== -1 &&
+            !orderField.headers.includes(normalizeBomHeader(headers[columns.orderNumber]))) {
+            columns.orderNumber = -1;
+        }
+
+        const defaultOrderNumber = findSupplierOrderNumber(rows.slice(0, headerRow), fileName);
+        const cell = (row, key) => columns[key] === -1 ? '' : String(row[columns[key]] || '').trim();
+        const lines = new Map();
+        rows.slice(headerRow + 1).forEach(row => {
+            const sku = cell(row, 'sku');
+            const quantity = parseInt(cell(row, 'quantity').replace(/,/g, '')) || 0;
+            if (!sku || quantity <= 0) return;
+            const orderNumber = cell(row, 'orderNumber') || defaultOrderNumber;
+            const key = `${sku.toLowerCase()}|${orderNumber}`;
+            if (lines.has(key)) {
+                lines.get(key).quantity += quantity;
+                return;
+            }
+            const mpn = cell(row, 'mpn');
+            const line = { sku, name: cell(row, 'name') || mpn || sku, mpn, quantity, orderNumber };
+            const price = parseFloat(cell(row, 'price').replace(/[^\d.]/g, ''));
+            if (price >= 0) line.price = price;
+            lines.set(key, line);
+        });
+        return { format, lines: [...lines.values()] };
+    }
+    throw new Error('Not a Tayda, Mouser, DigiKey or LCSC order export');
+}
+
+function importSupplierOrder(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const order = parseSupplierOrder(e.target.result, file.name);
+            if (order.lines.length === 0) {
+                showNotification('No order lines found in this file', 'error');
+                return;
+            }
+            showReceiveOrderModal(order.format, order.lines);
+        } catch (err) {
+            showNotification('Error reading order file: ' + err.message, 'error');
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Key a received line is matched and remembered under, e.g. "mouser 595-TL072CP"
+ * @param {Object} format - Entry of SUPPLIERS
+ * @param {Object} line - Order line
+ * @returns {string} Match key
+ */
+function getOrderLineMatchId(format, line) {
+    return `${format.key} ${line.sku}`;
+}
+
+/**
+ * Rank the inventory parts an order line could be, by its description and
+ * by its manufacturer part number (which is often closer to what the
+ * part is called in inventory, e.g. "TL072CP")
+ * @param {Object} format - Entry of SUPPLIERS
+ * @param {Object} line - Order line
+ * @param {Array<Object>} index - Result of buildBomMatchIndex()
+ * @returns {Array<{partId: string, confidence: number, reason: string}>} Best first
+ */
+function getOrderLineCandidates(format, line, index) {
+    const matchId = getOrderLineMatchId(format, line);
+    const candidates = getBomMatchCandidates(matchId, line, index);
+    if (!line.mpn) return candidates;
+    const best = new Map(candidates.map(candidate => [candidate.partId, candidate]));
+    getBomMatchCandidates(matchId, { name: line.mpn, sku: line.sku }, index).forEach(candidate => {
+        const current = best.get(candidate.partId);
+        if (!current || candidate.confidence > current.confidence) best.set(candidate.partId, candidate);
+    });
+    return [...best.values()].sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+}
+
+/**
+ * Show the lines of a supplier order with their proposed inventory parts
+ * so quantities, matches and new part names can be checked before any
+ * stock is added
+ *
+ * @param {Object} format - Entry of SUPPLIERS
+ * @param {Array<Object>} lines - Lines from parseSupplierOrder()
+ */
+function showReceiveOrderModal(format, lines) {
+    const matchIndex = buildBomMatchIndex();
+    const proposals = {};
+    const partOptions = getSortedPartOptions();
+    const orderNumbers = [...new Set(lines.map(line => line.orderNumber))];
+    const multipleOrders = orderNumbers.length > 1;
+
+    const rows = lines.map((line, index) => {
+        const matchId = getOrderLineMatchId(format, line);
+        const candidates = getOrderLineCandidates(format, line, matchIndex);
+        const proposal = candidates[0] && candidates[0].confidence >= BOM_AUTO_MATCH_CONFIDENCE ? candidates[0] : null;
+        proposals[matchId] = proposal;
+        const details = [line.sku, line.mpn, multipleOrders && line.orderNumber ? `Order ${line.orderNumber}` : '']
+            .filter(Boolean).join(' · ');
+
+        return `
+            <li class="bom-review-row">
+                <div class="bom-review-line">
+                    <span class="bom-review-name">${escapeHtml(line.name)}</span>
+                    <span class="receive-order-sku">${escapeHtml(details)}</span>
+                </div>
+                <div class="receive-order-fields">
+                    <input type="text" class="receive-order-name" data-line-index="${index}" value="${escapeHtml(line.name)}" placeholder="Name for the new part">
+                    <input type="number" class="receive-order-qty" data-line-index="${index}" min="0" value="${line.quantity}" onchange="updateReceiveOrderSummary()">
+                </div>
+                <select class="part-type-dropdown bom-review-select" data-line-index="${index}" onchange="updateReceiveOrderSummary()">
+                    ${renderPartMatchOptions(candidates, proposal ? proposal.partId : BOM_REVIEW_CREATE, partOptions)}
+                </select>
+            </li>
+        `;
+    });
+
+    pendingOrderReceipt = { format, lines, proposals, multipleOrders };
+    const orderInput = document.getElementById('receiveOrderNumber');
+    orderInput.value = multipleOrders ? '' : orderNumbers[0];
+    orderInput.disabled = multipleOrders;
+    orderInput.placeholder = multipleOrders ? `${orderNumbers.length} orders in this file` : 'e.g. 123456789';
+    document.getElementById('receiveOrderTitle').textContent = `Receive ${format.label} Order`;
+    document.getElementById('receiveOrderList').innerHTML = rows.join('');
+    updateReceiveOrderSummary();
+    checkOrderAlreadyReceived();
+    showModal('receiveOrderModal');
+    hideMobileNav();
+}
+
+function hideReceiveOrderModal() {
+    hideModal('receiveOrderModal');
+    pendingOrderReceipt = null;
+    showMobileNav();
+}
+
+/**
+ * Order number of each line: its own when the file holds several orders,
+ * otherwise whatever is in the order number field
+ * @returns {Array<string>} Order number per line
+ */
+function getReceiveOrderNumbers() {
+    if (!pendingOrderReceipt) return [];
+    const typed = document.getElementById('receiveOrderNumber').value.trim();
+    return pendingOrderReceipt.lines.map(line => pendingOrderReceipt.multipleOrders ? line.orderNumber : typed);
+}
+
+/**
+ * Read the user's choices for every order line
+ * @returns {Array<{decision: Object, quantity: number, name: string}>} One per line
+ */
+function getReceiveOrderChoices() {
+    const choices = [];
+    document.querySelectorAll('#receiveOrderList .bom-review-row').forEach(row => {
+        const index = parseInt(row.querySelector('select').dataset.lineIndex);
+        choices[index] = {
+            decision: getPartMatchDecision(row.querySelector('select').value),
+            quantity: Math.max(0, parseInt(row.querySelector('.receive-order-qty').value) || 0),
+            name: row.querySelector('.receive-order-name').value.trim()
+        };
+    });
+    return choices;
+}
+
+function updateReceiveOrderSummary() {
+    const counts = { match: 0, create: 0, skip: 0 };
+    let units = 0;
+    document.querySelectorAll('#receiveOrderList .bom-review-row').forEach(row => {
+        row.querySelector('.receive-order-name').disabled = row.querySelector('select').value !== BOM_REVIEW_CREATE;
+    });
+    getReceiveOrderChoices().forEach(choice => {
+        const action = choice.quantity > 0 ? choice.decision.action : 'skip';
+        counts[action]++;
+        if (action !== 'skip') units += choice.quantity;
+    });
+    document.getElementById('receiveOrderSummary').textContent =
+        `${counts.match} matched · ${counts.create} new · ${counts.skip} skipped · ${units} items`;
+    document.getElementById('confirmReceiveOrderBtn').disabled = counts.match + counts.create === 0;
+}
+
+/**
+ * Warn when the order has already been received. Receipts that were
+ * undone don't count, since undo records its entries against the order too
+ */
+async function checkOrderAlreadyReceived() {
+    const warning = document.getElementById('receiveOrderWarning');
+    warning.classList.add('hidden');
+    if (storageBackend !== 'indexeddb' || !pendingOrderReceipt) return;
+    const receipt = pendingOrderReceipt;
+    const orderNumbers = [...new Set(getReceiveOrderNumbers().filter(Boolean))];
+    const received = [];
+    try {
+        for (const orderNumber of orderNumbers) {
+            const entries = await getOrderHistory(orderNumber);
+            const net = entries.reduce((sum, entry) => sum + (entry.delta || 0), 0);
+            const receipts = entries.filter(entry => entry.reason === 'receive');
+            if (net > 0 && receipts.length > 0) {
+                const date = new Date(receipts[receipts.length - 1].timestamp).toLocaleDateString();
+                received.push(`${orderNumber} (${date})`);
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to check order receipts:', error);
+        return;
+    }
+    // The modal may have been closed or reopened while we were reading
+    if (pendingOrderReceipt !== receipt || received.length === 0) return;
+    warning.textContent = `Already received: order ${received.join(', ')}. Receiving again adds the stock twice.`;
+    warning.classList.remove('hidden');
+}
+
+function confirmReceiveOrder() {
+    if (!pendingOrderReceipt) return;
+    const { format, lines, proposals, multipleOrders } = pendingOrderReceipt;
+    const choices = getReceiveOrderChoices();
+    const orderNumbers = getReceiveOrderNumbers();
+
+    // Teach the matcher, keyed by supplier SKU and description
+    const reviewed = {};
+    const decisions = {};
+    lines.forEach((line, index) => {
+        const matchId = getOrderLineMatchId(format, line);
+        reviewed[matchId] = line;
+        decisions[matchId] = choices[index].quantity > 0 ? choices[index].decision : { action: 'skip' };
+    });
+    learnFromBomReview(reviewed, proposals, decisions);
+
+    const undoBefore = captureUndoState();
+    let receivedLines = 0;
+    let receivedUnits = 0;
+    let createdParts = 0;
+    const updatedOrders = new Set();
+    lines.forEach((line, index) => {
+        const { decision, quantity, name } = choices[index];
+        if (decision.action === 'skip' || quantity <= 0) return;
+
+        let partId = decision.partId;
+        if (decision.action !== 'match' || !inventory[partId]) {
+            const partName = name || line.name;
+            const baseId = normalizeValue(partName) || normalizeValue(line.sku);
+            partId = baseId;
+            for (let n = 2; inventory[partId]; n++) {
+                partId = `${baseId}_${n}`;
+            }
+            inventory[partId] = { name: partName, quantity: 0, projects: {} };
+            createdParts++;
+        }
+        const part = inventory[partId];
+        addPartOffer(part, {
+            supplier: format.label,
+            sku: line.sku,
+            url: format.productUrl(line.sku),
+            price: line.price,
+            checkedAt: new Date().toISOString().slice(0, 10)
+        });
+        if (typeof line.price === 'number') part.unitCost = line.price;
+        part.quantity = (part.quantity || 0) + quantity;
+
+        const orderNumber = orderNumbers[index];
+        recordStockMovement(partId, quantity, 'receive', {
+            note: orderNumber ? `${format.label} order ${orderNumber}` : `${format.label} order`,
+            orderNumber
+        });
+        receiveOnPurchaseOrders(partId, quantity, { sku: line.sku, orderNumber, supplier: format.label })
+            .forEach(id => updatedOrders.add(id));
+        receivedLines++;
+        receivedUnits += quantity;
+    });
+
+    hideReceiveOrderModal();
+    saveInventory();
+    if (updatedOrders.size > 0) savePurchaseOrders();
+    displayInventory();
+
+    const orderLabel = multipleOrders ? `${format.label} orders` : `${format.label} order ${orderNumbers[0] || ''}`.trim();
+    const ledgerDetails = multipleOrders || !orderNumbers[0] ? undefined : { orderNumber: orderNumbers[0] };
+    if (commitUndoableAction(`Receive ${orderLabel}`, undoBefore, ledgerDetails)) {
+        const newNote = createdParts > 0 ? `, ${createdParts} new part(s)` : '';
+        const ordersNote = updatedOrders.size > 0 ? `, updated ${[...updatedOrders].join(', ')}` : '';
+        showNotification(`Received ${receivedUnits} item(s) on ${receivedLines} line(s) from ${orderLabel}${newNote}${ordersNote}`,
+            'success', undoToastAction());
+    }
+}
+
+// =============================================================================
+// SHOPPING LIST
+// =============================================================================
+
+// Export layout for suppliers without a cart upload format
+const GENERIC_SHOPPING_CART = {
+    label: 'CSV',
+    filename: 'shopping-list.csv',
+    headers: ['Part', 'SKU', 'Quantity', 'Purchase URL'],
+    row: line => [line.name, line.sku, line.order, line.url]
+};
+
+// Projects ticked in the shopping list modal
+let shoppingListProjectIds = [];
+// Whether the shopping list also restocks parts below their minimum
+let shoppingListRestock = false;
+
+/**
+ * Pack size and minimum order for a part: its preferred offer's, falling
+ * back to rules stored on the part itself
+ * @param {Object} [part] - Inventory part
+ * @returns {{packSize: number, minOrder: number}} Order rules
+ */
+function getPartOrderRules(part) {
+    const offer = getPreferredOffer(part) || {};
+    return {
+        packSize: Math.max(1, parseInt(offer.packSize || (part && part.packSize)) || 1),
+        minOrder: parseInt(offer.minOrder || (part && part.minOrder)) || 0
+    };
+}
+
+/**
+ * Quantity to buy to cover a shortfall: at least the part's minimum order,
+ * rounded up to whole packs
+ * @param {number} shortfall - Quantity missing
+ * @param {Object} [part] - Inventory part
+ * @returns {number} Quantity to order
+ */
+function roundOrderQuantity(shortfall, part) {
+    const { packSize, minOrder } = getPartOrderRules(part);
+    return Math.ceil(Math.max(shortfall, minOrder) / packSize) * packSize;
+}
+
+/**
+ * Everything the chosen projects are short of, grouped by supplier
+ * BOM lines are matched like the requirements view; stock reserved for
+ * projects outside the selection is not counted as available, and stock
+ * on open purchase orders is subtracted from the shortfall.
+ * When restocking, every part (project parts included) is also kept at its
+ * minimum stock, and parts that would fall below it are bought in their
+ * reorder quantity. A line's short splits into projectShort, what the
+ * projects lack, and restock, the top-up to the minimum on top of that.
+ *
+ * @param {Array<string>} projectIds - Projects to shop for
+ * @param {boolean} [restock=false] - Also restock parts below their minimum
+ * @returns {Array<{key, label, supplier, lines: Array}>} Groups sorted by
+ *   label ("No supplier" last). Lines are {partId, name, need, have, onOrder,
+ *   minStock, short, projectShort, restock, order, sku, url, projects};
+ *   partId is null for parts not in inventory
+ */
+function getShoppingList(projectIds, restock = false) {
+    const byKey = {};
+    const matchIndex = buildBomMatchIndex();
+    projectIds.forEach(projectId => {
+        const project = projects[projectId];
+        if (!project) return;
+        for (const [bomId, entry] of Object.entries(project.bom || {})) {
+            if (!entry || typeof entry !== 'object') continue;
+            const need = parseInt(entry.quantity) || 0;
+            if (need <= 0) continue;
+            const partId = findInventoryIdForBomEntry(bomId, entry, matchIndex);
+            const key = partId ? `part:${partId}` : normalizeValue(entry.name || bomId);
+            if (!byKey[key]) {
+                const part = partId ? inventory[partId] : null;
+                const reservedForSelection = projectIds.reduce((sum, id) => sum + getReservedQuantity(part, id), 0);
+                byKey[key] = {
+                    partId,
+                    name: part ? part.name : (entry.name || bomId),
+                    need: 0,
+                    have: part ? Math.max(0, getAvailableQuantity(part) + reservedForSelection) : 0,
+                    onOrder: partId ? getOnOrderQuantity(partId) : 0,
+                    projects: []
+                };
+            }
+            byKey[key].need += need;
+            byKey[key].projects.push(project.name);
+        }
+    });
+    if (restock) {
+        for (const [partId, part] of Object.entries(inventory)) {
+            const key = `part:${partId}`;
+            if (!byKey[key]) {
+                byKey[key] = {
+                    partId,
+                    name: part.name,
+                    need: 0,
+                    have: Math.max(0, getAvailableQuantity(part)),
+                    onOrder: getOnOrderQuantity(partId),
+                    projects: []
+                };
+            }
+            byKey[key].minStock = getPartMinStock(part);
+        }
+    }
+
+    const groups = {};
+    Object.values(byKey).forEach(line => {
+        // Stock already on order isn't bought twice
+        const minStock = line.minStock || 0;
+        line.short = line.need + minStock - line.have - line.onOrder;
+        if (line.short <= 0) return;
+        line.projectShort = Math.min(line.short, Math.max(0, line.need - line.have - line.onOrder));
+        line.restock = line.short - line.projectShort;
+        const part = line.partId ? inventory[line.partId] : null;
+        const { key, label, supplier, sku } = getPartSupplier(part);
+        // Restocking buys a full reorder quantity, not just the shortfall
+        const wanted = minStock > 0 ? Math.max(line.short, getPartReorderQuantity(part)) : line.short;
+        line.order = roundOrderQuantity(wanted, part);
+        line.sku = sku;
+        line.url = (getPreferredOffer(part) || {}).url || '';
+        if (!groups[key]) groups[key] = { key, label, supplier, lines: [] };
+        groups[key].lines.push(line);
+    });
+    return Object.values(groups)
+        .map(group => ({ ...group, lines: group.lines.sort((a, b) => a.name.localeCompare(b.name)) }))
+        .sort((a, b) => (a.key === '') - (b.key === '') || a.label.localeCompare(b.label));
+}
+
+/**
+ * Open the shopping list
+ * @param {Array<string>} [projectIds] - Projects to start with (default: all)
+ * @param {boolean} [restock=false] - Start with restocking ticked
+ */
+function showShoppingListModal(projectIds = Object.keys(projects), restock = false) {
+    shoppingListProjectIds = projectIds.filter(id => projects[id]);
+    shoppingListRestock = restock;
+    const restockOption = `
+        <label class="build-option shopping-restock-option">
+            <input type="checkbox" id="shoppingListRestock"${restock ? ' checked' : ''}>
+            Restock parts below their minimum
+            <span class="shopping-restock-hint">Also tops up project parts to their minimum, in at least their reorder quantity</span>
+        </label>
+    `;
+    const projectList = Object.entries(projects)
+        .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+        .map(([id, project]) => `
+            <label class="build-option">
+                <input type="checkbox" data-project-id="${escapeHtml(id)}"${shoppingListProjectIds.includes(id) ? ' checked' : ''}>
+                ${escapeHtml(project.name)}
+            </label>
+        `).join('');
+    const container = document.getElementById('shoppingListProjects');
+    container.innerHTML = restockOption + (projectList || '<p class="history-empty">No projects yet.</p>');
+    container.querySelectorAll('input[data-project-id]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            shoppingListProjectIds = [...container.querySelectorAll('input[data-project-id]:checked')]
+                .map(input => input.dataset.projectId);
+            renderShoppingList();
+        });
+    });
+    document.getElementById('shoppingListRestock').addEventListener('change', event => {
+        shoppingListRestock = event.target.checked;
+        renderShoppingList();
+    });
+    renderShoppingList();
+    showModal('shoppingListModal');
+    hideMobileNav();
+    pushRoute('/shopping');
+}
+
+function hideShoppingListModal() {
+    hideModal('shoppingListModal');
+    leaveRoute('shoppingListModal');
+    if (!document.getElementById('allProjectRequirementsModal').classList.contains('show')) {
+        showMobileNav();
+    }
+}
+
+function renderShoppingList() {
+    const groups = getShoppingList(shoppingListProjectIds, shoppingListRestock);
+    const container = document.getElementById('shoppingList');
+    const lineCount = groups.reduce((sum, group) => sum + group.lines.length, 0);
+    document.getElementById('shoppingListSummary').textContent = lineCount > 0
+        ? `${lineCount} part(s) to buy from ${groups.length} supplier(s)`
+        : '';
+    document.getElementById('printShoppingListBtn').disabled = lineCount === 0;
+    if (lineCount === 0) {
+        let message = 'Choose at least one project, or restock parts below their minimum.';
+        if (shoppingListProjectIds.length > 0) {
+            message = 'Nothing to buy: you have everything these projects need.';
+        } else if (shoppingListRestock) {
+            message = 'Nothing to buy: every part is at or above its minimum.';
+        }
+        container.innerHTML = `<p class="history-empty">${message}</p>`;
+        return;
+    }
+
+    container.innerHTML = groups.map(group => {
+        const cart = (group.supplier && group.supplier.cart) || GENERIC_SHOPPING_CART;
+        const rows = group.lines.map(line => {
+            const part = line.partId ? inventory[line.partId] : null;
+            const onOrderNote = line.onOrder > 0 ? `, ${line.onOrder} on order` : '';
+            const details = [];
+            if (line.need > 0) {
+                details.push(`Projects short ${line.projectShort} (need ${line.need}, have ${line.have}${onOrderNote})`);
+            }
+            if (line.restock > 0) {
+                details.push(`Restock ${line.restock} (keep ${line.minStock}${line.need > 0 ? '' : `, have ${line.have}${onOrderNote}`})`);
+            }
+            if (line.sku) details.push(`SKU ${line.sku}`);
+            if (!part) details.push('Not in inventory');
+            const { packSize, minOrder } = getPartOrderRules(part);
+            const rules = part ? `
+                <div class="shopping-item-rules">
+                    <label>Pack <input type="number" min="1" class="shopping-rule" data-part-id="${escapeHtml(line.partId)}" data-rule="packSize" value="${packSize}"></label>
+                    <label>Min order <input type="number" min="0" class="shopping-rule" data-part-id="${escapeHtml(line.partId)}" data-rule="minOrder" value="${minOrder}"></label>
+                </div>
+            ` : '';
+            return `
+                <li class="bom-review-row">
+                    <div class="bom-review-line">
+                        <span class="bom-review-name">${escapeHtml(line.name)}</span>
+                        <span class="bom-review-qty">Buy ${line.order}</span>
+                    </div>
+                    <div class="shopping-item-details" title="${escapeHtml(line.projects.length > 0 ? `Used in: ${line.projects.join(', ')}` : 'Below minimum stock')}">${escapeHtml(details.join(' · '))}</div>
+                    ${rules}
+                </li>
+            `;
+        }).join('');
+        return `
+            <div class="shopping-group">
+                <div class="shopping-group-header">
+                    <h3 class="section-title">${escapeHtml(group.label)} (${group.lines.length})</h3>
+                    <button class="btn import-btn shopping-export-btn" data-supplier="${escapeHtml(group.key)}">${escapeHtml(cart.label)}</button>
+                    <button class="btn import-btn shopping-po-btn" data-supplier="${escapeHtml(group.key)}">Create PO</button>
+                </div>
+                <ul class="bom-review-list">${rows}</ul>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.shopping-export-btn').forEach(button => {
+        button.addEventListener('click', () => exportShoppingCart(button.dataset.supplier));
+    });
+    container.querySelectorAll('.shopping-po-btn').forEach(button => {
+        button.addEventListener('click', () => createPurchaseOrderFromShoppingList(button.dataset.supplier));
+    });
+    container.querySelectorAll('.shopping-rule').forEach(input => {
+        input.addEventListener('change', () => setPartOrderRule(input.dataset.partId, input.dataset.rule, input.value));
+    });
+}
+
+/**
+ * Save a part's pack size or minimum order quantity and re-round the list.
+ * Parts with supplier offers keep the rule on their preferred offer
+ * @param {string} partId - Inventory part
+ * @param {string} rule - 'packSize' or 'minOrder'
+ * @param {string} value - Value typed by the user
+ */
+function setPartOrderRule(partId, rule, value) {
+    const part = inventory[partId];
+    if (!part) return;
+    const undoBefore = captureUndoState();
+    const number = parseInt(value) || 0;
+    const offer = part.offers ? getPreferredOffer(part) : null;
+    const target = offer || part;
+    if (offer) delete part[rule];
+    // 1-per-pack and no minimum are the defaults, so they aren't stored
+    if (number > (rule === 'packSize' ? 1 : 0)) {
+        target[rule] = number;
+    } else {
+        delete target[rule];
+    }
+    saveInventory();
+    commitUndoableAction(`Change order rules for ${part.name}`, undoBefore);
+    renderShoppingList();
+}
+
+/**
+ * Download one supplier's part of the list in its cart upload format
+ * @param {string} key - Group key from getShoppingList()
+ */
+function exportShoppingCart(key) {
+    const group = getShoppingList(shoppingListProjectIds, shoppingListRestock).find(candidate => candidate.key === key);
+    if (!group) return;
+    const cart = (group.supplier && group.supplier.cart) || GENERIC_SHOPPING_CART;
+    const lines = cart.requiresSku ? group.lines.filter(line => line.sku) : group.lines;
+    const skipped = group.lines.length - lines.length;
+    if (lines.length === 0) {
+        showNotification(`None of these parts have a ${group.label} SKU`, 'error');
+        return;
+    }
+    const rows = lines.map(line => cart.row(line).map(csvEscape).join(','));
+    if (cart.headers) rows.unshift(cart.headers.map(csvEscape).join(','));
+    downloadTextFile(rows.join('\n'), cart.filename, 'text/csv');
+    showNotification(skipped > 0
+        ? `Exported ${lines.length} line(s); ${skipped} without a ${group.label} SKU left out`
+        : `Exported ${lines.length} line(s) for ${group.label}`, skipped > 0 ? 'info' : 'success');
+}
+
+function printShoppingList() {
+    const groups = getShoppingList(shoppingListProjectIds, shoppingListRestock);
+    const projectNames = [
+        ...shoppingListProjectIds.map(id => projects[id].name),
+        ...(shoppingListRestock ? ['Restock'] : [])
+    ].join(', ');
+    // With restocking on, show how much of each line the projects need
+    // and how much is the top-up to minimum stock
+    const split = shoppingListRestock;
+    const sections = groups.map(group => `
+        <h2>${escapeHtml(group.label)}</h2>
+        <table>
+            <thead><tr><th></th><th>Part</th><th>SKU</th>${split ? '<th>Projects</th><th>Restock</th>' : ''}<th>Qty</th></tr></thead>
+            <tbody>${group.lines.map(line => `
+                <tr><td>☐</td><td>${escapeHtml(line.name)}</td><td>${escapeHtml(line.sku)}</td>${split ? `<td>${line.projectShort}</td><td>${line.restock}</td>` : ''}<td>${line.order}</td></tr>
+            `).join('')}</tbody>
+        </table>
+    `).join('');
+    printHtml(`
+        <h1>Shopping List</h1>
+        <p>${escapeHtml(new Date().toLocaleDateString())} · ${escapeHtml(projectNames)}</p>
+        ${sections}
+    `);
+}
+
+// =============================================================================
+// COSTS AND VALUATION
+// =============================================================================
+
+/**
+ * What one of a part cost: the unit cost entered on the part or taken
+ * from the last received order, else the preferred offer's unit price
+ * @param {Object} [part] - Inventory part
+ * @returns {number|null} Unit cost, or null if the part has no price
+ */
+function getPartUnitCost(part) {
+    if (!part) return null;
+    if (typeof part.unitCost === 'number') return part.unitCost;
+    return getOfferUnitPrice(getPreferredOffer(part));
+}
+
+/**
+ * Total value of the stock on hand
+ * @returns {{total: number, pricedParts: number, unpricedParts: number}}
+ *   unpricedParts counts parts in stock with no cost to value them at
+ */
+function getInventoryValue() {
+    const value = { total: 0, pricedParts: 0, unpricedParts: 0 };
+    Object.values(inventory).forEach(part => {
+        const quantity = Math.max(0, part.quantity || 0);
+        if (quantity === 0) return;
+        const unitCost = getPartUnitCost(part);
+        if (unitCost === null) {
+            value.unpricedParts++;
+            return;
+        }
+        value.total += quantity * unitCost;
+        value.pricedParts++;
+    });
+    return value;
+}
+
+/**
+ * Cost of a project's BOM, split into what stock already covers and what
+ * is still to buy. Stock is valued at its unit cost and missing parts at
+ * the preferred offer's price for the quantity short
+ * @param {string} projectId - Project to cost
+ * @param {Array<Object>} [matchIndex] - From buildBomMatchIndex(), if already built
+ * @returns {{total: number, covered: number, toBuy: number, unpricedLines: number,
+ *   lines: Object}} Totals, plus {partId, quantity, have, unitCost, buyPrice}
+ *   per BOM line ID
+ */
+function getProjectCost(projectId, matchIndex = buildBomMatchIndex()) {
+    const cost = { total: 0, covered: 0, toBuy: 0, unpricedLines: 0, lines: {} };
+    const bom = (projects[projectId] && projects[projectId].bom) || {};
+    for (const id in bom) {
+        if (!bom[id] || typeof bom[id] !== 'object') continue;
+        const match = findBestBomMatch(id, bom[id], matchIndex);
+        const part = match ? inventory[match.partId] : undefined;
+        const quantity = bom[id].quantity || 0;
+        const have = part ? Math.min(quantity, Math.max(0, getQuantityAvailableToProject(part, projectId))) : 0;
+        const unitCost = getPartUnitCost(part);
+        const buyPrice = getOfferUnitPrice(getPreferredOffer(part), Math.max(1, quantity - have)) ?? unitCost;
+        cost.lines[id] = { partId: match ? match.partId : null, quantity, have, unitCost, buyPrice };
+        if ((have > 0 && unitCost === null) || (have < quantity && buyPrice === null)) {
+            cost.unpricedLines++;
+        }
+        if (unitCost !== null) cost.covered += have * unitCost;
+        if (buyPrice !== null) cost.toBuy += (quantity - have) * buyPrice;
+    }
+    cost.total = cost.covered + cost.toBuy;
+    return cost;
+}
+
+/**
+ * Show the inventory value in the inventory header
+ */
+function updateInventoryValueDisplay() {
+    const element = document.getElementById('inventoryValue');
+    if (!element) return;
+    const { total, unpricedParts } = getInventoryValue();
+    element.textContent = `Value: ${formatPrice(total)}`;
+    element.title = unpricedParts > 0
+        ? `${unpricedParts} part(s) in stock have no unit cost and are not counted`
+        : 'Every part in stock has a unit cost';
+}
+
+// =============================================================================
+// PURCHASE ORDERS
+// =============================================================================
+
+// Statuses in the order a purchase order moves through them
+const PURCHASE_ORDER_STATUSES = {
+    draft: 'Draft',
+    ordered: 'Ordered',
+    partial: 'Partially received',
+    received: 'Received'
+};
+
+/**
+ * Next free purchase order ID (PO-0001, PO-0002, ...)
+ * @returns {string} PO ID
+ */
+function getNextPurchaseOrderId() {
+    const highest = Object.keys(purchaseOrders).reduce((max, id) => {
+        const match = id.match(/^PO-(\d+)$/);
+        return match ? Math.max(max, parseInt(match[1])) : max;
+    }, 0);
+    return `PO-${String(highest + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Create a draft purchase order
+ * @param {string} supplier - Supplier name
+ * @param {Array<Object>} [lines] - [{partId, name, sku?, quantity, price?}]
+ * @returns {string} New PO ID
+ */
+function createPurchaseOrder(supplier, lines = []) {
+    const id = getNextPurchaseOrderId();
+    purchaseOrders[id] = {
+        supplier: supplier || '',
+        status: 'draft',
+        createdAt: new Date().toISOString(),
+        lines: lines.map(line => {
+            const poLine = { partId: line.partId, name: line.name, quantity: line.quantity, received: 0 };
+            if (line.sku) poLine.sku = line.sku;
+            if (typeof line.price === 'number') poLine.price = line.price;
+            return poLine;
+        })
+    };
+    return id;
+}
+
+/**
+ * Quantity of a line still to arrive
+ * @param {Object} line - Purchase order line
+ * @returns {number} Outstanding quantity
+ */
+function getPurchaseOrderLineOutstanding(line) {
+    return Math.max(0, (line.quantity || 0) - (line.received || 0));
+}
+
+/**
+ * Quantity of a part ordered but not yet received. Drafts don't count
+ * until they are marked as ordered
+ * @param {string} partId - Inventory part ID
+ * @returns {number} Quantity on order
+ */
+function getOnOrderQuantity(partId) {
+    let onOrder = 0;
+    Object.values(purchaseOrders).forEach(order => {
+        if (order.status !== 'ordered' && order.status !== 'partial') return;
+        order.lines.forEach(line => {
+            if (line.partId === partId) onOrder += getPurchaseOrderLineOutstanding(line);
+        });
+    });
+    return onOrder;
+}
+
+/**
+ * Point purchase order lines for a renamed or merged part at its new ID,
+ * so what is on order (and what arrives later) stays with the part
+ * @param {string} fromId - Old part ID
+ * @param {string} toId - New part ID
+ */
+function remapPurchaseOrderParts(fromId, toId) {
+    let changed = false;
+    Object.values(purchaseOrders).forEach(order => {
+        order.lines.forEach(line => {
+            if (line.partId === fromId) {
+                line.partId = toId;
+                changed = true;
+            }
+        });
+    });
+    if (changed) savePurchaseOrders();
+}
+
+/**
+ * Move everything that refers to a part by ID (BOM match aliases and
+ * purchase order lines) to its new ID after a rename or merge
+ * @param {string} fromId - Old part ID
+ * @param {string} toId - New part ID
+ */
+function remapPartReferences(fromId, toId) {
+    remapBomMatchAliases(fromId, toId);
+    remapPurchaseOrderParts(fromId, toId);
+}
+
+/**
+ * Set an ordered PO's status from what has arrived so far
+ * @param {Object} order - Purchase order (not a draft)
+ */
+function updatePurchaseOrderStatus(order) {
+    const received = order.lines.filter(line => line.received > 0).length;
+    if (order.lines.every(line => getPurchaseOrderLineOutstanding(line) === 0)) {
+        order.status = 'received';
+        order.receivedAt = new Date().toISOString();
+    } else {
+        order.status = received > 0 ? 'partial' : 'ordered';
+        delete order.receivedAt;
+    }
+}
+
+/**
+ * Credit stock received outside a purchase order (e.g. from a supplier's
+ * order file) to the open purchase orders it was bought on, so it stops
+ * counting as on order. Lines are matched by part or SKU; POs with the
+ * same order number come first, then the supplier's oldest open POs
+ * @param {string} partId - Inventory part received
+ * @param {number} quantity - Quantity received
+ * @param {{sku?: string, orderNumber?: string, supplier?: string}} [receipt] - What the delivery says
+ * @returns {Array<string>} IDs of the purchase orders updated
+ */
+function receiveOnPurchaseOrders(partId, quantity, { sku = '', orderNumber = '', supplier = '' } = {}) {
+    const skuKey = String(sku).trim().toLowerCase();
+    const supplierKey = supplier.trim().toLowerCase();
+    const candidates = Object.entries(purchaseOrders)
+        .filter(([, order]) => (order.status === 'ordered' || order.status === 'partial') &&
+            // Another order number means another order; no supplier means any
+            !(orderNumber && order.orderNumber && order.orderNumber !== orderNumber) &&
+            (!order.supplier || !supplierKey || order.supplier.trim().toLowerCase() === supplierKey))
+        .sort(([, a], [, b]) =>
+            (b.orderNumber === orderNumber && Boolean(orderNumber)) - (a.orderNumber === orderNumber && Boolean(orderNumber)) ||
+            (a.orderedAt || a.createdAt || '').localeCompare(b.orderedAt || b.createdAt || ''));
+
+    const updated = [];
+    let remaining = quantity;
+    for (const [id, order] of candidates) {
+        if (remaining <= 0) break;
+        let touched = false;
+        order.lines.forEach(line => {
+            const outstanding = getPurchaseOrderLineOutstanding(line);
+            const matches = line.partId === partId || (skuKey && String(line.sku || '').toLowerCase() === skuKey);
+            if (remaining <= 0 || outstanding === 0 || !matches) return;
+            const credited = Math.min(outstanding, remaining);
+            line.received = (line.received || 0) + credited;
+            remaining -= credited;
+            touched = true;
+        });
+        if (touched) {
+            updatePurchaseOrderStatus(order);
+            updated.push(id);
+        }
+    }
+    return updated;
+}
+
+/**
+ * Turn one supplier's part of the shopping list into a draft purchase order
+ * @param {string} key - Group key from getShoppingList()
+ */
+function createPurchaseOrderFromShoppingList(key) {
+    const group = getShoppingList(shoppingListProjectIds, shoppingListRestock).find(candidate => candidate.key === key);
+    if (!group) return;
+    const lines = group.lines.filter(line => line.partId);
+    if (lines.length === 0) {
+        showNotification('Add these parts to the inventory before ordering them', 'error');
+        return;
+    }
+    const undoBefore = captureUndoState();
+    const id = createPurchaseOrder(group.key ? group.label : '', lines.map(line => ({
+        partId: line.partId,
+        name: line.name,
+        sku: line.sku,
+        quantity: line.order,
+        price: getOfferUnitPrice(getPreferredOffer(inventory[line.partId]), line.order)
+    })));
+    savePurchaseOrders();
+    commitUndoableAction(`Create ${id}`, undoBefore);
+    hideShoppingListModal();
+    showPurchaseOrderModal(id);
+    showNotification(`Created draft ${id}`, 'success', undoToastAction());
+}
+
+function showPurchaseOrdersModal() {
+    renderPurchaseOrders();
+    showModal('purchaseOrdersModal');
+    hideMobileNav();
+}
+
+function hidePurchaseOrdersModal() {
+    hideModal('purchaseOrdersModal');
+    showMobileNav();
+}
+
+/**
+ * List purchase orders, open ones first, newest first within each
+ */
+function renderPurchaseOrders() {
+    const container = document.getElementById('purchaseOrdersList');
+    const statusOrder = Object.keys(PURCHASE_ORDER_STATUSES);
+    const openFirst = status => status === 'received' ? 1 : 0;
+    const entries = Object.entries(purchaseOrders).sort(([idA, a], [idB, b]) =>
+        openFirst(a.status) - openFirst(b.status) ||
+        statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+        idB.localeCompare(idA));
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="history-empty">No purchase orders yet. Create one here or from the shopping list.</p>';
+        return;
+    }
+    container.innerHTML = `<ul class="bom-review-list">${entries.map(([id, order]) => {
+        const units = order.lines.reduce((sum, line) => sum + (line.quantity || 0), 0);
+        const outstanding = order.lines.reduce((sum, line) => sum + getPurchaseOrderLineOutstanding(line), 0);
+        const details = [`${order.lines.length} line(s), ${units} item(s)`];
+        if (order.status === 'ordered' || order.status === 'partial') details.push(`${outstanding} to arrive`);
+        if (order.orderNumber) details.push(`order ${order.orderNumber}`);
+        details.push(new Date(order.orderedAt || order.createdAt).toLocaleDateString());
+        return `
+            <li class="bom-review-row purchase-order-row" data-po-id="${escapeHtml(id)}">
+                <div class="bom-review-line">
+                    <span class="bom-review-name">${escapeHtml(id)}${order.supplier ? ` · ${escapeHtml(order.supplier)}` : ''}</span>
+                    <span class="po-status po-status-${escapeHtml(order.status)}">${escapeHtml(PURCHASE_ORDER_STATUSES[order.status] || order.status)}</span>
+                </div>
+                <div class="shopping-item-details">${escapeHtml(details.join(' · '))}</div>
+            </li>
+        `;
+    }).join('')}</ul>`;
+    container.querySelectorAll('.purchase-order-row').forEach(row => {
+        row.addEventListener('click', () => {
+            hideModal('purchaseOrdersModal');
+            showPurchaseOrderModal(row.dataset.poId);
+        });
+    });
+}
+
+/**
+ * Start an empty purchase order to fill in by hand
+ */
+function createManualPurchaseOrder() {
+    const undoBefore = captureUndoState();
+    const id = createPurchaseOrder('');
+    savePurchaseOrders();
+    commitUndoableAction(`Create ${id}`, undoBefore);
+    hideModal('purchaseOrdersModal');
+    showPurchaseOrderModal(id);
+}
+
+/**
+ * Open one purchase order
+ * @param {string} id - PO ID
+ */
+function showPurchaseOrderModal(id) {
+    if (!purchaseOrders[id]) {
+        showNotification('Purchase order not found', 'error');
+        return;
+    }
+    viewingPurchaseOrderId = id;
+    renderPurchaseOrder();
+    showModal('purchaseOrderModal');
+    hideMobileNav();
+}
+
+function hidePurchaseOrderModal() {
+    hideModal('purchaseOrderModal');
+    viewingPurchaseOrderId = null;
+    showMobileNav();
+}
+
+/**
+ * Render the open purchase order. Drafts can be edited; ordered POs take
+ * the quantities that arrived
+ */
+function renderPurchaseOrder() {
+    const id = viewingPurchaseOrderId;
+    const order = purchaseOrders[id];
+    if (!order) return;
+    const isDraft = order.status === 'draft';
+    const isOpen = order.status === 'ordered' || order.status === 'partial';
+
+    document.getElementById('purchaseOrderTitle').textContent = id;
+    document.getElementById('purchaseOrderStatus').textContent = PURCHASE_ORDER_STATUSES[order.status] || order.status;
+    document.getElementById('purchaseOrderStatus').className = `po-status po-status-${order.status}`;
+    const supplierInput = document.getElementById('purchaseOrderSupplier');
+    const orderNumberInput = document.getElementById('purchaseOrderNumber');
+    supplierInput.value = order.supplier || '';
+    orderNumberInput.value = order.orderNumber || '';
+    supplierInput.disabled = order.status === 'received';
+    orderNumberInput.disabled = order.status === 'received';
+
+    const list = document.getElementById('purchaseOrderLines');
+    list.innerHTML = order.lines.length === 0
+        ? '<li class="history-empty">No lines yet. Add parts below.</li>'
+        : order.lines.map((line, index) => {
+            const outstanding = getPurchaseOrderLineOutstanding(line);
+            const details = [];
+            if (line.sku) details.push(`SKU ${line.sku}`);
+            if (typeof line.price === 'number') details.push(`${formatPrice(line.price)} each`);
+            if (!isDraft) details.push(`received ${line.received || 0} of ${line.quantity}`);
+            if (!inventory[line.partId]) details.push('No longer in inventory');
+            let control = '';
+            if (isDraft) {
+                control = `
+                    <input type="number" min="1" class="po-line-qty" data-line="${index}" value="${line.quantity}" title="Quantity to order">
+                    <button type="button" class="offer-remove po-line-remove" data-line="${index}" title="Remove line">&times;</button>
+                `;
+            } else if (isOpen && outstanding > 0) {
+                control = `<input type="number" min="0" class="po-line-receive" data-line="${index}" value="${outstanding}" title="Quantity that arrived">`;
+            }
+            return `
+                <li class="bom-review-row">
+                    <div class="bom-review-line">
+                        <span class="bom-review-name">${escapeHtml(line.name)}</span>
+                        <span class="po-line-controls">${control || `<span class="bom-review-qty">${line.quantity}</span>`}</span>
+                    </div>
+                    ${details.length ? `<div class="shopping-item-details">${escapeHtml(details.join(' · '))}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+
+    const addRow = document.getElementById('purchaseOrderAddLine');
+    addRow.classList.toggle('hidden', !isDraft);
+    if (isDraft) {
+        document.getElementById('purchaseOrderAddPart').innerHTML = '<option value="">Add a part...</option>' +
+            getSortedPartOptions().map(([partId, part]) =>
+                `<option value="${escapeHtml(partId)}">${escapeHtml(part.name || partId)}</option>`).join('');
+    }
+
+    const primary = document.getElementById('purchaseOrderPrimaryBtn');
+    primary.classList.toggle('hidden', !isDraft && !isOpen);
+    primary.textContent = isDraft ? 'Mark as Ordered' : 'Receive';
+    primary.disabled = order.lines.length === 0;
+    document.getElementById('deletePurchaseOrderBtn').classList.toggle('hidden', !isDraft);
+
+    list.querySelectorAll('.po-line-qty').forEach(input => {
+        input.addEventListener('change', () => {
+            const undoBefore = captureUndoState();
+            const line = order.lines[parseInt(input.dataset.line)];
+            line.quantity = Math.max(1, parseInt(input.value) || 1);
+            savePurchaseOrders();
+            renderPurchaseOrder();
+            commitUndoableAction(`Change ${line.name} on ${id}`, undoBefore);
+        });
+    });
+    list.querySelectorAll('.po-line-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            const undoBefore = captureUndoState();
+            const [line] = order.lines.splice(parseInt(button.dataset.line), 1);
+            savePurchaseOrders();
+            renderPurchaseOrder();
+            commitUndoableAction(`Remove ${line.name} from ${id}`, undoBefore);
+            showNotification(`Removed ${line.name} from ${id}`, 'success', undoToastAction());
+        });
+    });
+}
+
+/**
+ * Save the supplier and order number typed into the open purchase order
+ */
+function updatePurchaseOrderDetails() {
+    const order = purchaseOrders[viewingPurchaseOrderId];
+    if (!order) return;
+    const undoBefore = captureUndoState();
+    order.supplier = document.getElementById('purchaseOrderSupplier').value.trim();
+    const orderNumber = document.getElementById('purchaseOrderNumber').value.trim();
+    if (orderNumber) {
+        order.orderNumber = orderNumber;
+    } else {
+        delete order.orderNumber;
+    }
+    savePurchaseOrders();
+    commitUndoableAction(`Edit ${viewingPurchaseOrderId}`, undoBefore);
+}
+
+/**
+ * Add the part picked in the open draft's "add a part" row
+ */
+function addPurchaseOrderLine() {
+    const order = purchaseOrders[viewingPurchaseOrderId];
+    const partId = document.getElementById('purchaseOrderAddPart').value;
+    const part = inventory[partId];
+    if (!order || !part) {
+        showNotification('Choose a part to add', 'error');
+        return;
+    }
+    const undoBefore = captureUndoState();
+    const quantity = Math.max(1, parseInt(document.getElementById('purchaseOrderAddQty').value) || 1);
+    const existing = order.lines.find(line => line.partId === partId);
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        const { sku } = getPartSupplier(part);
+        const line = { partId, name: part.name, quantity, received: 0 };
+        if (sku) line.sku = sku;
+        const price = getOfferUnitPrice(getPreferredOffer(part), quantity);
+        if (price !== null) line.price = price;
+        order.lines.push(line);
+    }
+    document.getElementById('purchaseOrderAddQty').value = 1;
+    savePurchaseOrders();
+    renderPurchaseOrder();
+    commitUndoableAction(`Add ${part.name} to ${viewingPurchaseOrderId}`, undoBefore);
+}
+
+/**
+ * Mark the open draft as ordered (so its parts count as on order), or
+ * receive the quantities typed against an ordered one
+ */
+function advancePurchaseOrder() {
+    const order = purchaseOrders[viewingPurchaseOrderId];
+    if (!order) return;
+    if (order.status === 'draft') {
+        markPurchaseOrderOrdered(viewingPurchaseOrderId);
+    } else {
+        receivePurchaseOrder(viewingPurchaseOrderId);
+    }
+}
+
+/**
+ * Mark a draft purchase order as ordered
+ * @param {string} id - PO ID
+ */
+function markPurchaseOrderOrdered(id) {
+    const order = purchaseOrders[id];
+    if (!order || order.lines.length === 0) return;
+    const undoBefore = captureUndoState();
+    order.status = 'ordered';
+    order.orderedAt = new Date().toISOString();
+    savePurchaseOrders();
+    displayInventory();
+    renderPurchaseOrder();
+    commitUndoableAction(`Order ${id}`, undoBefore);
+    showNotification(`${id} marked as ordered`, 'success', undoToastAction());
+}
+
+/**
+ * Add the quantities typed in the open purchase order to stock. Parts
+ * deleted since ordering are recreated
+ * @param {string} id - PO ID
+ */
+function receivePurchaseOrder(id) {
+    const order = purchaseOrders[id];
+    if (!order) return;
+    const arrived = [...document.querySelectorAll('#purchaseOrderLines .po-line-receive')]
+        .map(input => [parseInt(input.dataset.line), Math.max(0, parseInt(input.value) || 0)])
+        .filter(([, quantity]) => quantity > 0);
+    if (arrived.length === 0) {
+        showNotification('Enter the quantities that arrived', 'error');
+        return;
+    }
+
+    const undoBefore = captureUndoState();
+    let receivedUnits = 0;
+    arrived.forEach(([index, quantity]) => {
+        const line = order.lines[index];
+        if (!inventory[line.partId]) {
+            inventory[line.partId] = { name: line.name, quantity: 0, projects: {} };
+        }
+        const part = inventory[line.partId];
+        if (typeof line.price === 'number') part.unitCost = line.price;
+        part.quantity = (part.quantity || 0) + quantity;
+        line.received = (line.received || 0) + quantity;
+        const details = { note: `Purchase order ${id}` };
+        if (order.orderNumber) details.orderNumber = order.orderNumber;
+        recordStockMovement(line.partId, quantity, 'receive', details);
+        receivedUnits += quantity;
+    });
+    updatePurchaseOrderStatus(order);
+
+    saveInventory();
+    savePurchaseOrders();
+    displayInventory();
+    renderPurchaseOrder();
+    const ledgerDetails = order.orderNumber ? { orderNumber: order.orderNumber } : undefined;
+    commitUndoableAction(`Receive ${id}`, undoBefore, ledgerDetails);
+    const statusNote = order.status === 'received' ? ', order complete' : '';
+    showNotification(`Received ${receivedUnits} item(s) on ${id}${statusNote}`, 'success', undoToastAction());
+}
+
+/**
+ * Delete the open draft
+ */
+function deletePurchaseOrder() {
+    const id = viewingPurchaseOrderId;
+    if (!purchaseOrders[id]) return;
+    const undoBefore = captureUndoState();
+    delete purchaseOrders[id];
+    savePurchaseOrders();
+    hidePurchaseOrderModal();
+    commitUndoableAction(`Delete ${id}`, undoBefore);
+    showNotification(`Deleted ${id}`, 'success', undoToastAction());
+}
+
+// =============================================================================
+// STOCK ALLOCATION
+// =============================================================================
+
+/**
+ * Quantity of a part reserved for projects
+ * Reservations held for projects that no longer exist are ignored.
+ *
+ * @param {Object} part - Inventory part
+ * @param {string} [projectId] - Only count this project's reservation
+ * @returns {number} Reserved quantity
+ */
+function getReservedQuantity(part, projectId) {
+    if (!part || !part.reserved) return 0;
+    if (projectId !== undefined) {
+        return part.reserved[projectId] || 0;
+    }
+    let total = 0;
+    for (const [pid, quantity] of Object.entries(part.reserved)) {
+        if (projects[pid]) total += quantity || 0;
+    }
+    return total;
+}
+
+/**
+ * On-hand quantity not reserved for any project
+ * @param {Object} part - Inventory part
+ * @returns {number} Available quantity (negative if over-reserved)
+ */
+function getAvailableQuantity(part) {
+    return ((part && part.quantity) || 0) - getReservedQuantity(part);
+}
+
+/**
+ * Quantity a given project can draw on: available stock plus whatever
+ * is already reserved for that project
+ * @param {Object} part - Inventory part
+ * @param {string} projectId - Project asking
+ * @returns {number} Usable quantity
+ */
+function getQuantityAvailableToProject(part, projectId) {
+    return getAvailableQuantity(part) + (projects[projectId] ? getReservedQuantity(part, projectId) : 0);
+}
+
+/**
+ * Set (or clear, with 0) a part's reservation for a project
+ * @param {Object} part - Inventory part
+ * @param {string} projectId - Project holding the reservation
+ * @param {number} quantity - New reserved quantity
+ */
+function setReservedQuantity(part, projectId, quantity) {
+    if (!part) return;
+    if (quantity > 0) {
+        part.reserved = part.reserved || {};
+        part.reserved[projectId] = quantity;
+    } else if (part.reserved) {
+        delete part.reserved[projectId];
+        if (Object.keys(part.reserved).length === 0) delete part.reserved;
+    }
+}
+
+/**
+ * Reserve stock for one build of a project
+ * Each matched BOM part gets min(need, usable stock) set aside, so other
+ * projects no longer count it as available.
+ * @param {string} projectId - Project to reserve for
+ */
+function reserveProjectStock(projectId) {
+    const project = projects[projectId];
+    if (!project) return;
+    const undoBefore = captureUndoState();
+    const { lines, shortfalls } = getBuildDeductions(projectId, 1);
+    let reservedParts = 0;
+    lines.forEach(line => {
+        const part = inventory[line.partId];
+        const quantity = Math.max(0, Math.min(line.need, getQuantityAvailableToProject(part, projectId)));
+        setReservedQuantity(part, projectId, quantity);
+        if (quantity > 0) reservedParts++;
+    });
+
+    saveInventory();
+    displayInventory();
+    if (viewingProjectId === projectId) showProjectDetails(projectId);
+    if (!commitUndoableAction(`Reserve stock for ${project.name}`, undoBefore)) {
+        showNotification('Stock is already reserved', 'success');
+        return;
+    }
+    const message = shortfalls > 0
+        ? `Reserved ${reservedParts} part(s) for ${project.name}; ${shortfalls} short`
+        : `Reserved ${reservedParts} part(s) for ${project.name}`;
+    showNotification(message, 'success', undoToastAction());
+}
+
+/**
+ * Release every reservation held for a project
+ * @param {string} projectId - Project to release
+ */
+function releaseProjectStock(projectId) {
+    const project = projects[projectId];
+    if (!project) return;
+    const undoBefore = captureUndoState();
+    for (const id in inventory) {
+        setReservedQuantity(inventory[id], projectId, 0);
+    }
+    saveInventory();
+    displayInventory();
+    if (viewingProjectId === projectId) showProjectDetails(projectId);
+    if (commitUndoableAction(`Release stock for ${project.name}`, undoBefore)) {
+        showNotification(`Released reserved stock for ${project.name}`, 'success', undoToastAction());
+    } else {
+        showNotification('No stock reserved for this project', 'error');
+    }
+}
+
+// =============================================================================
+// STOCK LEVELS
+// =============================================================================
+
+/**
+ * Minimum a part should be kept at: its own minStock, else its category's,
+ * else LOW_STOCK_THRESHOLD. 0 means the part is never low
+ * @param {Object} part - Inventory part
+ * @returns {number} Minimum stock
+ */
+function getPartMinStock(part) {
+    if (Number.isInteger(part.minStock)) return part.minStock;
+    const category = PART_CATEGORIES[getPartTypeCategory(part.name)];
+    return category ? category.minStock : LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * How many to buy when a part is restocked: its own reorderQty, else its
+ * category's, else DEFAULT_REORDER_QUANTITY
+ * @param {Object} part - Inventory part
+ * @returns {number} Reorder quantity
+ */
+function getPartReorderQuantity(part) {
+    if (Number.isInteger(part.reorderQty)) return part.reorderQty;
+    const category = PART_CATEGORIES[getPartTypeCategory(part.name)];
+    return category ? category.reorderQty : DEFAULT_REORDER_QUANTITY;
+}
+
+/**
+ * Whether a part's available stock is below its minimum
+ * @param {Object} part - Inventory part
+ * @returns {boolean}
+ */
+function isLowStock(part) {
+    return getAvailableQuantity(part) < getPartMinStock(part);
+}
+
+/**
+ * Store or clear (with '') a part's stock level override
+ * @param {Object} part - Inventory part
+ * @param {string} field - 'minStock' or 'reorderQty'
+ * @param {number|string} value - Whole number of 0 or more, or '' for the default
+ */
+function setPartStockLevel(part, field, value) {
+    const number = value === '' ? NaN : Number(value);
+    if (Number.isInteger(number) && number >= 0) {
+        part[field] = number;
+    } else {
+        delete part[field];
+    }
+}
+
+/**
+ * Describe where a part's default stock levels come from
+ * @param {string} name - Part name
+ * @returns {{minStock: number, reorderQty: number, source: string}}
+ */
+function getDefaultStockLevels(name) {
+    const category = PART_CATEGORIES[getPartTypeCategory(name)];
+    return category
+        ? { minStock: category.minStock, reorderQty: category.reorderQty, source: category.label }
+        : { minStock: LOW_STOCK_THRESHOLD, reorderQty: DEFAULT_REORDER_QUANTITY, source: 'all parts' };
+}
+
+/**
+ * Show the defaults as placeholders in the Edit Part modal's stock level fields
+ */
+function updateStockLevelPlaceholders() {
+    const defaults = getDefaultStockLevels(document.getElementById('editPartName').value);
+    document.getElementById('editPartMinStock').placeholder = `Minimum stock (default ${defaults.minStock} for ${defaults.source})`;
+    document.getElementById('editPartReorderQty').placeholder = `Reorder quantity (default ${defaults.reorderQty})`;
+}
+
+/**
+ * Open the shopping list with just the parts below their minimum
+ */
+function showReorderList() {
+    showShoppingListModal([], true);
+}
+
+// =============================================================================
+// STORAGE LOCATIONS
+// =============================================================================
+
+/**
+ * Where a part is kept, stored as
+ * part.locations: [{cabinet?, drawer?, bin?, quantity?}]
+ * The first location is the part's home: it holds whatever stock the
+ * others don't, so +/-, builds and receipts need no location bookkeeping.
+ * The others hold the quantity stored with them.
+ */
+
+// Location levels, outermost first
+const LOCATION_LEVELS = ['cabinet', 'drawer', 'bin'];
+
+/**
+ * Clean up a location from the editor or an imported file
+ * @param {Object} raw - Location-like object
+ * @returns {Object|null} Location, or null if it names no level
+ */
+function normalizeLocation(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const location = {};
+    LOCATION_LEVELS.forEach(level => {
+        const value = String(raw[level] || '').trim();
+        if (value) location[level] = value;
+    });
+    if (Object.keys(location).length === 0) return null;
+    const quantity = parseInt(raw.quantity);
+    if (quantity >= 0) location.quantity = quantity;
+    return location;
+}
+
+/**
+ * Replace a part's locations (home first)
+ * @param {Object} part - Inventory part
+ * @param {Array<Object>} locations - New locations
+ */
+function setPartLocations(part, locations) {
+    const cleaned = (locations || []).map(normalizeLocation).filter(Boolean);
+    if (cleaned.length === 0) {
+        delete part.locations;
+        return;
+    }
+    delete cleaned[0].quantity;
+    part.locations = cleaned;
+}
+
+function getLocationPath(location) {
+    return LOCATION_LEVELS.map(level => (location && location[level]) || '').filter(Boolean);
+}
+
+function formatLocation(location) {
+    return getLocationPath(location).join(' › ');
+}
+
+/**
+ * Key used to filter by location: the lowercase path joined with "/",
+ * so "cabinet a/drawer 3" matches every bin in that drawer
+ * @param {Object} location - Storage location
+ * @returns {string} Location key
+ */
+function getLocationKey(location) {
+    return getLocationPath(location).join('/').toLowerCase();
+}
+
+/**
+ * Order locations cabinet by cabinet, then drawer, then bin, with
+ * numbers in natural order ("Bin 2" before "Bin 10"); no location sorts last
+ * @param {Object|null} a - Storage location
+ * @param {Object|null} b - Storage location
+ * @returns {number} Sort order
+ */
+function compareLocations(a, b) {
+    if (!a || !b) return (!a) - (!b);
+    for (const level of LOCATION_LEVELS) {
+        const order = (a[level] || '').localeCompare(b[level] || '', undefined, { numeric: true, sensitivity: 'base' });
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+function getPartHomeLocation(part) {
+    return part && Array.isArray(part.locations) && part.locations.length > 0 ? part.locations[0] : null;
+}
+
+/**
+ * How much of a part's stock is in each location. If stock has dropped
+ * below what the other locations claim, they are emptied last-first
+ * @param {Object} part - Inventory part
+ * @returns {Array<{location: Object, quantity: number}>} Home first
+ */
+function getPartLocationStock(part) {
+    const locations = (part && part.locations) || [];
+    let remaining = Math.max(0, (part && part.quantity) || 0);
+    const others = locations.slice(1).map(location => ({ location, quantity: location.quantity || 0 }));
+    const claimed = others.reduce((sum, entry) => sum + entry.quantity, 0);
+    let excess = Math.max(0, claimed - remaining);
+    for (let index = others.length - 1; index >= 0 && excess > 0; index--) {
+        const taken = Math.min(excess, others[index].quantity);
+        others[index].quantity -= taken;
+        excess -= taken;
+    }
+    remaining -= others.reduce((sum, entry) => sum + entry.quantity, 0);
+    return locations.length > 0 ? [{ location: locations[0], quantity: remaining }, ...others] : [];
+}
+
+/**
+ * Where to pick a quantity of a part from: the home location first, then
+ * the others in order
+ * @param {Object} part - Inventory part
+ * @param {number} need - Quantity to pick
+ * @returns {Array<{location: Object, quantity: number}>} Locations to visit
+ *   (empty if the part has no location)
+ */
+function getPickLocations(part, need) {
+    const picks = [];
+    let remaining = need;
+    for (const entry of getPartLocationStock(part)) {
+        if (remaining <= 0) break;
+        if (entry.quantity <= 0) continue;
+        const quantity = Math.min(remaining, entry.quantity);
+        picks.push({ location: entry.location, quantity });
+        remaining -= quantity;
+    }
+    // Whatever can't be found anywhere is still looked for at home
+    if (remaining > 0 && getPartHomeLocation(part)) {
+        const home = picks.find(pick => pick.location === part.locations[0]);
+        if (home) home.quantity += remaining;
+        else picks.unshift({ location: part.locations[0], quantity: remaining });
+    }
+    return picks;
+}
+
+/**
+ * Take picked stock out of the locations it was picked from. Without
+ * this, lowering the quantity would empty the other locations last-first
+ * (see getPartLocationStock()) rather than the ones actually visited
+ * @param {Object} part - Inventory part
+ * @param {Array<{location: Object, quantity: number}>} picks - From getPickLocations()
+ * @param {number} need - Total quantity taken
+ */
+function takePickedStock(part, picks, need) {
+    getPartLocationStock(part).slice(1).forEach(({ location, quantity }) => {
+        const pick = picks.find(entry => entry.location === location);
+        location.quantity = quantity - (pick ? pick.quantity : 0);
+    });
+    // Home holds whatever the others don't, so it follows the total
+    part.quantity = (part.quantity || 0) - need;
+}
+
+/**
+ * Locations as one line of text for the CSV export:
+ * "Cabinet A/Drawer 3/Bin 12;Cabinet B/Drawer 1:10" (home first, without
+ * a quantity). Skipped levels are left empty ("Shelf//Box 2")
+ * @param {Array<Object>} [locations] - Part locations
+ * @returns {string} Location text
+ */
+function formatLocationsText(locations) {
+    return (locations || []).map((location, index) => {
+        const path = LOCATION_LEVELS.map(level => location[level] || '');
+        while (path.length > 1 && !path[path.length - 1]) path.pop();
+        return index > 0 ? `${path.join('/')}:${location.quantity || 0}` : path.join('/');
+    }).join(';');
+}
+
+/**
+ * Read locations written by formatLocationsText()
+ * @param {string} text - Location text
+ * @returns {Array<Object>} Locations
+ */
+function parseLocationsText(text) {
+    return String(text || '').split(';').map(entry => {
+        const match = entry.trim().match(/^(.*?)(?::(\d+))?$/);
+        const location = {};
+        match[1].split('/').forEach((name, index) => {
+            if (LOCATION_LEVELS[index] && name.trim()) location[LOCATION_LEVELS[index]] = name.trim();
+        });
+        if (match[2] !== undefined) location.quantity = parseInt(match[2]);
+        return normalizeLocation(location);
+    }).filter(Boolean);
+}
+
+/**
+ * Whether a part is stored under a location filter key
+ * @param {Object} part - Inventory part
+ * @param {string} filterKey - From getLocationKey(), or 'none' for unplaced parts
+ * @returns {boolean} True if any of its locations is at or under the key
+ */
+function matchesLocationFilter(part, filterKey) {
+    const locations = part.locations || [];
+    if (filterKey === 'none') return locations.length === 0;
+    return locations.some(location => {
+        const key = getLocationKey(location);
+        return key === filterKey || key.startsWith(`${filterKey}/`);
+    });
+}
+
+/**
+ * Every distinct location in the inventory, sorted
+ * @returns {Array<Object>} Locations (without quantities)
+ */
+function getAllLocations() {
+    const byKey = new Map();
+    Object.values(inventory).forEach(part => {
+        (part.locations || []).forEach(location => {
+            const key = getLocationKey(location);
+            if (!byKey.has(key)) byKey.set(key, normalizeLocation({ ...location, quantity: undefined }));
+        });
+    });
+    return [...byKey.values()].sort(compareLocations);
+}
+
+/**
+ * Rebuild the location filter dropdown: every cabinet, drawer and bin in
+ * use, indented under its parent
+ */
+function updateLocationFilter() {
+    const filter = DOM.get('locationFilter');
+    if (!filter) return;
+    const options = new Map();
+    getAllLocations().forEach(location => {
+        const path = getLocationPath(location);
+        path.forEach((name, depth) => {
+            const key = path.slice(0, depth + 1).join('/').toLowerCase();
+            if (!options.has(key)) options.set(key, `${'\u00a0\u00a0'.repeat(depth)}${name}`);
+        });
+    });
+    filter.innerHTML = '<option value="all">All Locations</option>' +
+        [...options].map(([key, label]) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`).join('') +
+        (options.size > 0 ? '<option value="none">No location</option>' : '');
+    filter.value = currentLocationFilter === 'all' || currentLocationFilter === 'none' || options.has(currentLocationFilter)
+        ? currentLocationFilter
+        : 'all';
+    currentLocationFilter = filter.value;
+}
+
+/**
+ * Handle location filter changes
+ */
+function filterByLocation() {
+    currentLocationFilter = DOM.get('locationFilter').value;
+    displayInventory();
+}
+
+/**
+ * Render the location rows of the Edit Part modal
+ * @param {Object} part - Part being edited
+ */
+function renderLocationEditor(part) {
+    const container = document.getElementById('editPartLocations');
+    container.innerHTML = '';
+    getPartLocationStock(part).forEach(({ location, quantity }) => addLocationEditorRow(location, quantity));
+
+    // Suggest names already in use at each level
+    const allLocations = getAllLocations();
+    LOCATION_LEVELS.forEach(level => {
+        const names = [...new Set(allLocations.map(location => location[level]).filter(Boolean))];
+        document.getElementById(`${level}Names`).innerHTML =
+            names.map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+    });
+}
+
+/**
+ * Append a location row to the Edit Part modal
+ * @param {Object} [location] - Location to fill in; a blank row when omitted
+ * @param {number} [quantity] - Stock there
+ */
+function addLocationEditorRow(location = {}, quantity = 0) {
+    const container = document.getElementById('editPartLocations');
+    const isFirst = container.children.length === 0;
+    const row = document.createElement('div');
+    row.className = 'location-row';
+    const input = level => `
+        <label class="bom-mapping-field">
+            <span>${level.charAt(0).toUpperCase()}${level.slice(1)}</span>
+            <input type="text" class="location-${level}" list="${level}Names" value="${escapeHtml(location[level] || '')}">
+        </label>
+    `;
+    row.innerHTML = `
+        <div class="offer-row-header">
+            <label class="offer-preferred" title="The home location holds whatever the others don't">
+                <input type="radio" name="homeLocation" class="location-home-input"${isFirst ? ' checked' : ''}>
+                Home
+            </label>
+            <label class="location-quantity">
+                Qty <input type="number" min="0" class="location-qty" value="${quantity}">
+            </label>
+            <button type="button" class="offer-remove" title="Remove location">&times;</button>
+        </div>
+        <div class="location-fields">${LOCATION_LEVELS.map(input).join('')}</div>
+    `;
+    const homeInput = row.querySelector('.location-home-input');
+    homeInput.addEventListener('change', updateLocationEditorHome);
+    row.querySelector('.offer-remove').addEventListener('click', () => {
+        row.remove();
+        const first = container.querySelector('.location-home-input');
+        if (homeInput.checked && first) first.checked = true;
+        updateLocationEditorHome();
+    });
+    container.appendChild(row);
+    updateLocationEditorHome();
+}
+
+/**
+ * The home row's quantity is worked out, so it can't be typed
+ */
+function updateLocationEditorHome() {
+    document.querySelectorAll('#editPartLocations .location-row').forEach(row => {
+        const isHome = row.querySelector('.location-home-input').checked;
+        const qty = row.querySelector('.location-qty');
+        qty.disabled = isHome;
+        qty.title = isHome ? 'Holds whatever the other locations don\'t' : 'Quantity kept here';
+    });
+}
+
+/**
+ * Read the locations typed into the Edit Part modal
+ * @param {number} quantity - Part quantity being saved
+ * @returns {{locations?: Array<Object>, error?: string}} Locations (home
+ *   first), or the problem found
+ */
+function readLocationEditor(quantity) {
+    let home = null;
+    const others = [];
+    document.querySelectorAll('#editPartLocations .location-row').forEach(row => {
+        const location = normalizeLocation({
+            cabinet: row.querySelector('.location-cabinet').value,
+            drawer: row.querySelector('.location-drawer').value,
+            bin: row.querySelector('.location-bin').value,
+            quantity: row.querySelector('.location-qty').value
+        });
+        if (!location) return;
+        if (row.querySelector('.location-home-input').checked) home = location;
+        else others.push(location);
+    });
+    if (!home && others.length > 0) home = others.shift();
+    const placed = others.reduce((sum, location) => sum + (location.quantity || 0), 0);
+    if (placed > Math.max(0, quantity)) {
+        return { error: `Locations hold ${placed}, more than the ${quantity} in stock` };
+    }
+    return { locations: home ? [home, ...others] : [] };
+}
+
+// =============================================================================
+// BIN LABELS
+// =============================================================================
+
+/**
+ * Label sheets, measured in mm. page is [width, height]; left/top are the
+ * margins to the first label and gapX/gapY the space between labels.
+ * The continuous roll prints one label per page at the label's size.
+ */
+const LABEL_TEMPLATES = {
+    'avery-l7160': { name: 'Avery L7160 (A4, 21 per sheet)', page: [210, 297], columns: 3, rows: 7, width: 63.5, height: 38.1, left: 7.25, top: 15.15, gapX: 2.5, gapY: 0 },
+    'avery-l7651': { name: 'Avery L7651 (A4, 65 per sheet)', page: [210, 297], columns: 5, rows: 13, width: 38.1, height: 21.2, left: 4.75, top: 10.7, gapX: 2.5, gapY: 0 },
+    'avery-5160': { name: 'Avery 5160 (Letter, 30 per sheet)', page: [215.9, 279.4], columns: 3, rows: 10, width: 66.675, height: 25.4, left: 4.7625, top: 12.7, gapX: 3.175, gapY: 0 },
+    'continuous-62': { name: '62 mm continuous roll', page: [62, 29], columns: 1, rows: 1, width: 62, height: 29, left: 0, top: 0, gapX: 0, gapY: 0 }
+};
+
+const LABEL_FIELDS = ['name', 'value', 'type', 'location', 'qr'];
+
+const LABEL_OPTIONS_SETTING = 'labelOptions';
+
+// Last used template and fields: { template, fields: string[] }
+let labelOptions = { template: 'avery-l7160', fields: [...LABEL_FIELDS] };
+
+// Parts offered in the labels modal
+let labelPartIds = [];
+
+async function loadLabelOptions() {
+    try {
+        const saved = await loadSetting(LABEL_OPTIONS_SETTING);
+        if (saved && LABEL_TEMPLATES[saved.template] && Array.isArray(saved.fields)) {
+            labelOptions = { template: saved.template, fields: saved.fields.filter(field => LABEL_FIELDS.includes(field)) };
+        }
+    } catch (error) {
+        console.warn('Failed to load label options:', error);
+    }
+}
+
+/**
+ * What goes on a part's label
+ * @param {string} partId - Inventory part ID
+ * @returns {{name: string, value: string, type: string, location: string, link: string}}
+ */
+function getLabelContent(partId) {
+    const part = inventory[partId];
+    const home = getPartHomeLocation(part);
+    return {
+        name: part.name,
+        value: part.attributes && part.attributes.value !== undefined
+            ? formatAttribute('value', part.attributes)
+            : findComponentValues(part.name).values.map(found => found.parsed.canonical).join(' / '),
+        type: part.type || '',
+        location: home ? formatLocation(home) : '',
+        link: getPartDeepLink(partId)
+    };
+}
+
+/**
+ * Markup for one label, sized in mm for the template
+ * @param {string} partId - Inventory part ID
+ * @param {Object} template - Entry of LABEL_TEMPLATES
+ * @param {Array<string>} fields - Fields to show, from LABEL_FIELDS
+ * @returns {string} Label HTML
+ */
+function renderLabelHtml(partId, template, fields) {
+    const content = getLabelContent(partId);
+    const show = field => fields.includes(field);
+    const details = [show('value') && content.value, show('type') && content.type].filter(Boolean).join(' · ');
+    const fontSize = Math.min(template.height / 10, 3.5);
+    return `
+        <div class="bin-label" style="width: ${template.width}mm; height: ${template.height}mm; font-size: ${fontSize}mm;">
+            ${show('qr') ? `<div class="bin-label-qr" style="width: ${template.height - 4}mm;">${generateQrSvg(content.link, 2)}</div>` : ''}
+            <div class="bin-label-text">
+                ${show('name') ? `<div class="bin-label-name">${escapeHtml(content.name)}</div>` : ''}
+                ${details ? `<div class="bin-label-details">${escapeHtml(details)}</div>` : ''}
+                ${show('location') && content.location ? `<div class="bin-label-location">${escapeHtml(content.location)}</div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Open the label designer
+ * @param {Array<string>} [partIds] - Parts to label; defaults to the
+ *   parts currently shown in the inventory list
+ */
+function showLabelsModal(partIds) {
+    labelPartIds = (partIds || getSortedInventoryEntries().map(([id]) => id)).filter(id => inventory[id]);
+    if (labelPartIds.length === 0) {
+        showNotification('No parts to label', 'error');
+        return;
+    }
+    const templateSelect = document.getElementById('labelTemplate');
+    templateSelect.innerHTML = Object.entries(LABEL_TEMPLATES)
+        .map(([key, template]) => `<option value="${key}">${escapeHtml(template.name)}</option>`).join('');
+    templateSelect.value = labelOptions.template;
+    document.querySelectorAll('.label-field-toggle').forEach(input => {
+        input.checked = labelOptions.fields.includes(input.value);
+    });
+    document.getElementById('labelStartPosition').value = '1';
+
+    document.getElementById('labelPartList').innerHTML = labelPartIds.map(id => `
+        <li class="bom-review-row">
+            <label class="bom-review-line">
+                <input type="checkbox" class="label-part-toggle" value="${escapeHtml(id)}" checked>
+                <span class="bom-review-name">${escapeHtml(inventory[id].name)}</span>
+            </label>
+        </li>
+    `).join('');
+    document.querySelectorAll('.label-part-toggle').forEach(input => input.addEventListener('change', renderLabelPreview));
+
+    renderLabelPreview();
+    showModal('labelsModal');
+    hideMobileNav();
+}
+
+function hideLabelsModal() {
+    hideModal('labelsModal');
+    labelPartIds = [];
+    if (!document.getElementById('editPartModal').classList.contains('show')) {
+        showMobileNav();
+    }
+}
+
+/**
+ * Read the designer's choices and remember template and fields for next time
+ * @returns {{template: Object, fields: Array<string>, partIds: Array<string>, start: number}}
+ */
+function readLabelOptions() {
+    const templateKey = document.getElementById('labelTemplate').value;
+    const fields = [...document.querySelectorAll('.label-field-toggle')]
+        .filter(input => input.checked).map(input => input.value);
+    if (templateKey !== labelOptions.template || fields.join() !== labelOptions.fields.join()) {
+        labelOptions = { template: templateKey, fields };
+        saveSetting(LABEL_OPTIONS_SETTING, labelOptions);
+    }
+    const template = LABEL_TEMPLATES[templateKey];
+    const perSheet = template.columns * template.rows;
+    const start = Math.max(1, Math.min(perSheet, parseInt(document.getElementById('labelStartPosition').value) || 1));
+    const partIds = [...document.querySelectorAll('.label-part-toggle')]
+        .filter(input => input.checked).map(input => input.value);
+    return { template, fields, partIds, start };
+}
+
+/**
+ * Show the first selected label at actual size
+ */
+function renderLabelPreview() {
+    const { template, fields, partIds } = readLabelOptions();
+    const perSheet = template.columns * template.rows;
+    document.getElementById('labelStartRow').classList.toggle('hidden', perSheet === 1);
+    document.getElementById('labelPreview').innerHTML = partIds.length > 0
+        ? renderLabelHtml(partIds[0], template, fields)
+        : '<p class="history-empty">No parts selected</p>';
+    document.getElementById('printLabelsBtn').textContent =
+        `Print ${partIds.length} Label${partIds.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Lay the selected labels out on sheets and print them. Labels already
+ * used on a partial sheet are skipped with the start position.
+ */
+function printLabels() {
+    const { template, fields, partIds, start } = readLabelOptions();
+    if (partIds.length === 0) {
+        showNotification('Select at least one part', 'error');
+        return;
+    }
+    const perSheet = template.columns * template.rows;
+    const slots = [...new Array(perSheet > 1 ? start - 1 : 0).fill(null), ...partIds];
+    const sheets = [];
+    for (let index = 0; index < slots.length; index += perSheet) {
+        const labels = slots.slice(index, index + perSheet).map((partId, slot) => {
+            if (!partId) return '';
+            const left = template.left + (slot % template.columns) * (template.width + template.gapX);
+            const top = template.top + Math.floor(slot / template.columns) * (template.height + template.gapY);
+            return `<div class="label-slot" style="left: ${left}mm; top: ${top}mm;">${renderLabelHtml(partId, template, fields)}</div>`;
+        });
+        sheets.push(`<div class="label-sheet" style="width: ${template.page[0]}mm; height: ${template.page[1]}mm;">${labels.join('')}</div>`);
+    }
+    printHtml(`
+        <style>@page { size: ${template.page[0]}mm ${template.page[1]}mm; margin: 0; }</style>
+        ${sheets.join('')}
+    `);
+}
+
+// =============================================================================
+// PROJECT BUILDS
+// =============================================================================
+
+/**
+ * Describe a project's build history for display
+ * @param {Object} project - Project data
+ * @returns {string} e.g. "Built 3/14/2026 (2 total)", or '' if never built
+ */
+function getProjectBuildSummary(project) {
+    if (!project || !project.builtAt) return '';
+    const total = (project.builds || []).reduce((sum, build) => sum + (build.count || 0), 0);
+    const date = new Date(project.builtAt).toLocaleDateString();
+    return total > 1 ? `Built ${date} (${total} total)` : `Built ${date}`;
+}
+
+/**
+ * Work out what building a project would take from inventory
+ * BOM entries are matched with the same rules as the project details
+ * modal; entries resolving to the same part are combined.
+ *
+ * @param {string} projectId - Project to build
+ * @param {number} buildCount - Number of units to build
+ * @returns {{lines: Array, unmatched: Array, shortfalls: number}}
+ *   lines: [{partId, name, have, need, pick}] for matched parts, in
+ *   storage order so they double as a pick list (pick: see getPickLocations()),
+ *   unmatched: [{name, need}] for BOM entries not in inventory
+ */
+function getBuildDeductions(projectId, buildCount) {
+    const bom = (projects[projectId] && projects[projectId].bom) || {};
+    const byPart = {};
+    const unmatched = [];
+    const matchIndex = buildBomMatchIndex();
+    for (const [bomId, entry] of Object.entries(bom)) {
+        if (!entry || typeof entry !== 'object') continue;
+        const need = (parseInt(entry.quantity) || 0) * buildCount;
+        if (need <= 0) continue;
+        const partId = findInventoryIdForBomEntry(bomId, entry, matchIndex);
+        if (!partId) {
+            unmatched.push({ name: entry.name || bomId, need });
+            continue;
+        }
+        if (!byPart[partId]) {
+            byPart[partId] = {
+                partId,
+                name: inventory[partId].name,
+                have: getQuantityAvailableToProject(inventory[partId], projectId),
+                need: 0
+            };
+        }
+        byPart[partId].need += need;
+    }
+    const lines = Object.values(byPart);
+    lines.forEach(line => { line.pick = getPickLocations(inventory[line.partId], line.need); });
+    lines.sort((a, b) =>
+        compareLocations(a.pick.length > 0 ? a.pick[0].location : null, b.pick.length > 0 ? b.pick[0].location : null) ||
+        a.name.localeCompare(b.name));
+    const shortfalls = lines.filter(line => line.have < line.need).length + unmatched.length;
+    return { lines, unmatched, shortfalls };
+}
+
+function showBuildProjectModal(projectId) {
+    const project = projects[projectId];
+    if (!project) {
+        showNotification('Project not found', 'error');
+        return;
+    }
+    if (!project.bom || Object.keys(project.bom).length === 0) {
+        showNotification('This project has no BOM to build from', 'error');
+        return;
+    }
+    buildingProjectId = projectId;
+    document.getElementById('buildProjectTitle').textContent = `Build ${project.name}`;
+    document.getElementById('buildCountInput').value = '1';
+    document.getElementById('buildAllowNegative').checked = false;
+    renderBuildPreview();
+    showModal('buildProjectModal');
+    hideMobileNav();
+}
+
+function hideBuildProjectModal() {
+    hideModal('buildProjectModal');
+    buildingProjectId = null;
+    if (!document.getElementById('projectDetailsModal').classList.contains('show')) {
+        showMobileNav();
+    }
+}
+
+/**
+ * Read the build count input, clamped to a sane range
+ * @returns {number} Build count (at least 1)
+ */
+function getBuildCount() {
+    const value = parseInt(document.getElementById('buildCountInput').value) || 1;
+    return Math.max(1, Math.min(999, value));
+}
+
+/**
+ * Render the deduction preview for the pending build
+ * Re-run whenever the build count or negative-stock option changes
+ */
+function renderBuildPreview() {
+    if (!buildingProjectId) return;
+    const buildCount = getBuildCount();
+    const allowNegative = document.getElementById('buildAllowNegative').checked;
+    const { lines, unmatched, shortfalls } = getBuildDeductions(buildingProjectId, buildCount);
+
+    const rows = lines.map(line => {
+        const after = line.have - line.need;
+        const short = after < 0;
+        return `
+            <li class="build-preview-row ${short ? 'short' : ''}">
+                <span class="build-part-name" title="${escapeHtml(line.name)}">${escapeHtml(line.name)}</span>
+                ${line.pick.length > 0 ? `<span class="build-part-location">${escapeHtml(formatPickLocations(line.pick))}</span>` : ''}
+                <span class="build-part-qty">${line.have} − ${line.need} = <b>${after}</b></span>
+            </li>
+        `;
+    });
+    unmatched.forEach(entry => {
+        rows.push(`
+            <li class="build-preview-row short">
+                <span class="build-part-name" title="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</span>
+                <span class="build-part-qty">Not in inventory (need ${entry.need})</span>
+            </li>
+        `);
+    });
+
+    let warning = '';
+    if (shortfalls > 0 && allowNegative) {
+        const negativeCount = shortfalls - unmatched.length;
+        const notes = [];
+        if (negativeCount > 0) notes.push(`${negativeCount} part${negativeCount > 1 ? 's' : ''} will go below zero.`);
+        if (unmatched.length > 0) notes.push(`${unmatched.length} part${unmatched.length > 1 ? 's' : ''} not in inventory will be skipped.`);
+        warning = notes.join(' ');
+    } else if (shortfalls > 0) {
+        warning = `Not enough stock for ${shortfalls} part${shortfalls > 1 ? 's' : ''}. Allow negative stock to build anyway.`;
+    }
+
+    document.getElementById('buildPreview').innerHTML = `
+        <ul class="build-preview-list">${rows.join('')}</ul>
+        ${warning ? `<p class="build-warning">${escapeHtml(warning)}</p>` : ''}
+    `;
+    document.getElementById('confirmBuildBtn').disabled = shortfalls > 0 && !allowNegative;
+}
+
+/**
+ * Describe where to pick a build line from
+ * @param {Array<{location: Object, quantity: number}>} pick - From getPickLocations()
+ * @returns {string} e.g. "Cabinet A › Drawer 3" or "Drawer 3 (8), Drawer 4 (2)"
+ */
+function formatPickLocations(pick) {
+    if (pick.length === 1) return formatLocation(pick[0].location);
+    return pick.map(({ location, quantity }) => `${formatLocation(location)} (${quantity})`).join(', ');
+}
+
+/**
+ * Print the pending build as a pick list, in storage order
+ */
+function printBuildPickList() {
+    if (!buildingProjectId) return;
+    const buildCount = getBuildCount();
+    const { lines, unmatched } = getBuildDeductions(buildingProjectId, buildCount);
+    const rows = lines.map(line => `
+        <tr><td>☐</td><td>${escapeHtml(line.pick.length > 0 ? formatPickLocations(line.pick) : '')}</td><td>${escapeHtml(line.name)}</td><td>${line.need}</td></tr>
+    `).join('');
+    const missing = unmatched.map(entry => `
+        <tr><td>☐</td><td>Not in inventory</td><td>${escapeHtml(entry.name)}</td><td>${entry.need}</td></tr>
+    `).join('');
+    printHtml(`
+        <h1>Pick List</h1>
+        <p>${escapeHtml(new Date().toLocaleDateString())} · ${buildCount}× ${escapeHtml(projects[buildingProjectId].name)}</p>
+        <table>
+            <thead><tr><th></th><th>Location</th><th>Part</th><th>Qty</th></tr></thead>
+            <tbody>${rows}${missing}</tbody>
+        </table>
+    `);
+}
+
+/**
+ * Deduct the pending build's parts from inventory in one step
+ * Records a ledger entry per part, marks the project built, and
+ * registers a single undo step for the whole build.
+ */
+function confirmBuildProject() {
+    const projectId = buildingProjectId;
+    const project = projects[projectId];
+    if (!project) return;
+    const buildCount = getBuildCount();
+    const allowNegative = document.getElementById('buildAllowNegative').checked;
+    const { lines, shortfalls } = getBuildDeductions(projectId, buildCount);
+    if (shortfalls > 0 && !allowNegative) {
+        showNotification('Not enough stock to build', 'error');
+        return;
+    }
+
+    const undoBefore = captureUndoState();
+    const buildNote = `${buildCount}× build`;
+    lines.forEach(line => {
+        const part = inventory[line.partId];
+        takePickedStock(part, line.pick, line.need);
+        // Parts set aside for this project are the ones being used up
+        setReservedQuantity(part, projectId, Math.max(0, getReservedQuantity(part, projectId) - line.need));
+        recordStockMovement(line.partId, -line.need, 'build', { projectId, note: buildNote });
+    });
+    const builtAt = new Date().toISOString();
+    project.builtAt = builtAt;
+    project.builds = [...(project.builds || []), { date: builtAt, count: buildCount }];
+
+    saveInventory();
+    saveProjects();
+    displayInventory();
+    hideBuildProjectModal();
+    if (viewingProjectId === projectId) {
+        showProjectDetails(projectId);
+    }
+    commitUndoableAction(`Build ${buildCount}× ${project.name}`, undoBefore);
+    showNotification(`Built ${buildCount}× ${project.name}`, 'success', undoToastAction());
+}
+
+function showExportBOMModal() {
+    const select = document.getElementById('exportBOMProject');
+    select.innerHTML = '<option value="">Select a project...</option>';
+    
+    for (const projectId in projects) {
+        const option = document.createElement('option');
+        option.value = projectId;
+        option.textContent = projects[projectId].name;
+        select.appendChild(option);
+    }
+    
+    showModal('exportBOMModal');
+    hideMobileNav();
+}
 
 function hideExportBOMModal() {
     hideModal('exportBOMModal');
@@ -2450,13 +7357,18 @@ function exportProjectBOM(format) {
 
     const project = projects[projectId];
     const bom = project.bom;
+    const cost = getProjectCost(projectId);
+    const lineCost = id => {
+        const line = cost.lines[id];
+        return line && line.unitCost !== null ? roundPrice(line.unitCost * line.quantity) : null;
+    };
     const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
     let filename, dataStr, mimeType;
 
     if (format === 'csv') {
         filename = `${project.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}-bom-${timestamp}.csv`;
         // Create CSV header
-        const headers = ['Part Name', 'Quantity', 'Purchase URL'];
+        const headers = ['Part Name', 'Quantity', 'Designators', 'Purchase URL', 'Unit Cost', 'Line Cost'];
         
         // Helper function to escape CSV fields
         // Create CSV rows
@@ -2465,10 +7377,14 @@ function exportProjectBOM(format) {
             return [
                 csvEscape(part.name),
                 csvEscape(part.quantity),
-                csvEscape(inventoryPart ? inventoryPart.purchaseUrl || '' : '')
+                csvEscape(formatDesignators(part.designators)),
+                csvEscape(inventoryPart ? inventoryPart.purchaseUrl || '' : ''),
+                csvEscape(cost.lines[id] && cost.lines[id].unitCost !== null ? cost.lines[id].unitCost : ''),
+                csvEscape(lineCost(id) !== null ? lineCost(id) : '')
             ];
         });
-        // Combine header and rows
+        // Combine header and rows. Totals are left to the JSON export so the
+        // CSV still imports back as a BOM
         dataStr = [headers.map(csvEscape), ...rows].map(row => row.join(',')).join('\n');
         mimeType = 'text/csv';
     } else {
@@ -2482,21 +7398,24 @@ function exportProjectBOM(format) {
                 return {
                     name: part.name,
                     quantity: part.quantity,
-                    purchaseUrl: inventoryPart ? inventoryPart.purchaseUrl || '' : ''
+                    designators: part.designators || [],
+                    purchaseUrl: inventoryPart ? inventoryPart.purchaseUrl || '' : '',
+                    unitCost: cost.lines[id] ? cost.lines[id].unitCost : null,
+                    lineCost: lineCost(id)
                 };
-            })
+            }),
+            cost: {
+                total: roundPrice(cost.total),
+                covered: roundPrice(cost.covered),
+                toBuy: roundPrice(cost.toBuy),
+                unpricedLines: cost.unpricedLines
+            }
         };
         dataStr = JSON.stringify(exportData, null, 2);
         mimeType = 'application/json';
     }
 
-    const dataBlob = new Blob([dataStr], {type: mimeType});
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(dataBlob);
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadTextFile(dataStr, filename, mimeType);
     hideExportBOMModal();
 }
 
@@ -2523,6 +7442,30 @@ function createSyncButtons() {
             </svg>
             Compare BOM
         </button>
+        <button class="sync-btn import-btn full-width" onclick="document.getElementById('importOrder').click()">
+            <svg class="sync-icon" viewBox="0 0 24 24">
+                <path d="M20 8h-3V4H3c-1.1 0-2 .9-2 2v11h2c0 1.66 1.34 3 3 3s3-1.34 3-3h6c0 1.66 1.34 3 3 3s3-1.34 3-3h2v-5l-3-4zM6 18.5c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5zm13.5-9l1.96 2.5H17V9.5h2.5zm-1.5 9c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5z"/>
+            </svg>
+            Receive Order
+        </button>
+        <button class="sync-btn import-btn full-width" onclick="showPurchaseOrdersModal()">
+            <svg class="sync-icon" viewBox="0 0 24 24">
+                <path d="M19 3h-4.18C14.4 1.84 13.3 1 12 1c-1.3 0-2.4.84-2.82 2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-7 0c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm2 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z"/>
+            </svg>
+            Purchase Orders
+        </button>
+        <button class="sync-btn import-btn full-width" onclick="showReorderList()">
+            <svg class="sync-icon" viewBox="0 0 24 24">
+                <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+            </svg>
+            Reorder List
+        </button>
+        <button class="sync-btn export-btn full-width" onclick="showLabelsModal()">
+            <svg class="sync-icon" viewBox="0 0 24 24">
+                <path d="M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z"/>
+            </svg>
+            Print Labels
+        </button>
         <button class="sync-btn export-btn full-width" onclick="showExportBOMModal()">
             <svg class="sync-icon" viewBox="0 0 24 24">
                 <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z"/>
@@ -2558,18 +7501,603 @@ function updateQuantity(partId, newQuantity) {
     const part = inventory[partId];
     if (!part) return;
 
+    const undoBefore = captureUndoState();
     const oldQuantity = part.quantity;
     part.quantity = newQuantity;
+    recordStockMovement(partId, newQuantity - (oldQuantity || 0), 'stocktake');
     
     saveInventory();
     displayInventory();
     
     if (newQuantity !== oldQuantity) {
-        showNotification(`Updated ${part.name} quantity to ${newQuantity}`);
+        commitUndoableAction(`Set ${part.name} to ${newQuantity}`, undoBefore);
+        showNotification(`Updated ${part.name} quantity to ${newQuantity}`, 'success', undoToastAction());
+    }
+}
+
+
+
+// =============================================================================
+// COMPONENT VALUE PARSING
+// =============================================================================
+
+// Multipliers for SI prefixes plus the RKM "R" marker (4R7 = 4.7 ohm).
+// Case matters: "M" is mega and "m" is milli
+const VALUE_PREFIX_MULTIPLIERS = {
+    p: 1e-12,
+    n: 1e-9,
+    u: 1e-6,
+    'µ': 1e-6,
+    'μ': 1e-6,
+    m: 1e-3,
+    R: 1,
+    r: 1,
+    k: 1e3,
+    K: 1e3,
+    M: 1e6,
+    meg: 1e6,
+    MEG: 1e6,
+    Meg: 1e6,
+    G: 1e9
+};
+
+// Prefixes that are unambiguous without a unit or category ("10k", "1M")
+const UNITLESS_VALUE_PREFIXES = new Set(['k', 'K', 'M', 'meg', 'MEG', 'Meg', 'G']);
+
+// Prefixes only capacitors use in pedal parts, so "100n" or "4u7" without a
+// unit or category is read as farads
+const FARAD_VALUE_PREFIXES = new Set(['p', 'n', 'u', 'µ', 'μ']);
+
+// Decimal form (4.7k, 100nF, 4700 ohm), RKM form (4k7, 2n2, 4R7) and the
+// leading-R form (R47). Group 1 is the preceding boundary character
+const VALUE_TOKEN_PATTERN = /(^|[^A-Za-z0-9.µμ])(?:(\d+(?:\.\d+)?|\.\d+)\s?(meg|MEG|Meg|[pnuµμmkKMGRr])?(\d+)?|([Rr])(\d+))\s?(ohms?|Ω|ω|[FfHh])?(?![A-Za-z0-9])/g;
+
+/**
+ * Work out a value's unit from an explicit suffix, the prefix or the part category
+ *
+ * @param {string|undefined} unitText - Unit as written, e.g. "Ω", "ohm", "F"
+ * @param {string|undefined} prefix - Prefix as written, e.g. "k", "R"
+ * @param {string|null} category - Part category from getPartTypeCategory()
+ * @returns {string|null} 'Ω', 'F', 'H' or null when dimensionless
+ */
+function inferValueUnit(unitText, prefix, category) {
+    if (unitText) {
+        if (/^(ohms?|Ω|ω)$/.test(unitText)) return 'Ω';
+        return unitText.toUpperCase();
+    }
+    if (prefix === 'R' || prefix === 'r') return 'Ω';
+    return getCategoryValueUnit(category);
+}
+
+/**
+ * Parse a single component value such as "4k7", "0.1uF", "R47" or "104"
+ * Bare numbers are only read as values when the category makes them
+ * meaningful: ohms for resistors and pots, EIA 3-digit codes (pF) for capacitors
+ *
+ * @param {string} text - The value text
+ * @param {string|null} [category] - Part category from getPartTypeCategory()
+ * @returns {{value: number, unit: string|null, canonical: string, key: string}|null}
+ *          Parsed value in base units, or null if the text is not a value
+ */
+function parseComponentValue(text, category = null) {
+    if (text === undefined || text === null) return null;
+    const trimmed = String(text).trim();
+    VALUE_TOKEN_PATTERN.lastIndex = 0;
+    const match = VALUE_TOKEN_PATTERN.exec(trimmed);
+    if (!match || match.index !== 0 || match[0].length !== trimmed.length) return null;
+    return interpretValueMatch(match, category, '');
+}
+
+/**
+ * Turn a VALUE_TOKEN_PATTERN match into a parsed value
+ *
+ * @param {Array} match - Regex match
+ * @param {string|null} category - Part category
+ * @param {string} nextChar - Character following the match, used to reject fractions like 1/4W
+ * @returns {Object|null} Parsed value (see parseComponentValue) or null
+ */
+function interpretValueMatch(match, category, nextChar) {
+    const [, , number, prefix, rkmDigits, leadingR, leadingRDigits, unitText] = match;
+    let value;
+    let usedPrefix = prefix;
+
+    if (leadingR) {
+        // R47 = 0.47 ohm
+        usedPrefix = leadingR;
+        value = parseFloat(`0.${leadingRDigits}`);
+    } else if (rkmDigits !== undefined) {
+        // RKM: the prefix letter stands in for the decimal point
+        if (!prefix || number.includes('.')) return null;
+        value = parseFloat(`${number}.${rkmDigits}`) * VALUE_PREFIX_MULTIPLIERS[prefix];
+    } else {
+        value = parseFloat(number) * (prefix ? VALUE_PREFIX_MULTIPLIERS[prefix] : 1);
+    }
+    if (!Number.isFinite(value)) return null;
+
+    let unit = inferValueUnit(unitText, usedPrefix, category);
+    // Long RKM digit runs are part numbers (2n5088, 1n4148), not values
+    if (!unit && !category && FARAD_VALUE_PREFIXES.has(usedPrefix) &&
+        (rkmDigits === undefined || rkmDigits.length === 1)) {
+        unit = 'F';
+    }
+
+    if (!unitText && !usedPrefix) {
+        // Bare number: "1/4" in "1/4W" or "3" in "1-3" are not values
+        const previousChar = match[1];
+        if (previousChar === '/' || nextChar === '/') return null;
+        if (category === 'capacitor') {
+            // EIA code: two significant digits and a multiplier digit, in pF
+            if (!/^[1-9]\d[0-689]$/.test(number)) return null;
+            const multiplierDigit = Number(number[2]);
+            const exponent = multiplierDigit === 8 ? -2 : multiplierDigit === 9 ? -1 : multiplierDigit;
+            value = Number(number.slice(0, 2)) * Math.pow(10, exponent) * 1e-12;
+        } else if (getCategoryValueUnit(category) !== 'Ω') {
+            return null;
+        }
+    } else if (!unit && !UNITLESS_VALUE_PREFIXES.has(usedPrefix)) {
+        // "5m" or "2n5088" without a unit or category is too ambiguous
+        return null;
+    }
+
+    return {
+        value,
+        unit,
+        canonical: formatEngineeringValue(value, unit),
+        key: formatValueKey(value, unit)
+    };
+}
+
+/**
+ * Split a value into a mantissa and SI prefix suitable for the unit
+ *
+ * @param {number} value - Value in base units
+ * @param {string|null} unit - 'Ω', 'F', 'H' or null
+ * @returns {{mantissa: number, exponent: number}}
+ */
+function splitEngineeringValue(value, unit) {
+    // Ohms and dimensionless values never use sub-unit prefixes (R47, not 470m)
+    const minExponent = unit === 'F' || unit === 'H' ? -12 : 0;
+    let exponent = 0;
+    if (value !== 0) {
+        exponent = Math.floor(Math.log10(Math.abs(value)) / 3) * 3;
+        exponent = Math.min(9, Math.max(minExponent, exponent));
+    }
+    let mantissa = parseFloat((value / Math.pow(10, exponent)).toPrecision(4));
+    if (Math.abs(mantissa) >= 1000 && exponent < 9) {
+        exponent += 3;
+        mantissa = parseFloat((mantissa / 1000).toPrecision(4));
+    }
+    return { mantissa, exponent };
+}
+
+/**
+ * Format a value for display, e.g. 4700 Ω -> "4.7kΩ", 1e-7 F -> "100nF"
+ *
+ * @param {number} value - Value in base units
+ * @param {string|null} unit - 'Ω', 'F', 'H' or null
+ * @returns {string} Human readable value
+ */
+function formatEngineeringValue(value, unit) {
+    const symbols = { '-12': 'p', '-9': 'n', '-6': 'µ', '-3': 'm', '0': '', '3': 'k', '6': 'M', '9': 'G' };
+    const { mantissa, exponent } = splitEngineeringValue(value, unit);
+    return `${mantissa}${symbols[exponent]}${unit || ''}`;
+}
+
+/**
+ * Format a value as a lowercase alphanumeric key in RKM style, e.g.
+ * 4.7 kΩ -> "4k7", 100 Ω -> "100r", 2.2 µF -> "2u2f", 1 MΩ -> "1meg"
+ * Mega is spelled "meg" so it never collides with milli
+ *
+ * @param {number} value - Value in base units
+ * @param {string|null} unit - 'Ω', 'F', 'H' or null
+ * @returns {string} Comparison key
+ */
+function formatValueKey(value, unit) {
+    const letters = { '-12': 'p', '-9': 'n', '-6': 'u', '-3': 'm', '0': unit === 'Ω' ? 'r' : '', '3': 'k', '6': 'meg', '9': 'g' };
+    const { mantissa, exponent } = splitEngineeringValue(value, unit);
+    const [whole, fraction = ''] = String(Math.abs(mantissa)).split('.');
+    const letter = letters[exponent];
+    // Without a letter to act as the decimal point, fall back to "p" (point)
+    const body = fraction ? `${whole}${letter || 'p'}${fraction}` : `${whole}${letter}`;
+    const unitSuffix = unit === 'F' ? 'f' : unit === 'H' ? 'h' : '';
+    return `${mantissa < 0 ? 'neg' : ''}${body}${unitSuffix}`;
+}
+
+/**
+ * Find every component value in a part name or ID
+ *
+ * @param {string} str - Part name, BOM entry or ID
+ * @param {string|null} [category] - Category override; detected from the text when omitted
+ * @returns {{text: string, values: Array<{index: number, length: number, parsed: Object}>}}
+ *          The prepared text and the values found in it, in order
+ */
+function findComponentValues(str, category) {
+    const text = splitGluedValueText(str);
+    const detectedCategory = category !== undefined ? category : getPartTypeCategory(text);
+    const found = [];
+    VALUE_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = VALUE_TOKEN_PATTERN.exec(text)) !== null) {
+        const start = match.index + match[1].length;
+        const end = match.index + match[0].length;
+        const parsed = interpretValueMatch(match, detectedCategory, text.charAt(end));
+        if (parsed) {
+            found.push({ index: start, length: end - start, parsed });
+        }
+    }
+    return { text, values: found };
+}
+
+/**
+ * Separate words that were glued onto a value by older IDs ("res10k" -> "res 10k")
+ * Only runs of two or more letters are split off so RKM forms like R47 survive
+ *
+ * @param {string} str - Text to prepare
+ * @returns {string} Text with word/value boundaries restored
+ */
+function splitGluedValueText(str) {
+    return String(str)
+        .replace(/_/g, ' ')
+        .replace(/([A-Za-z]{2,})(?=\d)/g, '$1 ');
+}
+
+// =============================================================================
+// PART ATTRIBUTES
+// =============================================================================
+
+/**
+ * Structured attributes kept alongside the free-text name as part.attributes.
+ * value is stored in base units with its unit ({ value: 4700, unit: 'Ω' });
+ * number attributes are stored as plain numbers in the unit shown here and
+ * text attributes as trimmed strings. Keys are listed in display order.
+ */
+const PART_ATTRIBUTES = {
+    value: { label: 'Value', kind: 'value', placeholder: 'e.g. 4k7, 100nF' },
+    tolerance: { label: 'Tolerance', kind: 'number', unit: '%', placeholder: 'e.g. 5%' },
+    voltage: { label: 'Voltage rating', kind: 'number', unit: 'V', placeholder: 'e.g. 25V' },
+    power: { label: 'Power rating', kind: 'number', unit: 'W', placeholder: 'e.g. 1/4W' },
+    dielectric: { label: 'Dielectric', kind: 'text', placeholder: 'e.g. C0G, X7R', suggestions: ['C0G', 'X7R', 'X5R', 'Y5V', 'Polyester', 'Polypropylene', 'Tantalum'] },
+    size: { label: 'Size', kind: 'text', placeholder: 'e.g. 16mm', suggestions: ['9mm', '16mm', '24mm'] },
+    package: { label: 'Package', kind: 'text', placeholder: 'e.g. Radial, DIP-8', suggestions: ['Axial', 'Radial', 'Box', 'DIP-8', 'DIP-14', 'TO-92', 'TO-220', 'SOT-23', '0603', '0805', '1206'] },
+    leadSpacing: { label: 'Lead spacing', kind: 'number', unit: 'mm', placeholder: 'e.g. 5mm' },
+    footprint: { label: 'Footprint', kind: 'text', placeholder: 'e.g. CP_Radial_D5.0mm_P2.00mm' }
+};
+
+// Attributes offered for parts outside every category (see PART_CATEGORIES)
+const DEFAULT_CATEGORY_ATTRIBUTES = ['value', 'voltage', 'power', 'package', 'footprint'];
+
+/**
+ * Attributes offered in the part editor for a category, in editor order.
+ * Attributes already set on a part are always shown as well
+ * @param {string|null} category - Key of PART_CATEGORIES
+ * @returns {Array<string>} Keys of PART_ATTRIBUTES
+ */
+function getCategoryAttributes(category) {
+    return PART_CATEGORIES[category] ? PART_CATEGORIES[category].attributes : DEFAULT_CATEGORY_ATTRIBUTES;
+}
+
+/**
+ * Read one attribute as typed into the editor
+ * @param {string} key - Key of PART_ATTRIBUTES
+ * @param {string} text - Text typed
+ * @param {string|null} category - Key of PART_CATEGORIES
+ * @returns {{value?: *, error?: string}} Parsed value, or the problem found.
+ *   Value attributes come back as { value, unit }
+ */
+function parseAttributeInput(key, text, category) {
+    const attribute = PART_ATTRIBUTES[key];
+    const trimmed = String(text).trim();
+    if (attribute.kind === 'value') {
+        const parsed = parseComponentValue(trimmed, category);
+        if (!parsed) return { error: `"${trimmed}" is not a component value (try 4k7 or 100nF)` };
+        return { value: { value: parseFloat(parsed.value.toPrecision(12)), unit: parsed.unit } };
+    }
+    if (attribute.kind === 'number') {
+        // Allow the unit to be typed ("25V", "5 %") and fractions ("1/4W")
+        const unitPattern = new RegExp(`\\s*${attribute.unit}$`, 'i');
+        const number = trimmed.replace(unitPattern, '');
+        const fraction = number.match(/^(\d+)\s*\/\s*(\d+)$/);
+        const value = fraction ? Number(fraction[1]) / Number(fraction[2]) : Number(number);
+        if (!number || !Number.isFinite(value) || value <= 0) {
+            return { error: `${attribute.label} must be a number above 0` };
+        }
+        return { value: parseFloat(value.toPrecision(6)) };
+    }
+    return { value: trimmed };
+}
+
+/**
+ * Drop unknown keys and badly typed values, e.g. from an imported file
+ * @param {Object} raw - Attributes as read
+ * @returns {Object} Clean attributes (possibly empty)
+ */
+function normalizeAttributes(raw) {
+    const attributes = {};
+    if (!raw || typeof raw !== 'object') return attributes;
+    for (const [key, attribute] of Object.entries(PART_ATTRIBUTES)) {
+        if (attribute.kind === 'value') {
+            if (Number.isFinite(raw.value)) {
+                attributes.value = raw.value;
+                if (['Ω', 'F', 'H'].includes(raw.unit)) attributes.unit = raw.unit;
+            }
+        } else if (attribute.kind === 'number') {
+            const value = Number(raw[key]);
+            if (raw[key] !== '' && raw[key] !== null && Number.isFinite(value) && value > 0) attributes[key] = value;
+        } else if (typeof raw[key] === 'string' && raw[key].trim()) {
+            attributes[key] = raw[key].trim();
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Store attributes on a part, removing the field when there are none
+ * @param {Object} part - Inventory part
+ * @param {Object} attributes - Attributes to keep
+ */
+function setPartAttributes(part, attributes) {
+    const clean = normalizeAttributes(attributes);
+    if (Object.keys(clean).length > 0) {
+        part.attributes = clean;
+    } else {
+        delete part.attributes;
+    }
+}
+
+/**
+ * Format one attribute for display, e.g. "4.7kΩ", "25V", "0.25W", "Radial"
+ * @param {string} key - Key of PART_ATTRIBUTES
+ * @param {Object} attributes - Part attributes
+ * @returns {string} Display text, or '' when not set
+ */
+function formatAttribute(key, attributes) {
+    if (!attributes || attributes[key] === undefined) return '';
+    const attribute = PART_ATTRIBUTES[key];
+    if (attribute.kind === 'value') return formatEngineeringValue(attributes.value, attributes.unit || null);
+    if (attribute.kind === 'number') return `${attributes[key]}${attribute.unit}`;
+    return attributes[key];
+}
+
+/**
+ * The attributes set on a part, in display order
+ * @param {Object} part - Inventory part
+ * @returns {Array<{key: string, label: string, text: string}>}
+ */
+function getAttributeEntries(part) {
+    const attributes = part.attributes || {};
+    return Object.keys(PART_ATTRIBUTES)
+        .filter(key => attributes[key] !== undefined)
+        .map(key => ({ key, label: PART_ATTRIBUTES[key].label, text: formatAttribute(key, attributes) }));
+}
+
+/**
+ * The part's value: the value attribute when set, otherwise the first value
+ * found in its name
+ * @param {Object} part - Inventory part
+ * @returns {{value: number, unit: string|null}|null}
+ */
+function getPartValue(part) {
+    if (part.attributes && Number.isFinite(part.attributes.value)) {
+        return { value: part.attributes.value, unit: part.attributes.unit || null };
+    }
+    const found = findComponentValues(part.name).values[0];
+    return found ? { value: found.parsed.value, unit: found.parsed.unit } : null;
+}
+
+/**
+ * Text searched for a part's attributes: each formatted attribute plus the
+ * value's RKM key, so "4k7", "4.7k" and "4.7kΩ" all find a 4.7 kΩ part
+ * @param {Object} part - Inventory part
+ * @returns {string} Search text
+ */
+function getAttributeSearchText(part) {
+    const texts = getAttributeEntries(part).map(entry => entry.text);
+    const value = getPartValue(part);
+    if (value) texts.push(formatValueKey(value.value, value.unit), formatEngineeringValue(value.value, value.unit));
+    return texts.join(' ');
+}
+
+/**
+ * Identify a part's ratings for duplicate detection, so parts with the
+ * same name but a different rating (10uF 16V and 10uF 50V) stay apart.
+ * Only ratings the other part also sets count: a missing rating is
+ * unknown, not different. The value is left out as the name carries it
+ * @param {Object} [attributes] - Part attributes
+ * @param {Object} [otherAttributes] - Attributes of the part compared with
+ * @returns {string} Signature; equal for both parts unless a rating differs
+ */
+function getAttributeSignature(attributes, otherAttributes) {
+    if (!attributes || !otherAttributes) return '';
+    return Object.keys(PART_ATTRIBUTES)
+        .filter(key => key !== 'value' && key !== 'footprint' &&
+            attributes[key] !== undefined && otherAttributes[key] !== undefined)
+        .map(key => `${key}=${normalizeValue(formatAttribute(key, attributes))}`)
+        .join(';');
+}
+
+/**
+ * ID suffix for a new part's ratings (voltage, tolerance, package...), so
+ * the same name can be stocked at different ratings. The value is left out
+ * as it is normally part of the name already
+ * @param {Object} [attributes] - Part attributes
+ * @returns {string} e.g. "_50v_radial", or '' when there is nothing to add
+ */
+function getAttributeIdSuffix(attributes) {
+    if (!attributes) return '';
+    const parts = Object.keys(PART_ATTRIBUTES)
+        .filter(key => key !== 'value' && key !== 'footprint' && attributes[key] !== undefined)
+        .map(key => normalizeValue(formatAttribute(key, attributes)))
+        .filter(Boolean);
+    return parts.length > 0 ? `_${parts.join('_')}` : '';
+}
+
+/**
+ * Compare two parts by an attribute for sorting; parts without it sort last
+ * @param {Object} a - Inventory part
+ * @param {Object} b - Inventory part
+ * @param {string} key - Key of PART_ATTRIBUTES
+ * @returns {number} Sort order
+ */
+function compareAttributes(a, b, key) {
+    if (PART_ATTRIBUTES[key].kind === 'value') {
+        const aValue = getPartValue(a);
+        const bValue = getPartValue(b);
+        if (!aValue || !bValue) return (aValue ? 0 : 1) - (bValue ? 0 : 1);
+        // Keep ohms, farads and henries apart rather than interleaving them
+        return (aValue.unit || '').localeCompare(bValue.unit || '') || aValue.value - bValue.value;
+    }
+    const aValue = a.attributes ? a.attributes[key] : undefined;
+    const bValue = b.attributes ? b.attributes[key] : undefined;
+    if (aValue === undefined || bValue === undefined) return (aValue === undefined ? 1 : 0) - (bValue === undefined ? 1 : 0);
+    if (PART_ATTRIBUTES[key].kind === 'number') return aValue - bValue;
+    return String(aValue).localeCompare(String(bValue), undefined, { numeric: true });
+}
+
+/**
+ * Guess attributes from a part name ("10uF 50V Electrolytic Radial",
+ * "Pot B100k 16mm") to save typing them out again
+ * @param {string} name - Part name
+ * @returns {Object} Attributes found, as editor text keyed by attribute
+ */
+function extractAttributesFromName(name) {
+    const category = getPartTypeCategory(name);
+    const found = {};
+    // Pot values often carry the taper letter ("B100k", "100kA")
+    const potValue = category === 'potentiometer' && name.match(/\b[ABCW]?(\d+(?:\.\d+)?[kKM])[ABCW]?\b/);
+    const value = potValue
+        ? parseComponentValue(potValue[1], category)
+        : (findComponentValues(name, category).values[0] || {}).parsed;
+    if (value) found.value = value.canonical;
+    const patterns = {
+        voltage: /(?:^|[^\w.])(\d+(?:\.\d+)?)\s?V(?:DC)?\b/i,
+        power: /(?:^|[^\w./])(\d+\/\d+|\d*\.?\d+)\s?W\b/i,
+        tolerance: /(?:^|[^\w.])(\d*\.?\d+)\s?%/,
+        dielectric: /\b(C0G|NP0|X7R|X5R|Y5V)\b/i,
+        size: /\b(9|16|24)\s?mm\b/,
+        package: /\b(axial|radial|DIP-?\d+|SOIC-?\d+|SOT-?23|TO-?92|TO-?220|0402|0603|0805|1206)\b/i,
+        leadSpacing: /\b(?:pitch|spacing|LS)\s?(\d+(?:\.\d+)?)\s?mm\b/i
+    };
+    for (const [key, pattern] of Object.entries(patterns)) {
+        if (!getCategoryAttributes(category).includes(key)) continue;
+        const match = name.match(pattern);
+        if (!match) continue;
+        const text = match[1];
+        const attribute = PART_ATTRIBUTES[key];
+        if (attribute.kind === 'number') {
+            found[key] = `${text}${attribute.unit}`;
+        } else if (key === 'size') {
+            found[key] = `${text}mm`;
+        } else {
+            const suggestion = (attribute.suggestions || []).find(option => option.toLowerCase() === text.toLowerCase());
+            found[key] = suggestion || text.toUpperCase();
+        }
     }
+    return found;
+}
+
+/**
+ * Render the attribute fields for a part editor
+ * @param {string} containerId - 'newPartAttributes' or 'editPartAttributes'
+ * @param {string} name - Part name, which decides the fields offered
+ * @param {Object} texts - Text to fill in, keyed by attribute
+ */
+function renderAttributeEditor(containerId, name, texts = {}) {
+    const container = document.getElementById(containerId);
+    const category = getPartTypeCategory(name) || '';
+    const keys = Object.keys(PART_ATTRIBUTES).filter(key =>
+        getCategoryAttributes(category).includes(key) || texts[key]);
+    container.dataset.category = category;
+    // Enclosures and hardware have nothing to record
+    container.parentElement.classList.toggle('hidden', keys.length === 0);
+    container.innerHTML = `
+        <div class="bom-mapping-fields">
+            ${keys.map(key => {
+                const attribute = PART_ATTRIBUTES[key];
+                const listId = attribute.suggestions ? `${containerId}-${key}` : '';
+                return `
+                    <label class="bom-mapping-field">
+                        <span>${attribute.label}</span>
+                        <input type="text" data-attribute="${key}" placeholder="${escapeHtml(attribute.placeholder || '')}"
+                            ${listId ? `list="${listId}"` : ''} value="${escapeHtml(texts[key] || '')}">
+                        ${listId ? `<datalist id="${listId}">${attribute.suggestions.map(option => `<option value="${escapeHtml(option)}"></option>`).join('')}</datalist>` : ''}
+                    </label>
+                `;
+            }).join('')}
+        </div>
+        <button type="button" class="btn offer-add-btn attribute-fill-btn">Fill from Name</button>
+    `;
+    container.querySelector('.attribute-fill-btn').addEventListener('click', () => fillAttributesFromName(containerId));
+}
+
+/**
+ * The text currently typed into an attribute editor
+ * @param {string} containerId - Editor container ID
+ * @returns {Object} Text keyed by attribute (blank fields left out)
+ */
+function getAttributeEditorTexts(containerId) {
+    const texts = {};
+    document.querySelectorAll(`#${containerId} [data-attribute]`).forEach(input => {
+        if (input.value.trim()) texts[input.dataset.attribute] = input.value.trim();
+    });
+    return texts;
+}
+
+/**
+ * Show a part's saved attributes in an editor
+ * @param {string} containerId - Editor container ID
+ * @param {Object} part - Inventory part, or { name } for a new one
+ */
+function loadAttributeEditor(containerId, part) {
+    const texts = {};
+    getAttributeEntries(part).forEach(({ key, text }) => { texts[key] = text; });
+    renderAttributeEditor(containerId, part.name || '', texts);
+}
+
+/**
+ * Swap the fields offered when a name edit changes the category, keeping
+ * whatever has been typed so far
+ * @param {string} containerId - Editor container ID
+ * @param {string} name - Part name as now typed
+ */
+function updateAttributeEditorCategory(containerId, name) {
+    const container = document.getElementById(containerId);
+    if (!container || container.dataset.category === (getPartTypeCategory(name) || '')) return;
+    renderAttributeEditor(containerId, name, getAttributeEditorTexts(containerId));
 }
 
+/**
+ * Fill blank attribute fields with what can be read from the part name
+ * @param {string} containerId - Editor container ID
+ */
+function fillAttributesFromName(containerId) {
+    const nameInput = document.getElementById(containerId === 'newPartAttributes' ? 'newPartName' : 'editPartName');
+    const found = extractAttributesFromName(nameInput.value);
+    const typed = getAttributeEditorTexts(containerId);
+    const added = Object.keys(found).filter(key => !typed[key]);
+    renderAttributeEditor(containerId, nameInput.value, { ...found, ...typed });
+    if (added.length > 0) {
+        showNotification(`Filled ${added.length} attribute${added.length > 1 ? 's' : ''} from the name`, 'success');
+    } else {
+        showNotification('No new attributes found in the name', 'info');
+    }
+}
 
+/**
+ * Read the attributes typed into an editor
+ * @param {string} containerId - Editor container ID
+ * @returns {{attributes?: Object, error?: string}} Attributes, or the problem found
+ */
+function readAttributeEditor(containerId) {
+    const category = document.getElementById(containerId).dataset.category || null;
+    const attributes = {};
+    for (const [key, text] of Object.entries(getAttributeEditorTexts(containerId))) {
+        const { value, error } = parseAttributeInput(key, text, category);
+        if (error) return { error };
+        if (PART_ATTRIBUTES[key].kind === 'value') Object.assign(attributes, value);
+        else attributes[key] = value;
+    }
+    return { attributes };
+}
 
 // =============================================================================
 // ALGORITHMS AND DATA PROCESSING
@@ -2680,6 +8208,7 @@ window.addEventListener('resize', debounce(displayInventory, 200));
 
 function mergeDuplicateInventoryEntries(showNotifications = true) {
     const normalizedToCanonical = {};
+    const groupAttributes = {};
     const duplicates = [];
     
     // Safety check: ensure inventory exists and is valid
@@ -2687,6 +8216,9 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
         console.warn('Invalid inventory object in mergeDuplicateInventoryEntries');
         return;
     }
+    // Silent merges run as part of another action (load, import), which
+    // records its own undo step
+    const undoBefore = showNotifications ? captureUndoState() : null;
     
     // First pass: identify duplicates and choose canonical entries
     for (const [id, part] of Object.entries(inventory)) {
@@ -2697,16 +8229,26 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
         }
         
         const normalizedId = normalizeValue(part.name);
+        const canonicalIds = normalizedToCanonical[normalizedId] = normalizedToCanonical[normalizedId] || [];
+        // Same name at a different rating (10uF 16V vs 10uF 50V) is a different
+        // part. Compare with every rating known for the merged group, so a
+        // part with no voltage can't join 16V and 50V parts together
+        const index = canonicalIds.findIndex(existingId => getAttributeSignature(part.attributes, groupAttributes[existingId]) ===
+            getAttributeSignature(groupAttributes[existingId], part.attributes));
         
-        if (!normalizedToCanonical[normalizedId]) {
-            normalizedToCanonical[normalizedId] = id;
+        if (index === -1) {
+            canonicalIds.push(id);
+            groupAttributes[id] = { ...part.attributes };
         } else {
-            const existingId = normalizedToCanonical[normalizedId];
+            const existingId = canonicalIds[index];
             const existingPart = inventory[existingId];
             
+            groupAttributes[existingId] = { ...part.attributes, ...groupAttributes[existingId] };
+            
             // Keep the part with more information as canonical
             if (part.purchaseUrl && !existingPart.purchaseUrl) {
-                normalizedToCanonical[normalizedId] = id;
+                canonicalIds[index] = id;
+                groupAttributes[id] = groupAttributes[existingId];
                 duplicates.push({ canonical: id, duplicate: existingId });
             } else {
                 duplicates.push({ canonical: existingId, duplicate: id });
@@ -2722,7 +8264,9 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
     }
     
     // Second pass: merge duplicates
+    const mergedInto = {};
     for (const { canonical, duplicate } of duplicates) {
+        mergedInto[duplicate] = canonical;
         const canonicalPart = inventory[canonical];
         const duplicatePart = inventory[duplicate];
         
@@ -2734,6 +8278,7 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
         
         // Merge quantities
         canonicalPart.quantity = (canonicalPart.quantity || 0) + (duplicatePart.quantity || 0);
+        recordStockMovement(canonical, duplicatePart.quantity || 0, 'merge', { note: `From ${duplicate}` });
         
         // Merge projects - handle both array and object formats
         if (duplicatePart.projects) {
@@ -2752,11 +8297,33 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
             }
         }
         
-        // Keep the longer purchase URL if available
-        if (duplicatePart.purchaseUrl && (!canonicalPart.purchaseUrl || duplicatePart.purchaseUrl.length > canonicalPart.purchaseUrl.length)) {
-            canonicalPart.purchaseUrl = duplicatePart.purchaseUrl;
+        // Merge reservations
+        if (duplicatePart.reserved) {
+            for (const [projectId, quantity] of Object.entries(duplicatePart.reserved)) {
+                setReservedQuantity(canonicalPart, projectId, getReservedQuantity(canonicalPart, projectId) + (quantity || 0));
+            }
         }
         
+        // Keep the duplicate's offers alongside the canonical part's own
+        getPartOffers(duplicatePart).forEach(offer => addPartOffer(canonicalPart, { ...offer, preferred: false }));
+
+        // The duplicate's stock stays where it was: its locations join the
+        // canonical part's, holding what they held before
+        if (duplicatePart.locations) {
+            const merged = [...(canonicalPart.locations || [])];
+            getPartLocationStock(duplicatePart).forEach(({ location, quantity }) => {
+                const existing = merged.find(entry => getLocationKey(entry) === getLocationKey(location));
+                if (!existing) merged.push({ ...location, quantity });
+                else if (existing !== merged[0]) existing.quantity = (existing.quantity || 0) + quantity;
+            });
+            setPartLocations(canonicalPart, merged);
+        }
+
+        // Ratings only the duplicate knows carry over
+        if (duplicatePart.attributes) {
+            setPartAttributes(canonicalPart, { ...duplicatePart.attributes, ...canonicalPart.attributes });
+        }
+
         // Keep the more specific type if available
         if (duplicatePart.type && (!canonicalPart.type || duplicatePart.type !== 'Other')) {
             canonicalPart.type = duplicatePart.type;
@@ -2764,11 +8331,13 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
         
         // Delete the duplicate entry
         delete inventory[duplicate];
+        recordStockMovement(duplicate, -(duplicatePart.quantity || 0), 'merge', { note: `Into ${canonical}` });
+        remapPartReferences(duplicate, canonical);
     }
     
     // Update project BOMs to use canonical IDs
-    // BOM entries are objects: { name, quantity }. Entries pointing at merged
-    // duplicates are remapped to the canonical ID (summing quantities if both
+    // BOM entries are objects: { name, quantity, designators? }. Entries pointing at
+    // merged duplicates are remapped to the canonical ID (combining them if both
     // exist); entries with no canonical match are kept as-is, since a BOM may
     // legitimately reference parts that aren't in the inventory yet.
     for (const project of Object.values(projects)) {
@@ -2780,20 +8349,23 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
                 // Tolerate legacy numeric entries by coercing them to a quantity
                 const entryQuantity = isObjectEntry ? (entry.quantity || 0) : (Number(entry) || 0);
                 
-                // Resolve the canonical ID via the part's name if it's in inventory,
-                // otherwise via the BOM entry's own name or raw ID
-                const lookupName = inventory[id] ? (inventory[id].name || '') : (entryName || id);
-                const canonicalId = normalizedToCanonical[normalizeValue(lookupName)] ||
-                    normalizedToCanonical[normalizeValue(id)];
+                // Resolve the canonical ID via the merge if the part was a
+                // duplicate, otherwise via the BOM entry's own name or raw ID
+                let canonicalId = id;
+                while (mergedInto[canonicalId]) canonicalId = mergedInto[canonicalId];
+                if (!inventory[canonicalId]) {
+                    canonicalId = (normalizedToCanonical[normalizeValue(entryName || id)] ||
+                        normalizedToCanonical[normalizeValue(id)] || [])[0];
+                }
                 
                 const targetId = (canonicalId && inventory[canonicalId]) ? canonicalId : id;
                 const targetName = (inventory[targetId] && inventory[targetId].name) || entryName || id;
                 
-                if (updatedBom[targetId]) {
-                    updatedBom[targetId].quantity = (updatedBom[targetId].quantity || 0) + entryQuantity;
-                } else {
-                    updatedBom[targetId] = { name: targetName, quantity: entryQuantity };
-                }
+                addBomLine(updatedBom, targetId, {
+                    ...(isObjectEntry ? entry : {}),
+                    name: targetName,
+                    quantity: entryQuantity
+                });
             }
             project.bom = updatedBom;
         }
@@ -2807,14 +8379,169 @@ function mergeDuplicateInventoryEntries(showNotifications = true) {
     displayInventory();
     
     if (showNotifications) {
-        showNotification(`Merged ${duplicates.length} duplicate entries`, 'success');
+        commitUndoableAction(`Merge ${duplicates.length} duplicates`, undoBefore);
+        showNotification(`Merged ${duplicates.length} duplicate entries`, 'success', undoToastAction());
     }
 }
 
-// --- Part type categories (capacitors & resistors) ---
+// --- Part categories ---
 const CAPACITOR_TYPES = ['MLCC', 'Box Film', 'Electrolytic', 'Tantalum', 'Other'];
 const RESISTOR_TYPES = ['Metal Film', 'Carbon Film', 'Carbon Comp', 'Other'];
 
+/**
+ * Taper hint for a pot: the letter before or after the value ("B100k",
+ * "100kB"), in brackets as DIYLC imports write it, or the taper spelled out
+ * @param {string} letter - Taper letter
+ * @param {string} words - Alternation of words naming the taper
+ * @param {string} type - Type to suggest
+ * @returns {{pattern: RegExp, type: string}}
+ */
+function potTaperHint(letter, words, type) {
+    const value = '\\d+(?:\\.\\d+)?[kKM]';
+    return { pattern: new RegExp(`\\b${letter}\\s?${value}\\b|\\b${value}\\s?${letter}\\b|\\(${letter}\\)|\\b(?:${words})\\b`, 'i'), type };
+}
+
+/**
+ * Part categories, in detection order: a part belongs to the first category
+ * whose pattern matches its name. types are offered as the part's type and
+ * shown as its pill; typeHints suggest one from the name (first match wins).
+ * unit is what a bare value in the name is measured in and attributes are
+ * the fields offered in the part editor (see PART ATTRIBUTES). minStock and
+ * reorderQty are the defaults for parts without their own (see STOCK LEVELS).
+ * The order here is also the order categories are grouped and filtered in.
+ */
+const PART_CATEGORIES = {
+    capacitor: {
+        label: 'Capacitors',
+        minStock: 10,
+        reorderQty: 25,
+        pattern: /\b(capacitor|cap)\b/i,
+        types: CAPACITOR_TYPES,
+        unit: 'F',
+        attributes: ['value', 'voltage', 'tolerance', 'dielectric', 'package', 'leadSpacing', 'footprint']
+    },
+    resistor: {
+        label: 'Resistors',
+        minStock: 10,
+        reorderQty: 50,
+        pattern: /\b(resistor|res)\b/i,
+        types: RESISTOR_TYPES,
+        unit: 'Ω',
+        attributes: ['value', 'tolerance', 'power', 'package', 'footprint']
+    },
+    potentiometer: {
+        label: 'Potentiometers',
+        minStock: 2,
+        reorderQty: 5,
+        pattern: /\b(pots?|potentiometers?|trimmers?|trimpots?)\b/i,
+        types: ['A (Log)', 'B (Linear)', 'C (Reverse Log)', 'W', 'Other'],
+        typeHints: [
+            potTaperHint('C', 'reverse\\s?log|anti-?log', 'C (Reverse Log)'),
+            potTaperHint('A', 'log|audio', 'A (Log)'),
+            potTaperHint('B', 'lin|linear', 'B (Linear)'),
+            potTaperHint('W', 'w-taper', 'W')
+        ],
+        unit: 'Ω',
+        attributes: ['value', 'size', 'footprint']
+    },
+    transistor: {
+        label: 'Transistors',
+        minStock: 4,
+        reorderQty: 10,
+        pattern: /\b(transistors?|bjt|jfet|mosfet|fet|npn|pnp|2n\d{3,4}[a-z]?|bc\d{3}[a-c]?|mpsa\d{2}|j20[12]|2sk\d+|bs170|ac\d{3}|oc\d{2}|nkt\d+)\b/i,
+        types: ['Si NPN', 'Si PNP', 'Ge NPN', 'Ge PNP', 'JFET', 'MOSFET', 'Other'],
+        typeHints: [
+            { pattern: /\b(jfet|j20[12]|j11[13]|2n545[78]|2n5952|mpf102|2sk\d+)\b/i, type: 'JFET' },
+            { pattern: /\b(mosfet|bs170|bs250|2n7000|irf\w+)\b/i, type: 'MOSFET' },
+            { pattern: /\b(germanium|ge)\b.*\bnpn\b|\bnpn\b.*\b(germanium|ge)\b|\b(ac127|ac176|ac187|2n1306)\b/i, type: 'Ge NPN' },
+            // Most germanium parts used in pedals are PNP
+            { pattern: /\b(germanium|ge|ac12[5-8]|ac188|oc\d{2}|nkt\d+|2n404|2n1305)\b/i, type: 'Ge PNP' },
+            { pattern: /\b(pnp|2n3906|2n5087|bc55[6-9][a-c]?|bc21[2-4][a-c]?)\b/i, type: 'Si PNP' },
+            { pattern: /\b(npn|2n3904|2n508[89]|2n2222a?|2n5210|bc10[7-9][a-c]?|bc54[6-9][a-c]?|bc18[2-4][a-c]?|mpsa1[38])\b/i, type: 'Si NPN' }
+        ],
+        attributes: ['package', 'footprint']
+    },
+    diode: {
+        label: 'Diodes & LEDs',
+        minStock: 10,
+        reorderQty: 25,
+        pattern: /\b(diodes?|leds?|zeners?|schottky|1n\d{3,4}[a-z]?|bat\d{2}|oa\d{2,3}|d9e)\b/i,
+        types: ['Si', 'Ge', 'Schottky', 'LED', 'Zener', 'Other'],
+        typeHints: [
+            { pattern: /\bleds?\b/i, type: 'LED' },
+            { pattern: /\b(zeners?|1n47\d\d[a-z]?|bzx\w*)\b/i, type: 'Zener' },
+            { pattern: /\b(schottky|1n58\d\d|bat4[1-8]|bat85)\b/i, type: 'Schottky' },
+            { pattern: /\b(germanium|ge|1n34a?|1n60p?|oa\d{2,3}|d9e)\b/i, type: 'Ge' },
+            { pattern: /\b(silicon|si|1n914|1n4148|1n400[1-7])\b/i, type: 'Si' }
+        ],
+        attributes: ['voltage', 'package', 'footprint']
+    },
+    ic: {
+        label: 'ICs',
+        minStock: 2,
+        reorderQty: 5,
+        pattern: /\b(ics?(?!\s+sockets?)|chips?|op[\s-]?amps?|tl0\d\d\w*|ne5532\w*|jrc4558\w*|rc4558\w*|4558\w*|lm\d{3,4}\w*|lf35\d\w*|ca3\d{3}\w*|opa\d+\w*|pt2399|mn3\d{3}|v3207|charge\s?pumps?|tc1044\w*|icl7660\w*|lt1054\w*|cd40\d{2}\w*|78l?\d{2}|l78\w*|regulators?)\b/i,
+        types: ['Op-Amp', 'Delay', 'Charge Pump', 'Regulator', 'Logic', 'Other'],
+        typeHints: [
+            { pattern: /\b(op[\s-]?amps?|tl0[67][1-4]\w*|ne5532\w*|\w*4558\w*|lm358\w*|lm741\w*|lm308\w*|lf35\d\w*|ca3\d{3}\w*|opa\d+\w*)\b/i, type: 'Op-Amp' },
+            { pattern: /\b(pt2399|mn3\d{3}|v3207|bbd|fv-?1)\b/i, type: 'Delay' },
+            { pattern: /\b(charge\s?pumps?|tc1044\w*|icl7660\w*|lt1054\w*|max1044\w*)\b/i, type: 'Charge Pump' },
+            { pattern: /\b(regulators?|78l?\d{2}|l78\w*|lm317\w*)\b/i, type: 'Regulator' },
+            { pattern: /\b(logic|cd40\d{2}\w*|74[a-z]*\d{2,3})\b/i, type: 'Logic' }
+        ],
+        attributes: ['package', 'footprint']
+    },
+    jack: {
+        label: 'Jacks',
+        minStock: 4,
+        reorderQty: 10,
+        pattern: /\b(jacks?|barrel)\b/i,
+        types: ['Mono', 'Stereo', 'DC Power', 'Other'],
+        typeHints: [
+            { pattern: /\b(dc|barrel|power|2\.1\s?mm)\b/i, type: 'DC Power' },
+            { pattern: /\b(stereo|trs)\b/i, type: 'Stereo' },
+            { pattern: /\b(mono|ts)\b/i, type: 'Mono' }
+        ],
+        attributes: ['footprint']
+    },
+    switch: {
+        label: 'Switches',
+        minStock: 2,
+        reorderQty: 5,
+        pattern: /\b(switch(es)?|footswitch(es)?|toggles?|stomp|[34]pdt|dpdt|spdt|spst|rotary)\b/i,
+        types: ['3PDT', '4PDT', 'DPDT', 'SPDT', 'SPST', 'Rotary', 'Other'],
+        typeHints: ['3PDT', '4PDT', 'DPDT', 'SPDT', 'SPST', 'Rotary']
+            .map(type => ({ pattern: new RegExp(`\\b${type}\\b`, 'i'), type })),
+        attributes: ['footprint']
+    },
+    enclosure: {
+        label: 'Enclosures',
+        minStock: 1,
+        reorderQty: 2,
+        pattern: /\b(enclosures?|1590[a-z]{0,3}|125b|hammond)\b/i,
+        types: ['1590A', '1590B', '125B', '1590BB', '1590XX', 'Other'],
+        typeHints: ['1590A', '1590B', '125B', '1590BB', '1590XX']
+            .map(type => ({ pattern: new RegExp(`\\b${type}\\b`, 'i'), type })),
+        attributes: []
+    },
+    hardware: {
+        label: 'Hardware',
+        minStock: 4,
+        reorderQty: 10,
+        pattern: /\b(hardware|knobs?|screws?|nuts?|washers?|standoffs?|spacers?|sockets?|wires?|pcbs?|battery\s(?:snaps?|clips?)|bezels?|feet)\b/i,
+        types: ['Knob', 'Socket', 'Screw', 'Standoff', 'Wire', 'Battery Snap', 'Other'],
+        typeHints: [
+            { pattern: /\bknobs?\b/i, type: 'Knob' },
+            { pattern: /\bsockets?\b/i, type: 'Socket' },
+            { pattern: /\b(screws?|nuts?|washers?)\b/i, type: 'Screw' },
+            { pattern: /\b(standoffs?|spacers?)\b/i, type: 'Standoff' },
+            { pattern: /\bwires?\b/i, type: 'Wire' },
+            { pattern: /\bbattery\s(?:snaps?|clips?)\b/i, type: 'Battery Snap' }
+        ],
+        attributes: []
+    }
+};
+
 const PART_TYPE_LABELS = {
     'MLCC': 'MLCC (Ceramic)',
     'Box Film': 'Box Film',
@@ -2823,27 +8550,87 @@ const PART_TYPE_LABELS = {
     'Metal Film': 'Metal Film',
     'Carbon Film': 'Carbon Film',
     'Carbon Comp': 'Carbon Comp',
+    'W': 'W (Wah)',
+    'Si': 'Silicon',
+    'Ge': 'Germanium',
     'Other': 'Other'
 };
 
-function isCapacitorPart(name) {
-    return /\b(capacitor|cap)\b/i.test(name);
+function isCapacitorPart(name) {
+    return PART_CATEGORIES.capacitor.pattern.test(name);
+}
+
+function isResistorPart(name) {
+    return PART_CATEGORIES.resistor.pattern.test(name);
+}
+
+/**
+ * Category of a part, from its name
+ * @param {string} name - Part name
+ * @returns {string|null} Key of PART_CATEGORIES, or null when none matches
+ */
+function getPartTypeCategory(name) {
+    if (!name) return null;
+    const match = Object.entries(PART_CATEGORIES).find(([, category]) => category.pattern.test(name));
+    return match ? match[0] : null;
+}
+
+/**
+ * Unit a bare value means for a category ("10k" on a pot is 10 kΩ)
+ * @param {string|null} category - Key of PART_CATEGORIES
+ * @returns {string|null} 'Ω', 'F' or null
+ */
+function getCategoryValueUnit(category) {
+    return (PART_CATEGORIES[category] && PART_CATEGORIES[category].unit) || null;
 }
 
-function isResistorPart(name) {
-    return /\b(resistor|res)\b/i.test(name);
+function getTypeOptionsForCategory(category) {
+    return PART_CATEGORIES[category] ? PART_CATEGORIES[category].types : [];
 }
 
-function getPartTypeCategory(name) {
-    if (isCapacitorPart(name)) return 'capacitor';
-    if (isResistorPart(name)) return 'resistor';
-    return null;
+/**
+ * Compare two parts by category, then type, in PART_CATEGORIES order.
+ * Uncategorized parts and parts without a type go last
+ * @param {Object} a - Inventory part
+ * @param {Object} b - Inventory part
+ * @returns {number} Sort order
+ */
+function compareCategories(a, b) {
+    const keys = Object.keys(PART_CATEGORIES);
+    const rank = (list, item) => (list.includes(item) ? list.indexOf(item) : list.length);
+    const aCategory = getPartTypeCategory(a.name);
+    const bCategory = getPartTypeCategory(b.name);
+    if (aCategory !== bCategory) return rank(keys, aCategory) - rank(keys, bCategory);
+    const types = getTypeOptionsForCategory(aCategory);
+    return rank(types, a.type) - rank(types, b.type);
 }
 
-function getTypeOptionsForCategory(category) {
-    if (category === 'capacitor') return CAPACITOR_TYPES;
-    if (category === 'resistor') return RESISTOR_TYPES;
-    return [];
+/**
+ * Rebuild the category filter dropdown with the categories in use
+ */
+function updateCategoryFilter() {
+    const filter = DOM.get('categoryFilter');
+    if (!filter) return;
+    const counts = {};
+    Object.values(inventory).forEach(part => {
+        const category = getPartTypeCategory(part.name) || 'none';
+        counts[category] = (counts[category] || 0) + 1;
+    });
+    const options = Object.keys(PART_CATEGORIES).filter(key => counts[key])
+        .map(key => [key, `${PART_CATEGORIES[key].label} (${counts[key]})`]);
+    if (counts.none) options.push(['none', `Uncategorized (${counts.none})`]);
+    filter.innerHTML = '<option value="all">All Categories</option>' +
+        options.map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`).join('');
+    filter.value = currentCategoryFilter === 'all' || counts[currentCategoryFilter] ? currentCategoryFilter : 'all';
+    currentCategoryFilter = filter.value;
+}
+
+/**
+ * Handle category filter changes
+ */
+function filterByCategory() {
+    currentCategoryFilter = DOM.get('categoryFilter').value;
+    displayInventory();
 }
 
 function populateTypeDropdown(dropdown, category, selectedValue) {
@@ -2864,7 +8651,9 @@ function populateTypeDropdown(dropdown, category, selectedValue) {
 
 function suggestPartType(partName, category) {
     if (category === 'capacitor') return suggestCapacitorType(partName);
-    return null;
+    const hints = (PART_CATEGORIES[category] && PART_CATEGORIES[category].typeHints) || [];
+    const hint = hints.find(({ pattern }) => pattern.test(partName));
+    return hint ? hint.type : null;
 }
 
 function updateTypeSuggestion(nameInput, typeDropdown, typeSuggestion) {
@@ -2886,17 +8675,11 @@ function updateTypeSuggestion(nameInput, typeDropdown, typeSuggestion) {
 
 // --- Auto-suggest capacitor type based on value ---
 function suggestCapacitorType(partName) {
-    // Extract value and unit (e.g., 100nF, 2.2uF, 1nF, 10uF, etc.)
-    const match = partName.match(/([0-9.]+)\s*(pF|nF|uF|μF|mf|F)/i);
-    if (!match) return null;
-    const value = parseFloat(match[1]);
-    const unit = match[2].toLowerCase();
-    let valueUF = value;
-    if (unit === 'pf') valueUF = value / 1e6;
-    else if (unit === 'nf') valueUF = value / 1e3;
-    else if (unit === 'μf' || unit === 'uf') valueUF = value;
-    else if (unit === 'mf') valueUF = value * 1000;
-    else if (unit === 'f') valueUF = value * 1e6;
+    // Use the first capacitance in the name (100nF, 2u2, 104, etc.)
+    const found = findComponentValues(partName, 'capacitor').values
+        .find(({ parsed }) => parsed.unit === 'F');
+    if (!found) return null;
+    const valueUF = found.parsed.value * 1e6;
     // Suggest type based on value in uF
     if (valueUF <= 0.001) return 'MLCC'; // ≤1nF
     if (valueUF > 0.001 && valueUF <= 2.2) return 'Box Film'; // >1nF to 2.2uF
@@ -2942,6 +8725,7 @@ if (newPartNameInput && newPartTypeDropdown && newPartTypeSuggestion) {
     newPartNameInput.addEventListener('input', () => {
         updateTypeDropdownVisibility(newPartNameInput, newPartTypeDropdown, newPartTypeSuggestion);
         updateTypeSuggestion(newPartNameInput, newPartTypeDropdown, newPartTypeSuggestion);
+        updateAttributeEditorCategory('newPartAttributes', newPartNameInput.value);
     });
 }
 
@@ -2955,6 +8739,8 @@ if (editPartNameInput && editPartTypeDropdown && editPartTypeSuggestion) {
     editPartNameInput.addEventListener('input', () => {
         updateTypeDropdownVisibility(editPartNameInput, editPartTypeDropdown, editPartTypeSuggestion);
         updateTypeSuggestion(editPartNameInput, editPartTypeDropdown, editPartTypeSuggestion);
+        updateAttributeEditorCategory('editPartAttributes', editPartNameInput.value);
+        updateStockLevelPlaceholders();
     });
 }
 
@@ -2975,11 +8761,7 @@ function normalizeAllBOMReferences() {
         for (const partId in bom) {
             const norm = normalizeValue(partId);
             const canonicalId = normToCanonical[norm] || partId;
-            if (newBOM[canonicalId]) {
-                newBOM[canonicalId].quantity += bom[partId].quantity;
-            } else {
-                newBOM[canonicalId] = { ...bom[partId] };
-            }
+            addBomLine(newBOM, canonicalId, bom[partId]);
         }
         projects[projectId].bom = newBOM;
     }
@@ -3245,43 +9027,410 @@ function detectDevicePerformance() {
 }
 
 // =============================================================================
-// LOCALSTORAGE PERFORMANCE OPTIMIZATIONS
+// PERSISTENT STORAGE (INDEXEDDB)
 // =============================================================================
 
-// Synchronous writers used by both the debounced saves and the unload flush
-function writeInventoryToStorage() {
+const DB_NAME = 'pedalvault';
+
+// localStorage keys used before the IndexedDB store existed. Read once for
+// migration, and still used as the fallback when IndexedDB is unavailable
+// (e.g. some private browsing modes).
+const LEGACY_INVENTORY_KEY = 'guitarPedalInventory';
+const LEGACY_PROJECTS_KEY = 'guitarPedalProjects';
+// Fallback-only key for data added after the move to IndexedDB
+const PURCHASE_ORDERS_KEY = 'pedalVault.purchaseOrders';
+
+/**
+ * Schema migrations, run in order from onupgradeneeded.
+ * Entry N upgrades the database from version N to N + 1, so the current
+ * schema version is always DB_MIGRATIONS.length. Never edit a migration
+ * that has shipped; append a new one instead.
+ */
+const DB_MIGRATIONS = [
+    // v1: one record per part and per project, keyed by ID, plus a
+    // key/value store for bookkeeping
+    (db) => {
+        db.createObjectStore('parts');
+        db.createObjectStore('projects');
+        db.createObjectStore('meta');
+    },
+    // v2: append-only stock movement ledger, looked up per part
+    (db) => {
+        const ledger = db.createObjectStore('ledger', { keyPath: 'id', autoIncrement: true });
+        ledger.createIndex('partId', 'partId');
+    },
+    // v3: ledger entries looked up by supplier order number
+    (db, tx) => {
+        tx.objectStore('ledger').createIndex('orderNumber', 'orderNumber');
+    },
+    // v4: one record per purchase order, keyed by PO ID
+    (db) => {
+        db.createObjectStore('purchaseOrders');
+    }
+];
+
+// 'indexeddb' normally; 'localStorage' if the database can't be opened
+let storageBackend = 'indexeddb';
+let dbPromise = null;
+
+// Last-written JSON of every record, per store. Saves diff against these
+// so a +/- tap writes one part record instead of the whole inventory.
+const persistedSnapshots = {
+    parts: new Map(),
+    projects: new Map(),
+    purchaseOrders: new Map()
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits, reject if it errors or aborts
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and if needed upgrade) the application database.
+ * The connection is shared; a failed open is not cached so a later
+ * call can retry.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_MIGRATIONS.length);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion; version < DB_MIGRATIONS.length; version++) {
+                DB_MIGRATIONS[version](db, request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another tab upgraded the schema: release our connection so its
+            // upgrade isn't blocked, and reopen on the next access
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Database upgrade blocked by another open tab');
+    }).catch(error => {
+        dbPromise = null;
+        throw error;
+    });
+    return dbPromise;
+}
+
+/**
+ * Read every record in an object store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store to read
+ * @returns {Promise<Object>} Map of key to record
+ */
+async function readAllRecords(db, storeName) {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const [keys, values] = await Promise.all([
+        idbRequest(store.getAllKeys()),
+        idbRequest(store.getAll())
+    ]);
+    const records = {};
+    keys.forEach((key, index) => {
+        records[key] = values[index];
+    });
+    return records;
+}
+
+/**
+ * Read a single value from the meta store
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+async function readMeta(key) {
+    const db = await openDatabase();
+    return idbRequest(db.transaction('meta', 'readonly').objectStore('meta').get(key));
+}
+
+/**
+ * Write a single value to the meta store
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+async function writeMeta(key, value) {
+    const db = await openDatabase();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put(value, key);
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Read a small app setting (learned aliases, import presets) from the meta
+ * store, or from localStorage when IndexedDB is unavailable
+ * @param {string} key - Setting name
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+async function loadSetting(key) {
+    if (storageBackend === 'indexeddb') return readMeta(key);
+    const raw = localStorage.getItem(`pedalVault.${key}`);
+    return raw ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Persist a small app setting; failures are logged, not thrown
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serializable value
+ */
+function saveSetting(key, value) {
+    if (storageBackend === 'indexeddb') {
+        writeMeta(key, value).catch(error => console.warn(`Failed to save ${key}:`, error));
+        return;
+    }
     try {
-        const compressed = compressData(inventory);
-        localStorage.setItem('guitarPedalInventory', compressed);
+        localStorage.setItem(`pedalVault.${key}`, JSON.stringify(value));
     } catch (error) {
-        console.warn('Failed to save inventory:', error);
-        // Fallback to uncompressed if compression fails
-        localStorage.setItem('guitarPedalInventory', JSON.stringify(inventory));
+        console.warn(`Failed to save ${key}:`, error);
+    }
+}
+
+/**
+ * Parse a legacy localStorage value (plain JSON or the COMPRESSED: format)
+ * @param {string} raw - Stored string
+ * @returns {Object} Parsed data
+ */
+function parseLegacyStorageValue(raw) {
+    try {
+        return decompressData(raw);
+    } catch (error) {
+        console.warn('Failed to decompress legacy data, trying fallback:', error);
+        return JSON.parse(raw);
+    }
+}
+
+/**
+ * Copy inventory and projects saved by older versions from localStorage
+ * into the database, in a single transaction. The legacy keys are only
+ * removed after that transaction commits.
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<boolean>} True if legacy data was found and migrated
+ */
+async function migrateLegacyLocalStorage(db) {
+    const rawInventory = localStorage.getItem(LEGACY_INVENTORY_KEY);
+    const rawProjects = localStorage.getItem(LEGACY_PROJECTS_KEY);
+    if (!rawInventory && !rawProjects) return false;
+
+    const legacyInventory = rawInventory ? parseLegacyStorageValue(rawInventory) : {};
+    const legacyProjects = rawProjects ? parseLegacyStorageValue(rawProjects) : {};
+
+    const tx = db.transaction(['parts', 'projects', 'meta'], 'readwrite');
+    const partStore = tx.objectStore('parts');
+    const projectStore = tx.objectStore('projects');
+    for (const [id, part] of Object.entries(legacyInventory || {})) {
+        if (part && typeof part === 'object') partStore.put(part, id);
+    }
+    for (const [id, project] of Object.entries(legacyProjects || {})) {
+        if (project && typeof project === 'object') projectStore.put(project, id);
+    }
+    tx.objectStore('meta').put(new Date().toISOString(), 'initializedAt');
+    tx.objectStore('meta').put(new Date().toISOString(), 'legacyMigratedAt');
+    await idbTransactionDone(tx);
+
+    localStorage.removeItem(LEGACY_INVENTORY_KEY);
+    localStorage.removeItem(LEGACY_PROJECTS_KEY);
+    console.info(`Migrated ${Object.keys(legacyInventory || {}).length} parts and ${Object.keys(legacyProjects || {}).length} projects from localStorage`);
+    return true;
+}
+
+/**
+ * Load inventory, projects and purchase orders from localStorage
+ * Used only when IndexedDB can't be opened
+ * @returns {{inventory: Object, projects: Object, purchaseOrders: Object}|null} Saved data, or null for a new user
+ */
+function loadFromLocalStorage() {
+    const savedInventory = localStorage.getItem(LEGACY_INVENTORY_KEY);
+    if (!savedInventory) return null;
+    const savedProjects = localStorage.getItem(LEGACY_PROJECTS_KEY);
+    const savedPurchaseOrders = localStorage.getItem(PURCHASE_ORDERS_KEY);
+    // Unreadable purchase orders are dropped rather than keeping the
+    // inventory from loading
+    let storedPurchaseOrders = {};
+    try {
+        if (savedPurchaseOrders) storedPurchaseOrders = parseLegacyStorageValue(savedPurchaseOrders) || {};
+    } catch (error) {
+        console.warn(`Failed to read ${PURCHASE_ORDERS_KEY}, ignoring it:`, error);
     }
+    return {
+        inventory: parseLegacyStorageValue(savedInventory),
+        projects: savedProjects ? parseLegacyStorageValue(savedProjects) : {},
+        purchaseOrders: storedPurchaseOrders
+    };
+}
+
+/**
+ * Load saved inventory, projects and purchase orders, migrating
+ * localStorage data on the first run after upgrading. Falls back to
+ * localStorage entirely if the database can't be opened.
+ * @returns {Promise<{inventory: Object, projects: Object, purchaseOrders: Object}|null>} Saved data, or null for a new user
+ */
+async function loadPersistedData() {
+    let db;
+    try {
+        db = await openDatabase();
+        await migrateLegacyLocalStorage(db);
+    } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        storageBackend = 'localStorage';
+        return loadFromLocalStorage();
+    }
+
+    const [parts, savedProjects, savedPurchaseOrders, initializedAt] = await Promise.all([
+        readAllRecords(db, 'parts'),
+        readAllRecords(db, 'projects'),
+        readAllRecords(db, 'purchaseOrders'),
+        readMeta('initializedAt')
+    ]);
+
+    // Seed the snapshots so the first save only writes what actually changed
+    for (const [id, part] of Object.entries(parts)) {
+        persistedSnapshots.parts.set(id, JSON.stringify(part));
+    }
+    for (const [id, project] of Object.entries(savedProjects)) {
+        persistedSnapshots.projects.set(id, JSON.stringify(project));
+    }
+    for (const [id, order] of Object.entries(savedPurchaseOrders)) {
+        persistedSnapshots.purchaseOrders.set(id, JSON.stringify(order));
+    }
+
+    const isEmpty = Object.keys(parts).length === 0 && Object.keys(savedProjects).length === 0;
+    if (!initializedAt && isEmpty) return null;
+    return { inventory: parts, projects: savedProjects, purchaseOrders: savedPurchaseOrders };
+}
+
+/**
+ * Write the records of a collection that changed since the last write,
+ * and delete records that no longer exist, in one transaction
+ * @param {string} storeName - 'parts', 'projects' or 'purchaseOrders'
+ * @param {Object} data - Current collection, keyed by ID
+ * @returns {Promise<void>}
+ */
+async function writeCollectionToDatabase(storeName, data) {
+    const snapshot = persistedSnapshots[storeName];
+    const changed = [];
+    for (const [id, record] of Object.entries(data)) {
+        const json = JSON.stringify(record);
+        if (snapshot.get(id) !== json) changed.push([id, json]);
+    }
+    const removed = [...snapshot.keys()].filter(id => !Object.prototype.hasOwnProperty.call(data, id));
+    if (changed.length === 0 && removed.length === 0) return;
+
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    changed.forEach(([id, json]) => store.put(JSON.parse(json), id));
+    removed.forEach(id => store.delete(id));
+    await idbTransactionDone(tx);
+
+    changed.forEach(([id, json]) => snapshot.set(id, json));
+    removed.forEach(id => snapshot.delete(id));
+}
+
+/**
+ * Record that this browser has saved data, so an emptied inventory isn't
+ * mistaken for a new user and refilled with sample parts
+ */
+function markStorageInitialized() {
+    if (storageBackend !== 'indexeddb') return;
+    readMeta('initializedAt')
+        .then(value => value || writeMeta('initializedAt', new Date().toISOString()))
+        .catch(error => console.warn('Failed to write storage metadata:', error));
+}
+
+// Writers used by both the debounced saves and the unload flush.
+// IndexedDB writes are asynchronous, but the transaction is started
+// synchronously so a flush on pagehide still gets queued.
+function writeInventoryToStorage() {
     inventoryDirty = false;
+    if (storageBackend === 'localStorage') {
+        writeToLocalStorage(LEGACY_INVENTORY_KEY, inventory);
+        return;
+    }
+    writeCollectionToDatabase('parts', inventory).catch(error => {
+        console.error('Failed to save inventory:', error);
+        inventoryDirty = true;
+    });
 }
 
 function writeProjectsToStorage() {
+    projectsDirty = false;
+    if (storageBackend === 'localStorage') {
+        writeToLocalStorage(LEGACY_PROJECTS_KEY, projects);
+        return;
+    }
+    writeCollectionToDatabase('projects', projects).catch(error => {
+        console.error('Failed to save projects:', error);
+        projectsDirty = true;
+    });
+}
+
+function writePurchaseOrdersToStorage() {
+    purchaseOrdersDirty = false;
+    if (storageBackend === 'localStorage') {
+        try {
+            localStorage.setItem(PURCHASE_ORDERS_KEY, JSON.stringify(purchaseOrders));
+        } catch (error) {
+            console.warn(`Failed to save ${PURCHASE_ORDERS_KEY}:`, error);
+        }
+        return;
+    }
+    writeCollectionToDatabase('purchaseOrders', purchaseOrders).catch(error => {
+        console.error('Failed to save purchase orders:', error);
+        purchaseOrdersDirty = true;
+    });
+}
+
+function writeToLocalStorage(key, data) {
     try {
-        const compressed = compressData(projects);
-        localStorage.setItem('guitarPedalProjects', compressed);
+        localStorage.setItem(key, compressData(data));
     } catch (error) {
-        console.warn('Failed to save projects:', error);
+        console.warn(`Failed to save ${key}:`, error);
         // Fallback to uncompressed if compression fails
-        localStorage.setItem('guitarPedalProjects', JSON.stringify(projects));
+        localStorage.setItem(key, JSON.stringify(data));
     }
-    projectsDirty = false;
 }
 
-// Debounced save functions to prevent excessive localStorage writes
+// Debounced save functions to batch rapid edits into one write
 const debouncedSaveInventory = debounce(writeInventoryToStorage, 1000);
 const debouncedSaveProjects = debounce(writeProjectsToStorage, 1000);
+const debouncedSavePurchaseOrders = debounce(writePurchaseOrdersToStorage, 1000);
 
 // Flush any pending debounced saves immediately so edits made within the
 // debounce window aren't lost when the tab is hidden, closed, or navigated away
 function flushPendingSaves() {
     if (inventoryDirty) writeInventoryToStorage();
     if (projectsDirty) writeProjectsToStorage();
+    if (purchaseOrdersDirty) writePurchaseOrdersToStorage();
 }
 
 document.addEventListener('visibilitychange', () => {
@@ -3293,7 +9442,7 @@ document.addEventListener('visibilitychange', () => {
 // pagehide covers browsers/situations where visibilitychange doesn't fire on close
 window.addEventListener('pagehide', flushPendingSaves);
 
-// Simple compression for localStorage
+// Key-shortening format used by the localStorage backend
 function compressData(data) {
     const jsonString = JSON.stringify(data);
     
@@ -3334,4 +9483,358 @@ function decompressData(data) {
     });
     
     return JSON.parse(decompressed);
-}
\ No newline at end of file
+}
+// =============================================================================
+// STOCK MOVEMENT LEDGER
+// =============================================================================
+
+/**
+ * Reasons a part's quantity can change, with their timeline labels.
+ * Every quantity change is appended to the ledger with one of these.
+ */
+const STOCK_MOVEMENT_REASONS = {
+    manual: 'Manual adjustment',
+    build: 'Build',
+    import: 'Import',
+    merge: 'Merge',
+    nfc: 'Tag scan',
+    stocktake: 'Stocktake',
+    rename: 'Renamed',
+    undo: 'Undo',
+    redo: 'Redo',
+    receive: 'Received'
+};
+
+/**
+ * Append a stock movement to the ledger.
+ * Entries are never edited or deleted; the write happens immediately
+ * (not debounced) and failures are only logged, so recording history can
+ * never block an inventory change.
+ *
+ * @param {string} partId - Part whose quantity changed
+ * @param {number} delta - Signed change in quantity
+ * @param {string} reason - Key of STOCK_MOVEMENT_REASONS
+ * @param {Object} [details] - Optional { projectId, note, fromPartId, orderNumber }
+ */
+function recordStockMovement(partId, delta, reason, details = {}) {
+    if (storageBackend !== 'indexeddb') return;
+    if (delta === 0 && reason !== 'rename') return;
+    const part = inventory[partId];
+    const entry = {
+        partId,
+        timestamp: new Date().toISOString(),
+        delta,
+        quantityAfter: part ? (part.quantity || 0) : 0,
+        reason
+    };
+    if (details.projectId) entry.projectId = details.projectId;
+    if (details.note) entry.note = details.note;
+    if (details.fromPartId) entry.fromPartId = details.fromPartId;
+    if (details.orderNumber) entry.orderNumber = details.orderNumber;
+
+    openDatabase()
+        .then(db => {
+            const tx = db.transaction('ledger', 'readwrite');
+            tx.objectStore('ledger').add(entry);
+            return idbTransactionDone(tx);
+        })
+        .catch(error => console.warn('Failed to record stock movement:', error));
+}
+
+/**
+ * Take a { partId: quantity } snapshot of the inventory, for diffing
+ * with recordQuantityChanges after a bulk operation
+ * @returns {Object} Quantities keyed by part ID
+ */
+function snapshotQuantities() {
+    const quantities = {};
+    for (const [id, part] of Object.entries(inventory)) {
+        quantities[id] = (part && part.quantity) || 0;
+    }
+    return quantities;
+}
+
+/**
+ * Record a ledger entry for every part whose quantity differs from a
+ * snapshot taken before a bulk operation (parts that disappeared count
+ * as going to zero)
+ * @param {Object} before - Result of snapshotQuantities()
+ * @param {string} reason - Key of STOCK_MOVEMENT_REASONS
+ * @param {Object} [details] - Passed through to recordStockMovement
+ */
+function recordQuantityChanges(before, reason, details) {
+    const after = snapshotQuantities();
+    const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const id of ids) {
+        const delta = (after[id] || 0) - (before[id] || 0);
+        if (delta !== 0) recordStockMovement(id, delta, reason, details);
+    }
+}
+
+/**
+ * Read a part's ledger entries, newest first. Follows 'rename' entries
+ * back to the part's previous IDs so history survives an ID change.
+ * @param {string} partId - Part to look up
+ * @returns {Promise<Array>} Ledger entries
+ */
+async function getPartHistory(partId) {
+    const db = await openDatabase();
+    const index = db.transaction('ledger', 'readonly').objectStore('ledger').index('partId');
+    const entries = [];
+    const visited = new Set();
+    const pending = [partId];
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (visited.has(id)) continue;
+        visited.add(id);
+        const partEntries = await idbRequest(index.getAll(id));
+        for (const entry of partEntries) {
+            entries.push(entry);
+            if (entry.reason === 'rename' && entry.fromPartId) pending.push(entry.fromPartId);
+        }
+    }
+    return entries.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Read the ledger entries recorded against a supplier order: its receipts,
+ * plus any undo/redo of them
+ * @param {string} orderNumber - Supplier order number
+ * @returns {Promise<Array>} Ledger entries, oldest first
+ */
+async function getOrderHistory(orderNumber) {
+    const db = await openDatabase();
+    const index = db.transaction('ledger', 'readonly').objectStore('ledger').index('orderNumber');
+    return idbRequest(index.getAll(orderNumber));
+}
+
+/**
+ * Render a part's stock history timeline into a container
+ * Shows the most recent entries; older ones are summarized with a count
+ * @param {string} partId - Part to show
+ * @param {HTMLElement} container - Element to render into
+ */
+async function renderPartHistory(partId, container) {
+    if (!container) return;
+    const maxEntries = 50;
+    container.innerHTML = '';
+    if (storageBackend !== 'indexeddb') {
+        container.innerHTML = '<p class="history-empty">Stock history is not available in this browser.</p>';
+        return;
+    }
+    let entries;
+    try {
+        entries = await getPartHistory(partId);
+    } catch (error) {
+        console.warn('Failed to load stock history:', error);
+        container.innerHTML = '<p class="history-empty">Could not load stock history.</p>';
+        return;
+    }
+    // The modal may have moved on to another part while we were reading
+    if (editingPartId !== partId) return;
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <h4 class="history-title">Stock History</h4>
+            <p class="history-empty">No stock changes recorded yet.</p>
+        `;
+        return;
+    }
+
+    const rows = entries.slice(0, maxEntries).map(entry => {
+        const date = new Date(entry.timestamp);
+        const deltaClass = entry.delta > 0 ? 'positive' : (entry.delta < 0 ? 'negative' : '');
+        const deltaText = entry.reason === 'rename' ? '' : (entry.delta > 0 ? `+${entry.delta}` : String(entry.delta));
+        const project = entry.projectId && projects[entry.projectId];
+        const details = [];
+        if (project) details.push(project.name);
+        if (entry.note) details.push(entry.note);
+        if (entry.reason === 'rename' && entry.fromPartId) details.push(`was ${entry.fromPartId}`);
+        return `
+            <li class="history-entry">
+                <span class="history-date" title="${escapeHtml(date.toLocaleString())}">${escapeHtml(date.toLocaleDateString())}</span>
+                <span class="history-delta ${deltaClass}">${escapeHtml(deltaText)}</span>
+                <span class="history-reason">${escapeHtml(STOCK_MOVEMENT_REASONS[entry.reason] || entry.reason)}</span>
+                <span class="history-details">${escapeHtml(details.join(' · '))}</span>
+                <span class="history-after" title="Quantity after">${entry.reason === 'rename' ? '' : '= ' + entry.quantityAfter}</span>
+            </li>
+        `;
+    }).join('');
+    const moreCount = entries.length - maxEntries;
+
+    container.innerHTML = `
+        <h4 class="history-title">Stock History</h4>
+        <ul class="history-timeline">${rows}</ul>
+        ${moreCount > 0 ? `<p class="history-empty">+${moreCount} older entries</p>` : ''}
+    `;
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+/**
+ * Undo history. Each command records the JSON of every part, project and
+ * purchase order record an action touched, before and after, so undo/redo
+ * re-applies a record-level diff instead of replacing all data.
+ * Format: { label, changes: { inventory: {id: {before, after}}, projects: {...},
+ *           purchaseOrders: {...} } }
+ * where before/after are JSON strings, or null if the record didn't exist.
+ */
+const undoStack = [];
+const redoStack = [];
+const MAX_UNDO_STEPS = 50;
+
+/**
+ * Serialize each record of a collection, keyed by ID
+ * @param {Object} collection - inventory, projects or purchaseOrders
+ * @returns {Map<string, string>} JSON per record ID
+ */
+function serializeRecords(collection) {
+    const serialized = new Map();
+    for (const [id, record] of Object.entries(collection)) {
+        serialized.set(id, JSON.stringify(record));
+    }
+    return serialized;
+}
+
+/**
+ * Capture the current state before a mutation, for commitUndoableAction
+ * @returns {Object} Opaque snapshot
+ */
+function captureUndoState() {
+    return {
+        inventory: serializeRecords(inventory),
+        projects: serializeRecords(projects),
+        purchaseOrders: serializeRecords(purchaseOrders)
+    };
+}
+
+/**
+ * Compare a serialized snapshot with a collection's current records
+ * @param {Map<string, string>} before - From serializeRecords
+ * @param {Object} collection - Current collection
+ * @returns {Object} Changed records: { id: { before, after } }
+ */
+function diffRecords(before, collection) {
+    const after = serializeRecords(collection);
+    const changes = {};
+    for (const [id, json] of after) {
+        if (before.get(id) !== json) {
+            changes[id] = { before: before.has(id) ? before.get(id) : null, after: json };
+        }
+    }
+    for (const [id, json] of before) {
+        if (!after.has(id)) changes[id] = { before: json, after: null };
+    }
+    return changes;
+}
+
+/**
+ * Push an undo command for everything that changed since a snapshot.
+ * Does nothing if the action turned out not to change any data (e.g. it
+ * failed validation), so callers can capture unconditionally.
+ * @param {string} label - Short description shown in undo/redo toasts
+ * @param {Object} before - Result of captureUndoState()
+ * @param {Object} [ledgerDetails] - Extra fields for the ledger entries
+ *   undo/redo record (e.g. { orderNumber })
+ * @returns {boolean} True if a command was recorded
+ */
+function commitUndoableAction(label, before, ledgerDetails) {
+    const changes = {
+        inventory: diffRecords(before.inventory, inventory),
+        projects: diffRecords(before.projects, projects),
+        purchaseOrders: diffRecords(before.purchaseOrders, purchaseOrders)
+    };
+    if (Object.values(changes).every(collectionChanges => Object.keys(collectionChanges).length === 0)) {
+        return false;
+    }
+    const command = { label, changes };
+    if (ledgerDetails) command.ledgerDetails = ledgerDetails;
+    undoStack.push(command);
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack.length = 0;
+    return true;
+}
+
+/**
+ * Apply one side of a command's changes to the live data
+ * @param {Object} command - Undo command
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+function applyUndoCommand(command, side) {
+    const quantitiesBefore = snapshotQuantities();
+    const targets = { inventory, projects, purchaseOrders };
+    for (const [collectionName, changes] of Object.entries(command.changes)) {
+        const collection = targets[collectionName];
+        for (const [id, change] of Object.entries(changes)) {
+            if (change[side] === null) {
+                delete collection[id];
+            } else {
+                collection[id] = JSON.parse(change[side]);
+            }
+        }
+    }
+    recordQuantityChanges(quantitiesBefore, side === 'before' ? 'undo' : 'redo',
+        { ...command.ledgerDetails, note: command.label });
+
+    saveInventory();
+    saveProjects();
+    savePurchaseOrders();
+    updateProjectFilter();
+    displayInventory();
+    // Draft edits are undone from the toast while their modal is still open
+    if (purchaseOrders[viewingPurchaseOrderId]) renderPurchaseOrder();
+}
+
+/**
+ * Undo the most recent recorded action
+ */
+function undo() {
+    const command = undoStack.pop();
+    if (!command) {
+        showNotification('Nothing to undo', 'error');
+        return;
+    }
+    applyUndoCommand(command, 'before');
+    redoStack.push(command);
+    showNotification(`Undone: ${command.label}`, 'success', { label: 'Redo', onClick: redo });
+}
+
+/**
+ * Redo the most recently undone action
+ */
+function redo() {
+    const command = redoStack.pop();
+    if (!command) {
+        showNotification('Nothing to redo', 'error');
+        return;
+    }
+    applyUndoCommand(command, 'after');
+    undoStack.push(command);
+    showNotification(`Redone: ${command.label}`, 'success', { label: 'Undo', onClick: undo });
+}
+
+/**
+ * Toast action that undoes the action just reported
+ * @returns {Object} Action for showNotification
+ */
+function undoToastAction() {
+    return { label: 'Undo', onClick: undo };
+}
+
+// Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo. Text fields
+// keep their native undo.
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
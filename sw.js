@@ -1,6 +1,6 @@
 // Bump this version on every release so clients pick up new caches.
 // The old cache is deleted on activate.
-const SW_VERSION = 'v2.0.0';
+const SW_VERSION = 'v2.2.0';
 const APP_SHELL_CACHE = `pedalvault-shell-${SW_VERSION}`;
 const STATIC_CACHE = `pedalvault-static-${SW_VERSION}`;
 
@@ -11,6 +11,7 @@ const APP_SHELL_URLS = [
     './index.html',
     './style.css',
     './script.js',
+    './qrcode.js',
     './rive-logo.js',
     './manifest.json',
     './offline.html'
@@ -66,7 +67,7 @@ self.addEventListener('activate', event => {
 
 // Network-first: try the network, update the cache on success,
 // fall back to the cache when offline
-async function networkFirst(request, cacheName, offlineFallbackUrl) {
+async function networkFirst(request, cacheName) {
     const cache = await caches.open(cacheName);
     try {
         const response = await fetch(request);
@@ -75,15 +76,37 @@ async function networkFirst(request, cacheName, offlineFallbackUrl) {
         }
         return response;
     } catch (error) {
-        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        const cached = await cache.match(request);
         if (cached) {
             return cached;
         }
-        if (offlineFallbackUrl) {
-            const fallback = await caches.match(offlineFallbackUrl);
-            if (fallback) {
-                return fallback;
-            }
+        throw error;
+    }
+}
+
+// Navigations: every app route (/part/:id, /shopping, ...) is index.html,
+// which the host rewrites all paths to, so the page is cached once as the
+// app shell and served for any route when offline. The offline page is
+// the last resort if the shell was never cached.
+async function navigate(request) {
+    const cache = await caches.open(APP_SHELL_CACHE);
+    const { pathname } = new URL(request.url);
+    try {
+        const response = await fetch(request);
+        // Paths with an extension are real files (offline.html), not routes
+        const isAppPage = !/\.[a-z0-9]+$/i.test(pathname) || pathname.endsWith('/index.html');
+        if (response && response.status === 200 && isAppPage) {
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) || await cache.match('./index.html');
+        if (cached) {
+            return cached;
+        }
+        const fallback = await caches.match('./offline.html');
+        if (fallback) {
+            return fallback;
         }
         throw error;
     }
@@ -123,9 +146,7 @@ self.addEventListener('fetch', event => {
     // Navigations: network-first, falling back to the cached app shell,
     // then the offline page (the host rewrites all routes to index.html)
     if (request.mode === 'navigate') {
-        event.respondWith(
-            networkFirst(request, APP_SHELL_CACHE, './offline.html')
-        );
+        event.respondWith(navigate(request));
         return;
     }
 